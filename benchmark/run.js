@@ -0,0 +1,72 @@
+import { mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { basename, dirname, join, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { findClearanceFailures, runScenario, toCSV } from "./runner.js";
+
+/**
+ * Headless planner benchmark
+ *
+ * Usage: npm run benchmark -- [scenario.json] [--seeds N] [--out directory]
+ *
+ * Writes <scenario>.json (runs and per-planner summary) and <scenario>.csv
+ * (one row per run) to the output directory. Exits with status 1 if a
+ * planner run without random events collided with a fixed obstacle.
+ */
+
+const root = dirname(fileURLToPath(import.meta.url));
+
+function parseArguments(args) {
+	const options = {
+		scenario: join(root, "scenarios", "flooded-city.json"),
+		seeds: null,
+		out: join(root, "results"),
+	};
+
+	for (let i = 0; i < args.length; i++) {
+		switch (args[i]) {
+			case "--seeds":
+				options.seeds = parseInt(args[++i], 10);
+				break;
+			case "--out":
+				options.out = resolve(args[++i]);
+				break;
+			default:
+				options.scenario = resolve(args[i]);
+		}
+	}
+
+	return options;
+}
+
+const options = parseArguments(process.argv.slice(2));
+const scenario = JSON.parse(readFileSync(options.scenario, "utf8"));
+scenario.name = scenario.name || basename(options.scenario, ".json");
+
+const report = runScenario(scenario, {
+	seeds: options.seeds,
+	onRun: (row) =>
+		console.log(
+			`seed ${row.seed} ${row.kind} ${row.id}: ${row.status} (` +
+				(row.kind === "search"
+					? `${row.survivorsFound}/${row.survivorsTotal} found, `
+					: "") +
+				`${row.collisions} collisions, ${row.energy.toFixed(1)} Wh)`
+		),
+});
+
+mkdirSync(options.out, { recursive: true });
+const jsonPath = join(options.out, `${scenario.name}.json`);
+const csvPath = join(options.out, `${scenario.name}.csv`);
+writeFileSync(jsonPath, JSON.stringify(report, null, "\t"));
+writeFileSync(csvPath, toCSV(report.runs) + "\n");
+
+console.table(report.summary);
+console.log(`Results written to ${jsonPath} and ${csvPath}`);
+
+const failures = findClearanceFailures(scenario, report.runs);
+failures.forEach((row) =>
+	console.error(
+		`seed ${row.seed} planner ${row.id}: ${row.staticCollisions} collisions with fixed obstacles on a planned path`
+	)
+);
+if (failures.length > 0) process.exitCode = 1;
@@ -0,0 +1,394 @@
+import * as THREE from "three";
+import { SimulationCore } from "../src/composable/simulationCore.js";
+import { getPlanners } from "../src/composable/planners/index.js";
+
+/**
+ * HYDROBOT Benchmark Runner
+ *
+ * Runs planners and search strategies against a scenario on a headless,
+ * seeded simulation, so every result can be reproduced from its seed.
+ *
+ * A scenario is a JSON object with:
+ * - name: scenario identifier used in reports
+ * - seeds: number of seeds to run (seeds 1..N) or an explicit seed list
+ * - randomEvents: enable environmental events (default false)
+ * - start: vehicle start position {x, y, z}
+ * - navigation: { planners, goals, timeLimit } point-to-point legs flown by
+ *   each planner (planners defaults to every registered planner)
+ * - search: { strategies, area, datum, depth, spacing, timeLimit } survivor
+ *   searches flown by each strategy
+ *
+ * Time limits are in simulated seconds. Auto-return is off, so a low
+ * battery does not cut a search short.
+ *
+ * Search statuses: found_all when every survivor was found, missed when
+ * the pattern finished without finding them all, timeout, or the search's
+ * own final status when it stopped early (e.g. aborted, or blocked when
+ * exploration ran out of reachable frontiers with uncharted space left).
+ */
+
+export const SEARCH_STRATEGIES = [
+	"lawnmower",
+	"expanding_square",
+	"sector",
+	"creeping_line",
+	"frontier",
+];
+
+// Status of a successful run of each kind
+const SUCCESS_STATUS = {
+	planner: "complete", // Every navigation goal reached
+	search: "found_all", // Every survivor found
+};
+
+export const CSV_COLUMNS = [
+	"scenario",
+	"seed",
+	"kind",
+	"id",
+	"status",
+	"pathLength",
+	"planningTime",
+	"goalsReached",
+	"collisions",
+	"staticCollisions",
+	"energy",
+	"distance",
+	"simTime",
+	"survivorsFound",
+	"survivorsTotal",
+	"foundFraction",
+	"timeToFirstFind",
+	"timeToFindAll",
+	"findTimes",
+];
+
+/**
+ * Create a headless simulation for one run
+ * @param {Object} scenario - Scenario definition
+ * @param {number} seed - Seed for the scene and events
+ * @returns {SimulationCore} Simulation with the vehicle at the scenario start
+ */
+function createSimulation(scenario, seed) {
+	const sim = new SimulationCore({
+		seed,
+		randomEvents: scenario.randomEvents ?? false,
+	});
+	sim.setAutoReturn(false);
+
+	const start = scenario.start || { x: 0, y: 0, z: 0 };
+	sim.auv.position.set(start.x, start.y, start.z);
+	sim.updateNavigationData();
+	return sim;
+}
+
+function toVector(point) {
+	return new THREE.Vector3(point.x, point.y, point.z);
+}
+
+function getSurvivors(sim) {
+	return sim.searchTargets.filter(
+		(target) => target.userData.type === "survivor"
+	);
+}
+
+/**
+ * Step the simulation until a condition holds or the time limit passes
+ * @returns {boolean} True if the condition was met
+ */
+function runUntil(sim, done, timeLimit) {
+	const endTime = sim.now() + timeLimit * 1000;
+	while (sim.now() < endTime) {
+		if (done()) return true;
+		sim.step();
+	}
+	return done();
+}
+
+/**
+ * Fly the scenario's navigation legs with one planner
+ * @returns {Object} Result row
+ */
+export function runPlannerBenchmark(scenario, seed, plannerId) {
+	const sim = createSimulation(scenario, seed);
+	const navigation = scenario.navigation;
+	const timeLimit = navigation.timeLimit ?? 120;
+	sim.setPlanner(plannerId);
+
+	let pathLength = 0;
+	let planningTime = 0;
+	let reached = 0;
+	let status = "complete";
+
+	for (const goal of navigation.goals) {
+		const started = sim.goTo(toVector(goal));
+		const stats = sim.getLastPlanStats();
+		planningTime += stats ? stats.computeTime : 0;
+
+		if (!started) {
+			status = "no_path";
+			break;
+		}
+		pathLength += stats.length;
+
+		runUntil(sim, () => !sim.autopilot.active, timeLimit);
+		if (sim.autopilot.status !== "arrived") {
+			status = sim.autopilot.active ? "timeout" : sim.autopilot.status;
+			sim.cancelAutopilot();
+			break;
+		}
+		reached++;
+	}
+
+	return createRow(scenario, seed, "planner", plannerId, sim, {
+		status,
+		pathLength,
+		planningTime,
+		goalsReached: reached,
+	});
+}
+
+/**
+ * Start a search strategy on a fresh simulation
+ * @returns {boolean} True if the strategy started
+ */
+function startStrategy(sim, strategy, search) {
+	const options = { depth: search.depth, spacing: search.spacing };
+
+	switch (strategy) {
+		case "lawnmower":
+			return sim.startCoverageSearch(search.area, options);
+		case "frontier":
+			return sim.startExploration(options);
+		default:
+			return sim.startPatternSearch(
+				strategy,
+				toVector(search.datum || sim.auv.position),
+				{ ...options, ...search.patterns?.[strategy] }
+			);
+	}
+}
+
+function isSearchActive(sim, strategy) {
+	return strategy === "frontier"
+		? sim.exploration.active
+		: sim.coverageSearch.active;
+}
+
+/**
+ * Fly one search strategy until every survivor is found
+ * @returns {Object} Result row
+ */
+export function runSearchBenchmark(scenario, seed, strategy) {
+	const sim = createSimulation(scenario, seed);
+	const search = scenario.search;
+	const survivors = getSurvivors(sim);
+	const foundAll = () => survivors.every((target) => target.userData.found);
+
+	// Search time at which each survivor was first found (seconds)
+	const findTimes = new Map();
+	const recordFinds = () => {
+		survivors.forEach((target) => {
+			if (target.userData.found && !findTimes.has(target)) {
+				findTimes.set(target, (sim.now() - startTime) / 1000);
+			}
+		});
+	};
+
+	const startTime = sim.now();
+	if (!startStrategy(sim, strategy, search)) {
+		return createRow(scenario, seed, "search", strategy, sim, {
+			status: "not_started",
+		});
+	}
+
+	const finished = runUntil(
+		sim,
+		() => {
+			recordFinds();
+			return foundAll() || !isSearchActive(sim, strategy);
+		},
+		search.timeLimit ?? 900
+	);
+
+	let status;
+	if (foundAll()) {
+		status = "found_all";
+	} else if (finished) {
+		status =
+			strategy === "frontier"
+				? sim.exploration.status
+				: sim.coverageSearch.status;
+		if (status === "complete") status = "missed";
+	} else {
+		status = "timeout";
+	}
+
+	const times = [...findTimes.values()].sort((a, b) => a - b);
+	return createRow(scenario, seed, "search", strategy, sim, {
+		status,
+		timeToFirstFind: times.length > 0 ? times[0] : null,
+		timeToFindAll: foundAll() ? times[times.length - 1] : null,
+		findTimes: times,
+	});
+}
+
+/**
+ * Build a result row from the final simulation state
+ */
+function createRow(scenario, seed, kind, id, sim, result) {
+	const odometry = sim.getOdometry();
+	const survivors = getSurvivors(sim);
+	const found = survivors.filter((target) => target.userData.found).length;
+
+	return {
+		scenario: scenario.name,
+		seed,
+		kind,
+		id,
+		status: result.status,
+		pathLength: result.pathLength ?? null,
+		planningTime: result.planningTime ?? null,
+		goalsReached: result.goalsReached ?? null,
+		collisions: sim.collisionData.count,
+		staticCollisions: sim.collisionData.staticCount,
+		energy: odometry.energy,
+		distance: odometry.distance,
+		simTime: sim.now() / 1000,
+		survivorsFound: found,
+		survivorsTotal: survivors.length,
+		foundFraction:
+			kind === "search" && survivors.length > 0
+				? found / survivors.length
+				: null,
+		timeToFirstFind: result.timeToFirstFind ?? null,
+		timeToFindAll: result.timeToFindAll ?? null,
+		findTimes: result.findTimes ?? null,
+	};
+}
+
+/**
+ * Resolve the seed list of a scenario
+ * @param {Object} scenario - Scenario definition
+ * @param {number} count - Seed count overriding the scenario's
+ * @returns {number[]} Seeds to run
+ */
+export function getSeeds(scenario, count) {
+	if (count) return Array.from({ length: count }, (_, i) => i + 1);
+	if (Array.isArray(scenario.seeds)) return scenario.seeds;
+	return Array.from({ length: scenario.seeds ?? 3 }, (_, i) => i + 1);
+}
+
+/**
+ * Run every planner and search strategy of a scenario across seeds
+ * @param {Object} scenario - Scenario definition
+ * @param {Object} options - Seed count override and per-run progress callback
+ * @returns {{scenario: string, seeds: number[], runs: Object[], summary: Object[]}} Benchmark report
+ */
+export function runScenario(scenario, options = {}) {
+	const seeds = getSeeds(scenario, options.seeds);
+	const onRun = options.onRun || (() => {});
+	const runs = [];
+
+	const planners = scenario.navigation
+		? scenario.navigation.planners ||
+			getPlanners().map((planner) => planner.id)
+		: [];
+	const strategies = scenario.search
+		? scenario.search.strategies || SEARCH_STRATEGIES
+		: [];
+
+	for (const seed of seeds) {
+		for (const plannerId of planners) {
+			const row = runPlannerBenchmark(scenario, seed, plannerId);
+			runs.push(row);
+			onRun(row);
+		}
+		for (const strategy of strategies) {
+			const row = runSearchBenchmark(scenario, seed, strategy);
+			runs.push(row);
+			onRun(row);
+		}
+	}
+
+	return { scenario: scenario.name, seeds, runs, summary: summarize(runs) };
+}
+
+/**
+ * Planner runs that touched a fixed obstacle although nothing pushed the
+ * vehicle off its path
+ * Paths keep the vehicle's whole collision box clear of the obstacles, so
+ * without random events (and therefore without current) every leg should
+ * be flown without a static collision.
+ * @param {Object} scenario - Scenario definition
+ * @param {Object[]} runs - Result rows
+ * @returns {Object[]} Offending rows
+ */
+export function findClearanceFailures(scenario, runs) {
+	if (scenario.randomEvents) return [];
+	return runs.filter(
+		(row) => row.kind === "planner" && row.staticCollisions > 0
+	);
+}
+
+function mean(values) {
+	const numbers = values.filter((value) => Number.isFinite(value));
+	if (numbers.length === 0) return null;
+	return numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+}
+
+/**
+ * Average each metric per planner or strategy
+ * @param {Object[]} runs - Result rows
+ * @returns {Object[]} One summary per planner or strategy
+ */
+export function summarize(runs) {
+	const groups = new Map();
+	runs.forEach((row) => {
+		const key = `${row.kind}:${row.id}`;
+		if (!groups.has(key)) groups.set(key, []);
+		groups.get(key).push(row);
+	});
+
+	return [...groups.values()].map((rows) => ({
+		kind: rows[0].kind,
+		id: rows[0].id,
+		runs: rows.length,
+		successRate:
+			rows.filter((row) => row.status === SUCCESS_STATUS[row.kind])
+				.length / rows.length,
+		pathLength: mean(rows.map((row) => row.pathLength)),
+		planningTime: mean(rows.map((row) => row.planningTime)),
+		collisions: mean(rows.map((row) => row.collisions)),
+		energy: mean(rows.map((row) => row.energy)),
+		distance: mean(rows.map((row) => row.distance)),
+		foundFraction: mean(rows.map((row) => row.foundFraction)),
+		timeToFirstFind: mean(rows.map((row) => row.timeToFirstFind)),
+		timeToFindAll: mean(rows.map((row) => row.timeToFindAll)),
+	}));
+}
+
+/**
+ * Format result rows as CSV
+ * @param {Object[]} runs - Result rows
+ * @returns {string} CSV text with a header line
+ */
+export function toCSV(runs) {
+	const format = (value) => {
+		if (value === null || value === undefined) return "";
+		if (Array.isArray(value)) return value.map(format).join(" ");
+		if (typeof value === "number") {
+			return Number.isInteger(value) ? String(value) : value.toFixed(3);
+		}
+		return /[",\n]/.test(value)
+			? `"${String(value).replace(/"/g, '""')}"`
+			: String(value);
+	};
+
+	return [
+		CSV_COLUMNS.join(","),
+		...runs.map((row) =>
+			CSV_COLUMNS.map((column) => format(row[column])).join(",")
+		),
+	].join("\n");
+}
@@ -0,0 +1,239 @@
+import * as THREE from "three";
+
+/**
+ * HYDROBOT Input Adapter
+ *
+ * Turns browser keyboard and mouse events into operator input for a
+ * SimulationCore: driving keys, sensor mode, rescue requests and the
+ * free-flying camera with pointer lock.
+ */
+export class InputAdapter {
+	/**
+	 * Attach operator input to a simulation
+	 * @param {SimulationCore} sim - Simulation to drive
+	 * @param {RenderAdapter|null} renderAdapter - View whose hitboxes the V key toggles
+	 */
+	constructor(sim, renderAdapter = null) {
+		this.sim = sim;
+		this.renderAdapter = renderAdapter;
+
+		// Free camera controls
+		this.cameraSpeed = 12; // World units per second
+		this.mouseSensitivity = 0.002;
+		this.isPointerLocked = false;
+
+		this.setupEventListeners();
+	}
+
+	/**
+	 * Apply held keys that act outside the simulation step
+	 * @param {number} dt - Real time since the last frame (seconds)
+	 */
+	update(dt) {
+		if (this.sim.isFreeCam) this.updateFreeCamMovement(dt);
+	}
+
+	setupEventListeners() {
+		// Keyboard controls
+		document.addEventListener("keydown", (event) => this.onKeyDown(event));
+		document.addEventListener("keyup", (event) => this.onKeyUp(event));
+
+		// Mouse controls for free cam
+		document.addEventListener("mousemove", (event) =>
+			this.onMouseMove(event)
+		);
+		document.addEventListener("click", () => this.requestPointerLock());
+
+		// Prevent default browser behavior for movement keys
+		document.addEventListener("keydown", (event) => {
+			if (this.isTextInput(event.target)) return;
+			if (
+				[
+					"ArrowUp",
+					"ArrowDown",
+					"ArrowLeft",
+					"ArrowRight",
+					"KeyW",
+					"KeyA",
+					"KeyS",
+					"KeyD",
+					"KeyQ",
+					"KeyE",
+					"KeyC",
+				].includes(event.code)
+			) {
+				event.preventDefault();
+			}
+		});
+
+		// Pointer lock change events
+		document.addEventListener("pointerlockchange", () => {
+			this.isPointerLocked =
+				document.pointerLockElement === document.body;
+		});
+	}
+
+	isTextInput(target) {
+		// HUD form fields keep their keystrokes
+		return (
+			target instanceof HTMLInputElement ||
+			target instanceof HTMLTextAreaElement ||
+			target instanceof HTMLSelectElement
+		);
+	}
+
+	onKeyDown(event) {
+		if (this.isTextInput(event.target)) return;
+
+		switch (event.code) {
+			case "KeyW":
+			case "ArrowUp":
+				this.sim.keys.forward = true;
+				break;
+			case "KeyS":
+			case "ArrowDown":
+				this.sim.keys.backward = true;
+				break;
+			case "KeyA":
+				this.sim.keys.left = true;
+				break;
+			case "KeyD":
+				this.sim.keys.right = true;
+				break;
+			case "ArrowLeft":
+				this.sim.keys.turnLeft = true;
+				break;
+			case "ArrowRight":
+				this.sim.keys.turnRight = true;
+				break;
+			case "KeyQ":
+				this.sim.keys.up = true;
+				break;
+			case "KeyE":
+				this.sim.keys.down = true;
+				break;
+			case "KeyC":
+				this.toggleFreeCam();
+				break;
+			case "KeyV":
+				this.renderAdapter?.toggleHitboxes();
+				break;
+			case "KeyF":
+				this.sim.cycleCameraMode();
+				break;
+			case "KeyL":
+				this.sim.toggleHeadlights();
+				break;
+			case "Space":
+				this.sim.requestRescue();
+				event.preventDefault(); // Prevent page scrolling
+				break;
+		}
+	}
+
+	onKeyUp(event) {
+		switch (event.code) {
+			case "KeyW":
+			case "ArrowUp":
+				this.sim.keys.forward = false;
+				break;
+			case "KeyS":
+			case "ArrowDown":
+				this.sim.keys.backward = false;
+				break;
+			case "KeyA":
+				this.sim.keys.left = false;
+				break;
+			case "KeyD":
+				this.sim.keys.right = false;
+				break;
+			case "ArrowLeft":
+				this.sim.keys.turnLeft = false;
+				break;
+			case "ArrowRight":
+				this.sim.keys.turnRight = false;
+				break;
+			case "KeyQ":
+				this.sim.keys.up = false;
+				break;
+			case "KeyE":
+				this.sim.keys.down = false;
+				break;
+		}
+	}
+
+	requestPointerLock() {
+		if (this.sim.isFreeCam) {
+			document.body.requestPointerLock();
+		}
+	}
+
+	onMouseMove(event) {
+		if (!this.sim.isFreeCam || !this.isPointerLocked) return;
+
+		const movementX = event.movementX || 0;
+		const movementY = event.movementY || 0;
+
+		// Rotate camera based on mouse movement
+		this.sim.camera.rotation.y -= movementX * this.mouseSensitivity;
+		this.sim.camera.rotation.x -= movementY * this.mouseSensitivity;
+
+		// Clamp vertical rotation to prevent flipping
+		this.sim.camera.rotation.x = Math.max(
+			-Math.PI / 2,
+			Math.min(Math.PI / 2, this.sim.camera.rotation.x)
+		);
+	}
+
+	toggleFreeCam() {
+		this.sim.isFreeCam = !this.sim.isFreeCam;
+
+		if (this.sim.isFreeCam) {
+			console.log("Free cam enabled - Press C to toggle back");
+		} else {
+			// Exit pointer lock
+			if (this.isPointerLocked) {
+				document.exitPointerLock();
+			}
+		}
+	}
+
+	updateFreeCamMovement(dt) {
+		// Free camera movement
+		const direction = new THREE.Vector3();
+
+		// Get camera's forward direction
+		const forward = new THREE.Vector3(0, 0, -1);
+		forward.applyQuaternion(this.sim.camera.quaternion);
+
+		// Get camera's right direction
+		const right = new THREE.Vector3(1, 0, 0);
+		right.applyQuaternion(this.sim.camera.quaternion);
+
+		// Get camera's up direction (world up)
+		const up = new THREE.Vector3(0, 1, 0);
+
+		// Movement based on camera orientation
+		if (this.sim.keys.forward) {
+			direction.add(forward.multiplyScalar(this.cameraSpeed));
+		}
+		if (this.sim.keys.backward) {
+			direction.add(forward.multiplyScalar(-this.cameraSpeed));
+		}
+		if (this.sim.keys.left) {
+			direction.add(right.multiplyScalar(-this.cameraSpeed));
+		}
+		if (this.sim.keys.right) {
+			direction.add(right.multiplyScalar(this.cameraSpeed));
+		}
+		if (this.sim.keys.up) {
+			direction.add(up.multiplyScalar(this.cameraSpeed));
+		}
+		if (this.sim.keys.down) {
+			direction.add(up.multiplyScalar(-this.cameraSpeed));
+		}
+
+		// Apply movement
+		this.sim.camera.position.addScaledVector(direction, dt);
+	}
+}
@@ -0,0 +1,1919 @@
+import * as THREE from "three";
+import { OBJLoader } from "three/examples/jsm/loaders/OBJLoader.js";
+import { MTLLoader } from "three/examples/jsm/loaders/MTLLoader.js";
+
+/**
+ * HYDROBOT Render Adapter
+ *
+ * Draws a SimulationCore in the browser. Owns the WebGL renderer, lighting,
+ * the detailed vehicle model, sonar wireframes, camera mode effects,
+ * floating particles, hitboxes, planner debug overlays and the toast
+ * overlay. The simulation never calls into the adapter; it reads the
+ * core's state once per frame.
+ */
+export class RenderAdapter {
+	/**
+	 * Attach rendering to a simulation
+	 * @param {SimulationCore} sim - Simulation to draw
+	 * @param {HTMLCanvasElement} canvas - Primary rendering canvas element
+	 */
+	constructor(sim, canvas) {
+		this.sim = sim;
+		this.canvas = canvas;
+		this.renderer = null;
+
+		// Overlay canvases stacked over the 3D view
+		this.sonarCanvas = null;
+		this.sonarCtx = null;
+		this.toastCanvas = null;
+		this.toastCtx = null;
+
+		// Scene dressing that only exists while rendering
+		this.particles = null;
+		this.leftHeadlight = null;
+		this.rightHeadlight = null;
+		this.hitboxVisible = false;
+		this.hitboxHelpers = [];
+		this.appliedCameraMode = sim.cameraMode; // Sensor mode the view effects were set up for
+
+		// Vehicle and camera pose before the latest simulation step; frames
+		// drawn between steps blend from it toward the stepped pose
+		this.previousPose = null;
+
+		// Planner debug overlays, toggled from the HUD
+		this.debugOverlays = {
+			path: { visible: false, object: null, source: undefined }, // Planned route polyline
+			search: { visible: false, object: null, source: undefined }, // Expanded nodes or RRT* tree
+			costmap: { visible: false, object: null, source: undefined }, // Inflated obstacle voxels
+			target: { visible: false, object: null, source: undefined }, // Waypoint being steered for
+		};
+		this.costmapRefreshInterval = 1000; // Rebuild period of the sonar map costmap (milliseconds)
+
+		this.init();
+	}
+
+	/**
+	 * Set up the rendering pipeline
+	 * Creates the renderer and overlays and dresses the simulated scene
+	 */
+	init() {
+		// Determine rendering canvas dimensions
+		const rect = this.canvas.getBoundingClientRect();
+		const width = rect.width || window.innerWidth;
+		const height = rect.height || window.innerHeight;
+
+		console.log("Canvas dimensions:", width, "x", height);
+
+		// Match the first-person camera to the canvas
+		this.sim.camera.aspect = width / height;
+		this.sim.camera.updateProjectionMatrix();
+
+		// Initialize WebGL renderer with high-quality settings
+		this.renderer = new THREE.WebGLRenderer({
+			canvas: this.canvas,
+			antialias: true,
+		});
+		this.renderer.setSize(width, height);
+		this.renderer.setPixelRatio(window.devicePixelRatio);
+		this.renderer.shadowMap.enabled = true;
+		this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+
+		// Ensure canvas occupies full available space
+		this.canvas.style.width = "100%";
+		this.canvas.style.height = "100%";
+		this.canvas.style.display = "block";
+
+		console.log("Renderer created");
+
+		// Initialize advanced sonar visualization system
+		this.initializeSonarSystem();
+
+		// Configure underwater lighting environment
+		this.setupLighting();
+		console.log("Lighting setup complete");
+
+		// Floating particles and hitboxes
+		this.createFloatingParticles();
+		this.showHitboxes();
+
+		// Preserve original material properties for camera mode switching
+		this.storeOriginalMaterials();
+
+		// Load the detailed AUV 3D model
+		this.loadAUVModel();
+		console.log("AUV model loading started");
+
+		// Register viewport resize handler
+		window.addEventListener("resize", () => this.onWindowResize());
+
+		// Execute initial rendering pass
+		this.renderer.render(this.sim.scene, this.sim.camera);
+		console.log("Initial render complete");
+	}
+
+	/**
+	 * Draw one frame of the simulation's current state
+	 * @param {number} alpha - Fraction of a step elapsed since the latest step (0-1)
+	 * @param {number} dt - Real time since the last frame (seconds)
+	 */
+	update(alpha, dt) {
+		// Show the vehicle between its last two steps while drawing
+		const stepped = this.capturePose();
+		const from =
+			this.previousPose?.auv === this.sim.auv
+				? this.previousPose
+				: stepped;
+		this.blendPose(from, stepped, alpha);
+
+		// Follow sensor mode changes made through the simulation
+		if (this.appliedCameraMode !== this.sim.cameraMode) {
+			this.appliedCameraMode = this.sim.cameraMode;
+			if (this.sim.cameraMode === "sonar") {
+				this.showAllObjectHitboxes(); // Show all hitboxes immediately
+			} else {
+				this.hideAllObjectHitboxes(); // Hide hitboxes when switching off sonar
+			}
+			this.applyCameraEffects();
+		}
+		if (this.sim.sonarSystem.isActive) this.updateSonarWireframes();
+
+		this.updateHeadlights();
+		this.animateParticles(dt);
+		this.updateHitboxes(); // Update hitbox positions
+		this.updateDebugOverlays(); // Update planner debug overlays
+		this.applyCameraModeEffects(); // Apply visual effects based on camera mode
+
+		this.renderer.render(this.sim.scene, this.sim.camera);
+		// Draw toast messages on top of the 3D scene
+		this.drawToastMessages();
+
+		this.restorePose(stepped);
+	}
+
+	/**
+	 * Remember the vehicle and camera pose before a simulation step
+	 */
+	savePose() {
+		this.previousPose = this.capturePose();
+	}
+
+	capturePose() {
+		const { auv, camera } = this.sim;
+		return {
+			auv, // A newly loaded model has no previous pose to blend from
+			position: auv.position.clone(),
+			rotation: auv.rotation.clone(),
+			attitude: { ...this.sim.dynamics.attitude },
+			cameraPosition: camera.position.clone(),
+			cameraRotation: camera.rotation.clone(),
+		};
+	}
+
+	/**
+	 * Move the vehicle and camera part way from one pose to the next
+	 * Rotations are blended per angle; the simulation keeps heading as an
+	 * unwrapped angle, so the blend never takes the long way round. The
+	 * simulated vehicle only turns about the vertical, so its pitch and roll
+	 * are added to the drawn model here.
+	 * @param {Object} from - Pose before the latest step
+	 * @param {Object} to - Pose after the latest step
+	 * @param {number} alpha - Blend fraction (0-1)
+	 */
+	blendPose(from, to, alpha) {
+		const { auv, camera } = this.sim;
+		const lerp = THREE.MathUtils.lerp;
+
+		auv.position.lerpVectors(from.position, to.position, alpha);
+		auv.rotation.set(
+			lerp(from.rotation.x, to.rotation.x, alpha),
+			lerp(from.rotation.y, to.rotation.y, alpha),
+			lerp(from.rotation.z, to.rotation.z, alpha)
+		);
+
+		// Tilt about the level forward and right axes at the current heading
+		const heading = new THREE.Quaternion().setFromAxisAngle(
+			new THREE.Vector3(0, 1, 0),
+			auv.rotation.z
+		);
+		const tilt = new THREE.Quaternion().setFromEuler(
+			new THREE.Euler(
+				-lerp(from.attitude.pitch, to.attitude.pitch, alpha), // Nose up
+				0,
+				lerp(from.attitude.roll, to.attitude.roll, alpha) // Starboard side down
+			)
+		);
+		auv.quaternion.premultiply(
+			heading.clone().multiply(tilt).multiply(heading.invert())
+		);
+
+		// The free camera moves with the operator's frames, not the steps
+		if (this.sim.isFreeCam) return;
+		camera.position.lerpVectors(
+			from.cameraPosition,
+			to.cameraPosition,
+			alpha
+		);
+		camera.rotation.set(
+			lerp(from.cameraRotation.x, to.cameraRotation.x, alpha),
+			lerp(from.cameraRotation.y, to.cameraRotation.y, alpha),
+			lerp(from.cameraRotation.z, to.cameraRotation.z, alpha)
+		);
+	}
+
+	/**
+	 * Put back the stepped pose so drawing never changes the simulation
+	 * @param {Object} pose - Pose captured before blending
+	 */
+	restorePose(pose) {
+		const { auv, camera } = this.sim;
+		auv.position.copy(pose.position);
+		auv.rotation.copy(pose.rotation);
+		if (this.sim.isFreeCam) return;
+		camera.position.copy(pose.cameraPosition);
+		camera.rotation.copy(pose.cameraRotation);
+	}
+
+	/**
+	 * Outline objects with a sonar return newer than their wireframe
+	 */
+	updateSonarWireframes() {
+		this.sim.sonarSystem.sonarData.forEach((data) => {
+			if (data.object.userData.sonarTimestamp !== data.timestamp) {
+				this.addSonarWireframe(data.object, data.timestamp);
+			}
+		});
+	}
+
+	/**
+	 * Configure underwater lighting environment
+	 * Establishes realistic underwater illumination with surface light filtering
+	 * and vehicle-mounted illumination systems
+	 */
+	setupLighting() {
+		// Ambient underwater illumination (filtered sunlight)
+		const ambientLight = new THREE.AmbientLight(0x4488bb, 0.4);
+		this.sim.scene.add(ambientLight);
+
+		// Primary directional light (simulates filtered surface sunlight)
+		const directionalLight = new THREE.DirectionalLight(0x88ccff, 0.6);
+		directionalLight.position.set(0, 10, 0);
+		directionalLight.castShadow = true;
+		directionalLight.shadow.mapSize.width = 2048;
+		directionalLight.shadow.mapSize.height = 2048;
+		directionalLight.shadow.camera.near = 0.1;
+		directionalLight.shadow.camera.far = 50;
+		directionalLight.shadow.camera.left = -20;
+		directionalLight.shadow.camera.right = 20;
+		directionalLight.shadow.camera.top = 20;
+		directionalLight.shadow.camera.bottom = -20;
+		this.sim.scene.add(directionalLight);
+
+		// Initialize vehicle-mounted lighting systems
+		this.createAUVLights();
+	}
+
+	/**
+	 * Create vehicle-mounted illumination systems
+	 * Provides forward-facing spotlights for enhanced visibility and object illumination
+	 */
+	createAUVLights() {
+		// Port side headlight
+		this.leftHeadlight = new THREE.SpotLight(
+			0xffffff,
+			1,
+			30,
+			Math.PI / 4,
+			0.1
+		);
+		// Starboard side headlight
+		this.rightHeadlight = new THREE.SpotLight(
+			0xffffff,
+			1,
+			30,
+			Math.PI / 4,
+			0.1
+		);
+
+		this.leftHeadlight.castShadow = true;
+		this.rightHeadlight.castShadow = true;
+
+		this.sim.scene.add(this.leftHeadlight);
+		this.sim.scene.add(this.rightHeadlight);
+		this.sim.scene.add(this.leftHeadlight.target);
+		this.sim.scene.add(this.rightHeadlight.target);
+	}
+
+	storeOriginalMaterials() {
+		// Store original material colors before any camera mode effects
+		this.sim.scene.traverse((object) => {
+			if (object.isMesh && object.material && object.material.color) {
+				// Only store if not already stored
+				if (!object.userData.originalMaterial) {
+					object.userData.originalMaterial = {
+						color: object.material.color.clone(),
+						emissive: object.material.emissive
+							? object.material.emissive.clone()
+							: null,
+						opacity: object.material.opacity || 1,
+					};
+				}
+			}
+		});
+	}
+
+	showHitboxes() {
+		if (!this.hitboxHelpers) this.hitboxHelpers = [];
+		// Always remove previous helpers
+		this.hitboxHelpers.forEach((h) => this.sim.scene.remove(h));
+		this.hitboxHelpers = [];
+
+		if (!this.hitboxVisible) return;
+
+		// AUV hitbox
+		if (this.sim.auv) {
+			// Compute the bounding box of the AUV model
+			const auvBox = new THREE.Box3().setFromObject(this.sim.auv);
+			const auvHelper = new THREE.Box3Helper(auvBox, 0xff00ff);
+			this.sim.scene.add(auvHelper);
+			this.hitboxHelpers.push(auvHelper);
+		}
+
+		// Collision objects
+		this.sim.collisionObjects.forEach((obj) => {
+			const box = new THREE.Box3().setFromObject(obj);
+			const helper = new THREE.Box3Helper(box, 0x00ff00);
+			this.sim.scene.add(helper);
+			this.hitboxHelpers.push(helper);
+		});
+	}
+
+	toggleHitboxes() {
+		this.hitboxVisible = !this.hitboxVisible;
+		this.showHitboxes();
+	}
+
+	updateHitboxes() {
+		if (!this.hitboxVisible || !this.hitboxHelpers || !this.sim.auv) return;
+
+		// Update AUV hitbox position (first helper in the array is always the AUV)
+		if (this.hitboxHelpers.length > 0) {
+			const auvHelper = this.hitboxHelpers[0];
+			if (auvHelper) {
+				// Update the AUV bounding box position
+				const auvBox = new THREE.Box3().setFromObject(this.sim.auv);
+				auvHelper.box.copy(auvBox);
+			}
+		}
+	}
+
+	createFloatingParticles() {
+		const particleGeometry = new THREE.BufferGeometry();
+		const particleCount = 500;
+		const positions = new Float32Array(particleCount * 3);
+
+		for (let i = 0; i < particleCount * 3; i += 3) {
+			positions[i] = (Math.random() - 0.5) * 100; // x
+			positions[i + 1] = Math.random() * 20 - 10; // y
+			positions[i + 2] = (Math.random() - 0.5) * 100; // z
+		}
+
+		particleGeometry.setAttribute(
+			"position",
+			new THREE.BufferAttribute(positions, 3)
+		);
+
+		const particleMaterial = new THREE.PointsMaterial({
+			color: 0x88ccff,
+			size: 0.1,
+			transparent: true,
+			opacity: 0.6,
+		});
+
+		this.particles = new THREE.Points(particleGeometry, particleMaterial);
+		this.sim.scene.add(this.particles);
+	}
+
+	loadAUVModel() {
+		// The simulation flies its simple vehicle body until the model loads
+		const mtlLoader = new MTLLoader();
+		mtlLoader.setPath("models/");
+
+		mtlLoader.load("HydroBotAUV.mtl", (materials) => {
+			materials.preload();
+
+			const objLoader = new OBJLoader();
+			objLoader.setMaterials(materials);
+			objLoader.setPath("models/");
+
+			objLoader.load(
+				"HydroBotAUV.obj",
+				(object) => {
+					// Remove temporary AUV
+					if (this.sim.auv) {
+						this.sim.scene.remove(this.sim.auv);
+					}
+
+					// Setup the loaded AUV
+					this.sim.auv = object;
+					this.sim.auv.scale.setScalar(0.15); // Much smaller scale to look more realistic
+					this.sim.auv.position.set(0, 0, 0);
+
+					// Fix AUV orientation - rotate to fix vertical loading
+					this.sim.auv.rotation.x = -Math.PI / 2; // Fix vertical orientation
+					this.sim.auv.rotation.y = 0; // Face forward
+					this.sim.auv.rotation.z = 0; // No initial roll - this will be used for horizontal turning
+
+					// Enable shadows
+					this.sim.auv.traverse((child) => {
+						if (child.isMesh) {
+							child.castShadow = true;
+							child.receiveShadow = true;
+						}
+					});
+
+					this.sim.scene.add(this.sim.auv);
+					this.sim.invalidateOccupancyGrid(); // Inflated for the old body's size
+					this.sim.updateCameraPosition();
+				},
+				(progress) => {
+					console.log("Loading progress:", progress);
+				},
+				(error) => {
+					console.error("Error loading AUV model:", error);
+					// Keep using the temporary AUV if loading fails
+				}
+			);
+		});
+	}
+
+	showAllObjectHitboxes() {
+		// Show wireframes for all collision objects immediately
+		this.sim.collisionObjects.forEach((object) => {
+			if (!object.userData.sonarWireframe) {
+				// Calculate distance for intensity-based coloring
+				const distance = this.sim.auv
+					? this.sim.auv.position.distanceTo(object.position)
+					: 10;
+				const intensity = Math.max(
+					0.3,
+					1 - distance / this.sim.sonarSystem.maxPulseRange
+				);
+
+				// Get realistic sonar colors based on object type and intensity
+				let wireframeColor = 0x0066aa; // Default blue fallback
+
+				switch (
+					object.userData?.type ||
+					object.parent?.userData?.type
+				) {
+					case "survivor":
+						// Survivors: bright red-orange
+						if (intensity > 0.7) {
+							wireframeColor = 0xff4400; // Bright red-orange
+						} else if (intensity > 0.4) {
+							wireframeColor = 0xff8800; // Orange
+						} else {
+							wireframeColor = 0xaa4400; // Dark orange
+						}
+						break;
+					case "building":
+					case "vehicle":
+						// Buildings/vehicles: yellow-orange
+						if (intensity > 0.7) {
+							wireframeColor = 0xffcc00; // Bright yellow
+						} else if (intensity > 0.4) {
+							wireframeColor = 0xff8800; // Orange
+						} else {
+							wireframeColor = 0xcc6600; // Dark orange
+						}
+						break;
+					case "debris":
+						// Debris: cyan-blue
+						if (intensity > 0.7) {
+							wireframeColor = 0x00ffff; // Bright cyan
+						} else if (intensity > 0.4) {
+							wireframeColor = 0x0088ff; // Blue-cyan
+						} else {
+							wireframeColor = 0x004488; // Dark blue
+						}
+						break;
+					default:
+						// Unknown objects: standard sonar progression (blue to yellow)
+						if (intensity > 0.7) {
+							wireframeColor = 0xffff00; // Bright yellow
+						} else if (intensity > 0.4) {
+							wireframeColor = 0x00ffaa; // Cyan-green
+						} else {
+							wireframeColor = 0x0066aa; // Dark blue
+						}
+						break;
+				}
+
+				const wireframe = new THREE.BoxHelper(object, wireframeColor);
+				wireframe.material.transparent = true;
+				wireframe.material.opacity = 0.8;
+				wireframe.userData = {
+					isSonarWireframe: true,
+					parentObject: object,
+				};
+				this.sim.scene.add(wireframe);
+				object.userData.sonarWireframe = wireframe;
+			}
+		});
+
+		// Also show wireframes for search targets (survivors)
+		if (this.sim.searchTargets) {
+			this.sim.searchTargets.forEach((target) => {
+				if (!target.userData.sonarWireframe) {
+					const wireframe = new THREE.BoxHelper(target, 0xff4444);
+					wireframe.material.transparent = true;
+					wireframe.material.opacity = 0.8;
+					wireframe.userData = {
+						isSonarWireframe: true,
+						parentObject: target,
+					};
+					this.sim.scene.add(wireframe);
+					target.userData.sonarWireframe = wireframe;
+				}
+			});
+		}
+	}
+
+	hideAllObjectHitboxes() {
+		// Remove all sonar wireframes
+		this.sim.collisionObjects.forEach((object) => {
+			if (object.userData.sonarWireframe) {
+				this.sim.scene.remove(object.userData.sonarWireframe);
+				delete object.userData.sonarWireframe;
+			}
+		});
+
+		if (this.sim.searchTargets) {
+			this.sim.searchTargets.forEach((target) => {
+				if (target.userData.sonarWireframe) {
+					this.sim.scene.remove(target.userData.sonarWireframe);
+					delete target.userData.sonarWireframe;
+				}
+			});
+		}
+	}
+
+	initializeSonarSystem() {
+		// Create sonar overlay canvas
+		this.sonarCanvas = document.createElement("canvas");
+		this.sonarCanvas.style.position = "absolute";
+		this.sonarCanvas.style.top = "0";
+		this.sonarCanvas.style.left = "0";
+		this.sonarCanvas.style.width = "100%";
+		this.sonarCanvas.style.height = "100%";
+		this.sonarCanvas.style.pointerEvents = "none";
+		this.sonarCanvas.style.zIndex = "10";
+		this.sonarCanvas.style.display = "none";
+
+		// Get canvas context
+		this.sonarCtx = this.sonarCanvas.getContext("2d");
+
+		// Add to DOM
+		this.canvas.parentElement.appendChild(this.sonarCanvas);
+
+		// Create toast overlay canvas
+		this.toastCanvas = document.createElement("canvas");
+		this.toastCanvas.style.position = "absolute";
+		this.toastCanvas.style.top = "0";
+		this.toastCanvas.style.left = "0";
+		this.toastCanvas.style.width = "100%";
+		this.toastCanvas.style.height = "100%";
+		this.toastCanvas.style.pointerEvents = "none";
+		this.toastCanvas.style.zIndex = "20"; // Higher than sonar canvas
+		this.toastCanvas.style.display = "block";
+
+		// Get toast canvas context
+		this.toastCtx = this.toastCanvas.getContext("2d");
+
+		// Add toast canvas to DOM
+		this.canvas.parentElement.appendChild(this.toastCanvas);
+
+		// Set canvas size
+		this.updateSonarCanvasSize();
+	}
+
+	updateSonarCanvasSize() {
+		if (!this.sonarCanvas) return;
+
+		const rect = this.canvas.getBoundingClientRect();
+		this.sonarCanvas.width = rect.width;
+		this.sonarCanvas.height = rect.height;
+
+		// Also update toast canvas size
+		if (this.toastCanvas) {
+			this.toastCanvas.width = rect.width;
+			this.toastCanvas.height = rect.height;
+		}
+	}
+
+	addSonarWireframe(object, timestamp) {
+		// Remove existing sonar wireframe if any
+		if (object.userData.sonarWireframe) {
+			object.parent?.remove(object.userData.sonarWireframe) ||
+				this.sim.scene.remove(object.userData.sonarWireframe);
+		}
+
+		// Calculate distance for intensity-based coloring
+		const distance = this.sim.auv
+			? this.sim.auv.position.distanceTo(object.position)
+			: 10;
+		const intensity = Math.max(
+			0.3,
+			1 - distance / this.sim.sonarSystem.maxPulseRange
+		);
+
+		// Get realistic sonar colors based on object type and intensity
+		let wireframeColor = 0x00ff88; // Default fallback
+
+		switch (object.userData?.type || object.parent?.userData?.type) {
+			case "survivor":
+				// Survivors: bright red-orange
+				if (intensity > 0.7) {
+					wireframeColor = 0xff4400; // Bright red-orange
+				} else if (intensity > 0.4) {
+					wireframeColor = 0xff8800; // Orange
+				} else {
+					wireframeColor = 0xaa4400; // Dark orange
+				}
+				break;
+			case "building":
+			case "vehicle":
+				// Buildings/vehicles: yellow-orange
+				if (intensity > 0.7) {
+					wireframeColor = 0xffcc00; // Bright yellow
+				} else if (intensity > 0.4) {
+					wireframeColor = 0xff8800; // Orange
+				} else {
+					wireframeColor = 0xcc6600; // Dark orange
+				}
+				break;
+			case "debris":
+				// Debris: cyan-blue
+				if (intensity > 0.7) {
+					wireframeColor = 0x00ffff; // Bright cyan
+				} else if (intensity > 0.4) {
+					wireframeColor = 0x0088ff; // Blue-cyan
+				} else {
+					wireframeColor = 0x004488; // Dark blue
+				}
+				break;
+			default:
+				// Unknown objects: standard sonar progression (blue to yellow)
+				if (intensity > 0.7) {
+					wireframeColor = 0xffff00; // Bright yellow
+				} else if (intensity > 0.4) {
+					wireframeColor = 0x00ffaa; // Cyan-green
+				} else {
+					wireframeColor = 0x0066aa; // Dark blue
+				}
+				break;
+		}
+
+		const wireframe = new THREE.BoxHelper(object, wireframeColor);
+		wireframe.material.transparent = true;
+		wireframe.material.opacity = 0.8;
+		wireframe.userData = {
+			isSonarWireframe: true,
+			timestamp: timestamp,
+			parentObject: object,
+		};
+
+		// Add wireframe to scene
+		this.sim.scene.add(wireframe);
+		object.userData.sonarWireframe = wireframe;
+		object.userData.sonarTimestamp = timestamp;
+	}
+
+	cleanupOldSonarData(currentTime) {
+		// Remove sonar data older than fade time and clean up wireframes
+		for (const [key, data] of this.sim.sonarSystem.sonarData.entries()) {
+			if (currentTime - data.timestamp > this.sim.sonarSystem.fadeTime) {
+				// Remove wireframe from the object
+				if (data.object.userData.sonarWireframe) {
+					this.sim.scene.remove(data.object.userData.sonarWireframe);
+					delete data.object.userData.sonarWireframe;
+					delete data.object.userData.sonarTimestamp;
+				}
+				this.sim.sonarSystem.sonarData.delete(key);
+			} else {
+				// Update wireframe opacity based on age
+				if (data.object.userData.sonarWireframe) {
+					const age = currentTime - data.timestamp;
+					const fadeProgress = age / this.sim.sonarSystem.fadeTime;
+					const opacity = Math.max(0.1, 0.8 - fadeProgress);
+					data.object.userData.sonarWireframe.material.opacity =
+						opacity;
+				}
+			}
+		}
+	}
+
+	renderSonarDisplay() {
+		// No radar display - only wireframes in 3D scene
+		return;
+	}
+
+	drawSonarSweepLines(ctx, canvas) {
+		if (!this.sim.auv) return;
+
+		ctx.save();
+
+		// Get AUV screen position
+		const auvPos = this.worldToScreen(this.sim.auv.position);
+		if (auvPos.z > 1) return; // Behind camera
+
+		// Draw forward-facing sonar sweep lines
+		const currentTime = this.sim.now();
+		const sweepCount = 5; // More sweep lines for forward scanning
+		const forwardArcAngle = Math.PI * 0.75; // 135 degree forward arc
+		const sweepLength = 300;
+
+		// Get AUV's forward direction
+		const forward = new THREE.Vector3(0, 0, 1);
+		forward.applyQuaternion(this.sim.auv.quaternion);
+
+		// Calculate base angle for AUV's forward direction
+		const baseAngle = Math.atan2(forward.x, forward.z);
+
+		for (let i = 0; i < sweepCount; i++) {
+			// Create sweeping motion within the forward arc
+			const sweepProgress = (currentTime * 0.002 + i * 0.3) % 2; // Slower sweep
+			let sweepAngle;
+
+			if (sweepProgress <= 1) {
+				// Sweep from left to right
+				sweepAngle =
+					baseAngle +
+					-forwardArcAngle / 2 +
+					sweepProgress * forwardArcAngle;
+			} else {
+				// Sweep from right to left
+				sweepAngle =
+					baseAngle +
+					forwardArcAngle / 2 -
+					(sweepProgress - 1) * forwardArcAngle;
+			}
+
+			// Calculate sweep line end point
+			const endX = auvPos.x + Math.sin(sweepAngle) * sweepLength;
+			const endY = auvPos.y - Math.cos(sweepAngle) * sweepLength; // Negative for correct screen orientation
+
+			// Draw sweep line with fade
+			const alpha = 0.4 - i * 0.05;
+			ctx.strokeStyle = `rgba(0, 255, 136, ${alpha})`;
+			ctx.lineWidth = 2;
+
+			ctx.beginPath();
+			ctx.moveTo(auvPos.x, auvPos.y);
+			ctx.lineTo(endX, endY);
+			ctx.stroke();
+		}
+
+		// Draw forward arc boundaries
+		ctx.strokeStyle = `rgba(0, 255, 136, 0.2)`;
+		ctx.lineWidth = 1;
+
+		// Left boundary
+		const leftAngle = baseAngle - forwardArcAngle / 2;
+		ctx.beginPath();
+		ctx.moveTo(auvPos.x, auvPos.y);
+		ctx.lineTo(
+			auvPos.x + Math.sin(leftAngle) * sweepLength * 0.8,
+			auvPos.y - Math.cos(leftAngle) * sweepLength * 0.8
+		);
+		ctx.stroke();
+
+		// Right boundary
+		const rightAngle = baseAngle + forwardArcAngle / 2;
+		ctx.beginPath();
+		ctx.moveTo(auvPos.x, auvPos.y);
+		ctx.lineTo(
+			auvPos.x + Math.sin(rightAngle) * sweepLength * 0.8,
+			auvPos.y - Math.cos(rightAngle) * sweepLength * 0.8
+		);
+		ctx.stroke();
+
+		ctx.restore();
+	}
+
+	drawSonarObjectShapes(ctx, canvas) {
+		// No longer need to draw on canvas - using actual 3D wireframes instead
+		// The wireframes are added directly to the 3D scene in recordSonarReturn
+		return;
+	}
+
+	drawFullScaleObject(ctx, object, screenPos, color, alpha) {
+		ctx.save();
+		ctx.strokeStyle = color;
+		ctx.fillStyle = color.replace(/[\d\.]+\)$/g, `${alpha * 0.4})`);
+		ctx.lineWidth = 2;
+
+		// Calculate object's actual bounding box
+		const bbox = new THREE.Box3().setFromObject(object);
+		const size = bbox.getSize(new THREE.Vector3());
+
+		// Calculate proper scale factor for realistic size on screen
+		const distance =
+			this.sim.camera.position.distanceTo(object.position) || 1;
+		const scaleFactor = 200 / distance; // Larger scale for full visibility
+		const width = size.x * scaleFactor;
+		const height = size.z * scaleFactor;
+
+		// Draw based on object type with full scale
+		switch (object.userData?.type || object.parent?.userData?.type) {
+			case "building":
+				// Draw full building rectangle
+				ctx.fillRect(
+					screenPos.x - width / 2,
+					screenPos.y - height / 2,
+					width,
+					height
+				);
+				ctx.strokeRect(
+					screenPos.x - width / 2,
+					screenPos.y - height / 2,
+					width,
+					height
+				);
+				break;
+
+			case "vehicle":
+				// Draw full vehicle as rounded rectangle
+				const radius = Math.min(width, height) * 0.2;
+				this.drawRoundedRect(
+					ctx,
+					screenPos.x - width / 2,
+					screenPos.y - height / 2,
+					width,
+					height,
+					radius
+				);
+				ctx.fill();
+				ctx.stroke();
+				break;
+
+			case "survivor":
+				// Draw survivor as large circle
+				const survivorRadius = Math.max(
+					20,
+					Math.max(width, height) / 2
+				);
+				ctx.beginPath();
+				ctx.arc(
+					screenPos.x,
+					screenPos.y,
+					survivorRadius,
+					0,
+					Math.PI * 2
+				);
+				ctx.fill();
+				ctx.stroke();
+
+				// Draw cross
+				ctx.strokeStyle = "rgba(255, 255, 255, 0.9)";
+				ctx.lineWidth = 4;
+				ctx.beginPath();
+				ctx.moveTo(screenPos.x - 10, screenPos.y);
+				ctx.lineTo(screenPos.x + 10, screenPos.y);
+				ctx.moveTo(screenPos.x, screenPos.y - 10);
+				ctx.lineTo(screenPos.x, screenPos.y + 10);
+				ctx.stroke();
+				break;
+
+			case "debris":
+			case "floating_debris":
+				// Draw debris as irregular polygon
+				const debrisSize = Math.max(15, Math.max(width, height) / 2);
+				ctx.beginPath();
+				for (let i = 0; i < 8; i++) {
+					const angle = (i / 8) * Math.PI * 2;
+					const radius = debrisSize * (0.7 + Math.sin(i * 2) * 0.3);
+					const x = screenPos.x + Math.cos(angle) * radius;
+					const y = screenPos.y + Math.sin(angle) * radius;
+					if (i === 0) ctx.moveTo(x, y);
+					else ctx.lineTo(x, y);
+				}
+				ctx.closePath();
+				ctx.fill();
+				ctx.stroke();
+				break;
+
+			default:
+				// Default - large circle
+				const defaultRadius = Math.max(15, Math.max(width, height) / 2);
+				ctx.beginPath();
+				ctx.arc(
+					screenPos.x,
+					screenPos.y,
+					defaultRadius,
+					0,
+					Math.PI * 2
+				);
+				ctx.fill();
+				ctx.stroke();
+				break;
+		}
+
+		ctx.restore();
+	}
+
+	drawRoundedRect(ctx, x, y, width, height, radius) {
+		ctx.beginPath();
+		ctx.moveTo(x + radius, y);
+		ctx.lineTo(x + width - radius, y);
+		ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
+		ctx.lineTo(x + width, y + height - radius);
+		ctx.quadraticCurveTo(
+			x + width,
+			y + height,
+			x + width - radius,
+			y + height
+		);
+		ctx.lineTo(x + radius, y + height);
+		ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
+		ctx.lineTo(x, y + radius);
+		ctx.quadraticCurveTo(x, y, x + radius, y);
+		ctx.closePath();
+	}
+
+	drawSonarHitPoint(ctx, screenPos, color, alpha, intensity, type) {
+		ctx.save();
+
+		// Size based on intensity and type
+		let baseSize = 2 + intensity * 4;
+		if (type === "survivor") baseSize *= 1.5; // Make survivors more visible
+		if (type === "building") baseSize *= 1.2; // Buildings slightly larger
+
+		// Draw hit point with glow effect
+		ctx.shadowColor = color;
+		ctx.shadowBlur = 8 * alpha;
+		ctx.fillStyle = color;
+
+		// Main hit point
+		ctx.beginPath();
+		ctx.arc(screenPos.x, screenPos.y, baseSize, 0, Math.PI * 2);
+		ctx.fill();
+
+		// Draw additional visual indicator based on type
+		ctx.shadowBlur = 0;
+		ctx.strokeStyle = color;
+		ctx.lineWidth = 1;
+
+		switch (type) {
+			case "building":
+				// Square outline for buildings
+				ctx.strokeRect(
+					screenPos.x - baseSize - 2,
+					screenPos.y - baseSize - 2,
+					(baseSize + 2) * 2,
+					(baseSize + 2) * 2
+				);
+				break;
+			case "vehicle":
+				// Diamond shape for vehicles
+				ctx.beginPath();
+				ctx.moveTo(screenPos.x, screenPos.y - baseSize - 3);
+				ctx.lineTo(screenPos.x + baseSize + 3, screenPos.y);
+				ctx.lineTo(screenPos.x, screenPos.y + baseSize + 3);
+				ctx.lineTo(screenPos.x - baseSize - 3, screenPos.y);
+				ctx.closePath();
+				ctx.stroke();
+				break;
+			case "survivor":
+				// Cross for survivors
+				ctx.beginPath();
+				ctx.moveTo(screenPos.x - baseSize - 3, screenPos.y);
+				ctx.lineTo(screenPos.x + baseSize + 3, screenPos.y);
+				ctx.moveTo(screenPos.x, screenPos.y - baseSize - 3);
+				ctx.lineTo(screenPos.x, screenPos.y + baseSize + 3);
+				ctx.stroke();
+				break;
+			case "debris":
+				// Irregular outline for debris
+				ctx.beginPath();
+				for (let i = 0; i < 6; i++) {
+					const angle = (i / 6) * Math.PI * 2;
+					const radius = baseSize + 2 + Math.sin(i) * 2;
+					const x = screenPos.x + Math.cos(angle) * radius;
+					const y = screenPos.y + Math.sin(angle) * radius;
+					if (i === 0) ctx.moveTo(x, y);
+					else ctx.lineTo(x, y);
+				}
+				ctx.closePath();
+				ctx.stroke();
+				break;
+		}
+
+		ctx.restore();
+	}
+
+	drawObjectOutline(ctx, object, screenPos, color, alpha) {
+		ctx.save();
+		ctx.strokeStyle = color;
+		ctx.fillStyle = color.replace(/[\d\.]+\)$/g, `${alpha * 0.2})`); // Semi-transparent fill
+		ctx.lineWidth = 2;
+
+		// Get object's bounding box for size reference
+		const bbox = new THREE.Box3().setFromObject(object);
+		const size = bbox.getSize(new THREE.Vector3());
+
+		// Scale factor for screen space
+		const scaleFactor =
+			100 / (this.sim.camera.position.distanceTo(object.position) || 1);
+		const width = size.x * scaleFactor;
+		const height = size.z * scaleFactor; // Use Z for width in screen space
+
+		switch (object.userData?.type) {
+			case "building":
+				// Draw building as rectangle
+				ctx.strokeRect(
+					screenPos.x - width / 2,
+					screenPos.y - height / 2,
+					width,
+					height
+				);
+				ctx.fillRect(
+					screenPos.x - width / 2,
+					screenPos.y - height / 2,
+					width,
+					height
+				);
+				break;
+
+			case "vehicle":
+				// Draw vehicle as rounded rectangle
+				const radius = Math.min(width, height) * 0.2;
+				this.drawRoundedRect(
+					ctx,
+					screenPos.x - width / 2,
+					screenPos.y - height / 2,
+					width,
+					height,
+					radius
+				);
+				break;
+
+			case "survivor":
+				// Draw survivor as circle with cross
+				const survivorRadius = Math.max(8, width / 2);
+				ctx.beginPath();
+				ctx.arc(
+					screenPos.x,
+					screenPos.y,
+					survivorRadius,
+					0,
+					Math.PI * 2
+				);
+				ctx.stroke();
+				ctx.fill();
+
+				// Draw cross inside
+				ctx.strokeStyle = "rgba(255, 255, 255, 0.8)";
+				ctx.lineWidth = 2;
+				ctx.beginPath();
+				ctx.moveTo(screenPos.x - 4, screenPos.y);
+				ctx.lineTo(screenPos.x + 4, screenPos.y);
+				ctx.moveTo(screenPos.x, screenPos.y - 4);
+				ctx.lineTo(screenPos.x, screenPos.y + 4);
+				ctx.stroke();
+				break;
+
+			case "debris":
+				// Draw debris as irregular shape
+				const debrisSize = Math.max(6, width / 2);
+				ctx.beginPath();
+				for (let i = 0; i < 6; i++) {
+					const angle = (i / 6) * Math.PI * 2;
+					const radius = debrisSize * (0.7 + Math.random() * 0.3);
+					const x = screenPos.x + Math.cos(angle) * radius;
+					const y = screenPos.y + Math.sin(angle) * radius;
+					if (i === 0) ctx.moveTo(x, y);
+					else ctx.lineTo(x, y);
+				}
+				ctx.closePath();
+				ctx.stroke();
+				ctx.fill();
+				break;
+
+			default:
+				// Draw unknown objects as diamonds
+				const diamondSize = Math.max(8, width / 2);
+				ctx.beginPath();
+				ctx.moveTo(screenPos.x, screenPos.y - diamondSize);
+				ctx.lineTo(screenPos.x + diamondSize, screenPos.y);
+				ctx.lineTo(screenPos.x, screenPos.y + diamondSize);
+				ctx.lineTo(screenPos.x - diamondSize, screenPos.y);
+				ctx.closePath();
+				ctx.stroke();
+				ctx.fill();
+				break;
+		}
+
+		ctx.restore();
+	}
+
+	drawRoundedRect(ctx, x, y, width, height, radius) {
+		ctx.beginPath();
+		ctx.moveTo(x + radius, y);
+		ctx.lineTo(x + width - radius, y);
+		ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
+		ctx.lineTo(x + width, y + height - radius);
+		ctx.quadraticCurveTo(
+			x + width,
+			y + height,
+			x + width - radius,
+			y + height
+		);
+		ctx.lineTo(x + radius, y + height);
+		ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
+		ctx.lineTo(x, y + radius);
+		ctx.quadraticCurveTo(x, y, x + radius, y);
+		ctx.closePath();
+		ctx.stroke();
+		ctx.fill();
+	}
+
+	drawSonarPulseRings(ctx, canvas) {
+		if (!this.sim.auv) return;
+
+		ctx.save();
+
+		// Get AUV screen position for pulse center
+		const auvPos = this.worldToScreen(this.sim.auv.position);
+		if (auvPos.z > 1) return;
+
+		// Draw expanding pulse rings
+		this.sim.sonarSystem.pulses.forEach((pulse) => {
+			const distance = pulse.radius;
+			const screenRadius = distance * 10; // Scale to screen space
+
+			if (screenRadius < 5) return;
+
+			// Pulse ring
+			ctx.strokeStyle = "rgba(0, 255, 136, 0.6)";
+			ctx.lineWidth = 2;
+			ctx.globalAlpha = 0.8;
+
+			ctx.beginPath();
+			ctx.arc(centerX, centerY, pulseRadius, 0, Math.PI * 2);
+			ctx.stroke();
+
+			// Draw pulse fade effect (only if radius is large enough)
+			if (screenRadius > 20) {
+				const innerRadius = Math.max(0, screenRadius - 5);
+				const outerRadius = screenRadius + 5;
+
+				const gradient = ctx.createRadialGradient(
+					centerX,
+					centerY,
+					innerRadius,
+					centerX,
+					centerY,
+					outerRadius
+				);
+				gradient.addColorStop(0, "rgba(0, 255, 136, 0)");
+				gradient.addColorStop(0.5, "rgba(0, 255, 136, 0.3)");
+				gradient.addColorStop(1, "rgba(0, 255, 136, 0)");
+
+				ctx.strokeStyle = gradient;
+				ctx.lineWidth = 10;
+				ctx.globalAlpha = 0.4;
+				ctx.beginPath();
+				ctx.arc(centerX, centerY, pulseRadius, 0, Math.PI * 2);
+				ctx.stroke();
+			}
+		});
+
+		ctx.restore();
+	}
+
+	drawSonarInfoOverlay(ctx, canvas) {
+		ctx.save();
+
+		// Sonar status info with realistic sonar amber color
+		ctx.fillStyle = "rgba(255, 200, 100, 0.9)";
+		ctx.font = "16px monospace";
+		ctx.fillText("SONAR ACTIVE - SHOWING ALL HITBOXES", 20, 30);
+
+		ctx.font = "12px monospace";
+		ctx.fillText(
+			`Total objects: ${this.sim.collisionObjects.length}`,
+			20,
+			50
+		);
+		if (this.sim.searchTargets) {
+			ctx.fillText(`Survivors: ${this.sim.searchTargets.length}`, 20, 70);
+		}
+
+		// Search and Rescue Panel
+		ctx.fillStyle = "#ffaa00";
+		ctx.font = "14px monospace";
+		ctx.fillText("SEARCH & RESCUE", 20, 110);
+
+		ctx.font = "12px monospace";
+		ctx.fillStyle = "#ffffff";
+
+		if (this.sim.foundSurvivors.length > 0) {
+			ctx.fillText(
+				`Found Survivors: ${this.sim.foundSurvivors.length}`,
+				20,
+				130
+			);
+			this.sim.foundSurvivors.forEach((survivor, index) => {
+				if (!survivor.rescued) {
+					ctx.fillText(
+						`• Survivor ${index + 1} - Press SPACE to rescue`,
+						20,
+						150 + index * 20
+					);
+				}
+			});
+		} else {
+			ctx.fillText("No survivors found yet", 20, 130);
+		}
+
+		ctx.restore();
+	}
+
+	drawToastMessages() {
+		if (
+			!this.toastCanvas ||
+			!this.toastCtx ||
+			this.sim.rescueMessages.length === 0
+		)
+			return;
+
+		// Clear the toast canvas
+		this.toastCtx.clearRect(
+			0,
+			0,
+			this.toastCanvas.width,
+			this.toastCanvas.height
+		);
+
+		this.toastCtx.save();
+
+		// Draw each rescue message as a toast notification
+		this.sim.rescueMessages.forEach((message, index) => {
+			const currentTime = this.sim.now();
+			const age = currentTime - message.timestamp;
+			const progress = age / message.duration;
+
+			// Calculate opacity with fade out effect
+			let alpha = 1;
+			if (progress > 0.7) {
+				// Start fading out in the last 30% of duration
+				alpha = 1 - (progress - 0.7) / 0.3;
+			}
+
+			if (alpha <= 0) return;
+
+			// Toast position (centered horizontally, stacked vertically)
+			const toastWidth = 400;
+			const toastHeight = 60;
+			const x = (this.toastCanvas.width - toastWidth) / 2;
+			const y = 100 + index * (toastHeight + 10); // Stack multiple toasts
+
+			// Draw toast background
+			this.toastCtx.fillStyle = `rgba(0, 0, 0, ${0.8 * alpha})`;
+			this.toastCtx.strokeStyle = `rgba(0, 255, 0, ${alpha})`;
+			this.toastCtx.lineWidth = 2;
+
+			// Rounded rectangle background
+			this.drawRoundedRect(
+				this.toastCtx,
+				x,
+				y,
+				toastWidth,
+				toastHeight,
+				10
+			);
+			this.toastCtx.fill();
+			this.toastCtx.stroke();
+
+			// Draw text
+			this.toastCtx.fillStyle = `rgba(0, 255, 0, ${alpha})`;
+			this.toastCtx.font = "bold 18px monospace";
+			this.toastCtx.textAlign = "center";
+			this.toastCtx.fillText(
+				message.text,
+				x + toastWidth / 2,
+				y + toastHeight / 2 + 6
+			);
+		});
+
+		this.toastCtx.restore();
+	}
+
+	worldToScreen(worldPos) {
+		// Convert 3D world position to 2D screen coordinates
+		const vector = worldPos.clone().project(this.sim.camera);
+
+		const canvas = this.sonarCanvas || this.canvas;
+		const x = ((vector.x + 1) * canvas.width) / 2;
+		const y = ((-vector.y + 1) * canvas.height) / 2;
+
+		return { x, y, z: vector.z };
+	}
+
+	// Removed drawSonarPulses method - no longer using pulse system
+
+	drawSonarReturns(ctx, centerX, centerY, scale) {
+		const currentTime = this.sim.now();
+
+		ctx.save();
+
+		// Draw all sonar returns as a proper sonar image
+		for (const [
+			key,
+			returnData,
+		] of this.sim.sonarSystem.sonarData.entries()) {
+			const age = currentTime - returnData.timestamp;
+			const fadeProgress = age / this.sim.sonarSystem.fadeTime;
+			const alpha = Math.max(0, 1 - fadeProgress);
+
+			if (alpha <= 0) continue;
+
+			// Convert polar coordinates to screen position
+			// Apply AUV heading offset so display rotates with AUV
+			const auvHeading = this.sim.auv ? this.sim.auv.rotation.z : 0; // Z rotation for horizontal turning
+			const angleRad = (returnData.angle * Math.PI) / 180 + auvHeading;
+			const distance = returnData.distance * scale;
+
+			const x = centerX + Math.cos(angleRad - Math.PI / 2) * distance;
+			const y = centerY + Math.sin(angleRad - Math.PI / 2) * distance;
+
+			// Color based on intensity and age
+			let intensity = returnData.intensity * alpha;
+
+			// Different colors for different object types
+			let r, g, b;
+			switch (returnData.type) {
+				case "building":
+					r = Math.floor(255 * intensity);
+					g = Math.floor(100 * intensity);
+					b = 0;
+					break;
+				case "vehicle":
+					r = Math.floor(255 * intensity);
+					g = Math.floor(255 * intensity);
+					b = 0;
+					break;
+				case "survivor":
+					r = Math.floor(255 * intensity);
+					g = 0;
+					b = 0;
+					break;
+				default:
+					r = 0;
+					g = Math.floor(255 * intensity);
+					b = Math.floor(100 * intensity);
+					break;
+			}
+
+			// Draw the sonar return pixel
+			ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${alpha})`;
+			ctx.fillRect(x - 1, y - 1, 3, 3);
+
+			// Add glow effect for strong returns
+			if (intensity > 0.7) {
+				ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${alpha * 0.3})`;
+				ctx.fillRect(x - 2, y - 2, 5, 5);
+			}
+		}
+
+		ctx.restore();
+	}
+
+	drawSonarGrid(ctx, centerX, centerY, maxRadius) {
+		ctx.save();
+		ctx.strokeStyle = "rgba(0, 255, 136, 0.2)";
+		ctx.lineWidth = 1;
+
+		// Range rings
+		const ringCount = 5;
+		for (let i = 1; i <= ringCount; i++) {
+			const radius = (maxRadius / ringCount) * i;
+			ctx.beginPath();
+			ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+			ctx.stroke();
+
+			// Range labels
+			ctx.fillStyle = "rgba(0, 255, 136, 0.6)";
+			ctx.font = "12px Courier New";
+			ctx.textAlign = "center";
+			const range = (this.sim.sonarSystem.maxPulseRange / ringCount) * i;
+			ctx.fillText(range.toFixed(0) + "m", centerX + radius, centerY - 5);
+		}
+
+		// Bearing lines (every 30 degrees) - rotate with AUV heading
+		const auvHeading = this.sim.auv ? this.sim.auv.rotation.z : 0;
+		for (let angle = 0; angle < 360; angle += 30) {
+			const angleRad = (angle * Math.PI) / 180 + auvHeading;
+			const x1 = centerX + Math.cos(angleRad - Math.PI / 2) * 20;
+			const y1 = centerY + Math.sin(angleRad - Math.PI / 2) * 20;
+			const x2 = centerX + Math.cos(angleRad - Math.PI / 2) * maxRadius;
+			const y2 = centerY + Math.sin(angleRad - Math.PI / 2) * maxRadius;
+
+			ctx.beginPath();
+			ctx.moveTo(x1, y1);
+			ctx.lineTo(x2, y2);
+			ctx.stroke();
+
+			// Bearing labels - show relative bearing
+			ctx.fillStyle = "rgba(0, 255, 136, 0.8)";
+			ctx.font = "14px Courier New";
+			ctx.textAlign = "center";
+			const labelX =
+				centerX + Math.cos(angleRad - Math.PI / 2) * (maxRadius + 15);
+			const labelY =
+				centerY + Math.sin(angleRad - Math.PI / 2) * (maxRadius + 15);
+
+			// Show relative bearing (0° is always forward for the AUV)
+			const relativeBearing = angle;
+			ctx.fillText(relativeBearing + "°", labelX, labelY);
+		}
+
+		// Center point (AUV position)
+		ctx.fillStyle = this.sim.sonarSystem.pulseColor;
+		ctx.beginPath();
+		ctx.arc(centerX, centerY, 3, 0, Math.PI * 2);
+		ctx.fill();
+
+		ctx.restore();
+	}
+
+	drawSonarInfo(ctx, canvas) {
+		ctx.save();
+		ctx.fillStyle = "rgba(0, 255, 136, 0.8)";
+		ctx.font = "16px Courier New";
+		ctx.textAlign = "left";
+
+		// Sonar info display
+		const info = [
+			`SONAR ACTIVE`,
+			`Range: ${this.sim.sonarSystem.maxPulseRange}m`,
+			`Pulses: ${this.sim.sonarSystem.pulses.length}`,
+			`Returns: ${this.sim.sonarSystem.sonarData.size}`,
+		];
+
+		info.forEach((text, index) => {
+			ctx.fillText(text, 20, 30 + index * 20);
+		});
+
+		// Pulse indicator
+		if (this.sim.sonarSystem.pulses.length > 0) {
+			const pulseAge =
+				this.sim.now() -
+				this.sim.sonarSystem.pulses[
+					this.sim.sonarSystem.pulses.length - 1
+				].timestamp;
+			const pulseFlash = Math.sin(pulseAge * 0.01) * 0.5 + 0.5;
+			ctx.fillStyle = `rgba(0, 255, 136, ${pulseFlash})`;
+			ctx.fillText("● PING", canvas.width - 100, 30);
+		}
+
+		ctx.restore();
+	}
+
+	applyCameraEffects() {
+		// Reset renderer effects
+		this.renderer.setClearColor(0x004466, 1.0);
+
+		// Update sonar canvas visibility
+		if (this.sonarCanvas) {
+			this.sonarCanvas.style.display =
+				this.sim.cameraMode === "sonar" ? "block" : "none";
+		}
+
+		switch (this.sim.cameraMode) {
+			case "optical":
+				// Normal underwater view
+				this.sim.scene.fog.color.setHex(0x006994);
+				this.sim.scene.fog.near = 1;
+				this.sim.scene.fog.far = 50;
+				break;
+
+			case "sonar":
+				// Sonar view - darker with green tint
+				this.renderer.setClearColor(0x001100, 1.0);
+				this.sim.scene.fog.color.setHex(0x002200);
+				this.sim.scene.fog.near = 0.5;
+				this.sim.scene.fog.far = 30;
+				break;
+		}
+	}
+
+	updateHeadlights() {
+		if (!this.sim.auv || !this.leftHeadlight || !this.rightHeadlight)
+			return;
+
+		// Position headlights at the front of the AUV - adjusted for rotated AUV
+		const leftPos = new THREE.Vector3(0.2, -2, 0.1); // Adjusted for rotated AUV
+		const rightPos = new THREE.Vector3(-0.2, -2, 0.1); // Adjusted for rotated AUV
+
+		leftPos.applyQuaternion(this.sim.auv.quaternion);
+		rightPos.applyQuaternion(this.sim.auv.quaternion);
+
+		leftPos.add(this.sim.auv.position);
+		rightPos.add(this.sim.auv.position);
+
+		this.leftHeadlight.position.copy(leftPos);
+		this.rightHeadlight.position.copy(rightPos);
+
+		// Point headlights north (negative Y direction) - LED lights now face north
+		const targetPos = new THREE.Vector3(0, -5, 0); // Changed to negative Y to point north
+		targetPos.applyQuaternion(this.sim.auv.quaternion);
+		targetPos.add(this.sim.auv.position);
+
+		this.leftHeadlight.target.position.copy(targetPos);
+		this.rightHeadlight.target.position.copy(targetPos);
+
+		// Switched off by the operator or shed in a brownout
+		this.leftHeadlight.visible = this.sim.isHeadlightOn("left");
+		this.rightHeadlight.visible = this.sim.isHeadlightOn("right");
+	}
+
+	/**
+	 * @param {number} dt - Real time since the last frame (seconds)
+	 */
+	animateParticles(dt) {
+		if (this.particles) {
+			// Slowly rotate particles to simulate water movement
+			this.particles.rotation.y += 0.06 * dt;
+
+			// Move particles slightly
+			const positions = this.particles.geometry.attributes.position.array;
+			for (let i = 1; i < positions.length; i += 3) {
+				positions[i] += Math.sin(Date.now() * 0.001 + i) * 0.06 * dt;
+			}
+			this.particles.geometry.attributes.position.needsUpdate = true;
+		}
+	}
+
+	onWindowResize() {
+		const rect = this.canvas.getBoundingClientRect();
+		const width = rect.width || window.innerWidth;
+		const height = rect.height || window.innerHeight;
+
+		this.sim.camera.aspect = width / height;
+		this.sim.camera.updateProjectionMatrix();
+		this.renderer.setSize(width, height);
+		this.renderer.setPixelRatio(window.devicePixelRatio);
+
+		// Update sonar canvas size
+		this.updateSonarCanvasSize();
+	}
+
+	applyCameraModeEffects() {
+		// Apply different visual effects based on camera mode
+		this.sim.scene.traverse((object) => {
+			if (object.isMesh && object.material && object.material.color) {
+				// Store original material if not already stored
+				if (!object.userData.originalMaterial) {
+					object.userData.originalMaterial = {
+						color: object.material.color.clone(),
+						emissive: object.material.emissive
+							? object.material.emissive.clone()
+							: null,
+						opacity: object.material.opacity || 1,
+					};
+				}
+
+				switch (this.sim.cameraMode) {
+					case "optical":
+						// Normal view - restore original colors
+						object.material.color.copy(
+							object.userData.originalMaterial.color
+						);
+						if (
+							object.userData.originalMaterial.emissive &&
+							object.material.emissive
+						) {
+							object.material.emissive.copy(
+								object.userData.originalMaterial.emissive
+							);
+						}
+						object.material.opacity =
+							object.userData.originalMaterial.opacity;
+						// Restore scene background and fog for optical mode
+						this.sim.scene.background = new THREE.Color(0x000811);
+						this.renderer.setClearColor(0x000811, 1.0);
+						if (this.sim.scene.fog) {
+							this.sim.scene.fog.color.setHex(0x006994);
+							this.sim.scene.fog.near = 1;
+							this.sim.scene.fog.far = 50;
+						}
+						break;
+					case "sonar":
+						// Sonar view - green monochrome with distance-based intensity
+						if (this.sim.auv && object !== this.sim.auv) {
+							const distance = this.sim.auv.position.distanceTo(
+								object.position
+							);
+							const intensity = Math.max(0.1, 1 - distance / 50);
+							object.material.color.setRGB(0, intensity, 0);
+							if (object.material.emissive) {
+								object.material.emissive.setRGB(
+									0,
+									intensity * 0.2,
+									0
+								);
+							}
+						}
+						break;
+				}
+
+				// Force material update
+				object.material.needsUpdate = true;
+			}
+		});
+	}
+
+	// Planner debug overlays
+	/**
+	 * Show or hide a planner debug overlay
+	 * Search data is only recorded for plans made while the search overlay
+	 * is visible, so it appears with the next plan.
+	 * @param {string} name - 'path', 'search', 'costmap' or 'target'
+	 * @returns {boolean} True if the overlay is now visible
+	 */
+	toggleDebugOverlay(name) {
+		const overlay = this.debugOverlays[name];
+		if (!overlay) return false;
+
+		overlay.visible = !overlay.visible;
+		if (!overlay.visible) this.clearDebugOverlay(name);
+		this.sim.recordPlanDebug = this.debugOverlays.search.visible;
+		return overlay.visible;
+	}
+
+	getDebugOverlays() {
+		const visible = {};
+		Object.entries(this.debugOverlays).forEach(([name, overlay]) => {
+			visible[name] = overlay.visible;
+		});
+		return visible;
+	}
+
+	clearDebugOverlay(name) {
+		const overlay = this.debugOverlays[name];
+		if (overlay.object) {
+			this.sim.scene.remove(overlay.object);
+			overlay.object.traverse((child) => {
+				if (child.geometry) child.geometry.dispose();
+				if (child.material) child.material.dispose();
+			});
+		}
+		overlay.object = null;
+		overlay.source = undefined;
+	}
+
+	/**
+	 * Rebuild an overlay when the data it shows has changed
+	 * @param {string} name - Overlay name
+	 * @param {*} source - Data the overlay is built from (compared by identity)
+	 * @param {Function} build - Creates the overlay object (or null) from the source
+	 */
+	refreshDebugOverlay(name, source, build) {
+		const overlay = this.debugOverlays[name];
+		if (overlay.source === source) return;
+
+		this.clearDebugOverlay(name);
+		overlay.source = source;
+		overlay.object = source ? build(source) : null;
+		if (overlay.object) this.sim.scene.add(overlay.object);
+	}
+
+	updateDebugOverlays() {
+		const overlays = this.debugOverlays;
+
+		if (overlays.path.visible) {
+			this.refreshDebugOverlay("path", this.sim.autopilot.path, (path) =>
+				this.createPathOverlay(path)
+			);
+		}
+
+		if (overlays.search.visible) {
+			this.refreshDebugOverlay(
+				"search",
+				this.sim.lastPlanDebug,
+				(debug) => this.createSearchOverlay(debug)
+			);
+		}
+
+		if (overlays.costmap.visible) {
+			// The sonar-built map fills in as the vehicle moves
+			const grid = this.sim.getNavigationGrid();
+			const costmap = overlays.costmap;
+			if (
+				costmap.object &&
+				this.sim.plannerSettings.sensorLimited &&
+				this.sim.now() - costmap.object.userData.builtAt >
+					this.costmapRefreshInterval
+			) {
+				this.clearDebugOverlay("costmap");
+			}
+			this.refreshDebugOverlay("costmap", grid, (source) =>
+				this.createCostmapOverlay(source)
+			);
+		}
+
+		if (overlays.target.visible) {
+			this.updateTargetOverlay();
+		}
+	}
+
+	/**
+	 * Polyline through the planned waypoints
+	 * @param {THREE.Vector3[]} path - Autopilot waypoints
+	 * @returns {THREE.Group|null} Overlay object
+	 */
+	createPathOverlay(path) {
+		if (path.length < 2) return null;
+
+		const group = new THREE.Group();
+		group.add(
+			new THREE.Line(
+				new THREE.BufferGeometry().setFromPoints(path),
+				new THREE.LineBasicMaterial({ color: 0xffff00, fog: false })
+			)
+		);
+		group.add(
+			new THREE.Points(
+				new THREE.BufferGeometry().setFromPoints(path),
+				new THREE.PointsMaterial({
+					color: 0xffff00,
+					size: 0.5,
+					fog: false,
+				})
+			)
+		);
+		return group;
+	}
+
+	/**
+	 * Expanded nodes and search tree edges of the last plan
+	 * @param {{nodes: THREE.Vector3[], edges: THREE.Vector3[][]}} debug - Planner search data
+	 * @returns {THREE.Group} Overlay object
+	 */
+	createSearchOverlay(debug) {
+		const group = new THREE.Group();
+
+		if (debug.nodes && debug.nodes.length > 0) {
+			group.add(
+				new THREE.Points(
+					new THREE.BufferGeometry().setFromPoints(debug.nodes),
+					new THREE.PointsMaterial({
+						color: 0xff66ff,
+						fog: false,
+						size: 0.3,
+						transparent: true,
+						opacity: 0.5,
+						depthWrite: false,
+					})
+				)
+			);
+		}
+
+		if (debug.edges && debug.edges.length > 0) {
+			group.add(
+				new THREE.LineSegments(
+					new THREE.BufferGeometry().setFromPoints(
+						debug.edges.flat()
+					),
+					new THREE.LineBasicMaterial({
+						color: 0x66ffcc,
+						fog: false,
+						transparent: true,
+						opacity: 0.6,
+					})
+				)
+			);
+		}
+
+		return group;
+	}
+
+	/**
+	 * Semi-transparent voxels for every blocked cell of the planning grid
+	 * Blocked cells include the clearance inflation around obstacles.
+	 * @param {OccupancyGrid} grid - Navigation grid
+	 * @returns {THREE.InstancedMesh|null} Overlay object
+	 */
+	createCostmapOverlay(grid) {
+		const blocked = [];
+		grid.cells.forEach((cell, index) => {
+			if (cell) blocked.push(index);
+		});
+		if (blocked.length === 0) return null;
+
+		const size = grid.resolution * 0.9;
+		const voxels = new THREE.InstancedMesh(
+			new THREE.BoxGeometry(size, size, size),
+			new THREE.MeshBasicMaterial({
+				color: 0xff3300,
+				fog: false,
+				transparent: true,
+				opacity: 0.15,
+				depthWrite: false,
+			}),
+			blocked.length
+		);
+
+		const matrix = new THREE.Matrix4();
+		cellCenters(grid, blocked).forEach((center, i) => {
+			voxels.setMatrixAt(
+				i,
+				matrix.makeTranslation(center.x, center.y, center.z)
+			);
+		});
+		voxels.userData.builtAt = this.sim.now();
+		return voxels;
+	}
+
+	/**
+	 * Marker on the waypoint the autopilot is approaching, with a line from
+	 * the vehicle to it
+	 */
+	updateTargetOverlay() {
+		const overlay = this.debugOverlays.target;
+		if (!overlay.object) {
+			const marker = new THREE.Group();
+			marker.add(
+				new THREE.Mesh(
+					new THREE.SphereGeometry(0.6, 12, 8),
+					new THREE.MeshBasicMaterial({
+						color: 0x00ffff,
+						fog: false,
+						wireframe: true,
+					})
+				)
+			);
+			const line = new THREE.Line(
+				new THREE.BufferGeometry().setFromPoints([
+					new THREE.Vector3(),
+					new THREE.Vector3(),
+				]),
+				new THREE.LineBasicMaterial({ color: 0x00ffff, fog: false })
+			);
+			overlay.object = new THREE.Group();
+			overlay.object.add(marker, line);
+			overlay.object.userData = { marker, line };
+			this.sim.scene.add(overlay.object);
+		}
+
+		const autopilot = this.sim.autopilot;
+		const waypoint = autopilot.active
+			? autopilot.path[autopilot.waypointIndex]
+			: null;
+		overlay.object.visible = Boolean(waypoint && this.sim.auv);
+		if (!overlay.object.visible) return;
+
+		const { marker, line } = overlay.object.userData;
+		marker.position.copy(waypoint);
+		const ends = line.geometry.attributes.position;
+		ends.setXYZ(
+			0,
+			this.sim.auv.position.x,
+			this.sim.auv.position.y,
+			this.sim.auv.position.z
+		);
+		ends.setXYZ(1, waypoint.x, waypoint.y, waypoint.z);
+		ends.needsUpdate = true;
+		line.geometry.computeBoundingSphere();
+	}
+
+	/**
+	 * Find where a screen point lands on the seabed
+	 * Raycasts from the active camera against the floor plane at y = -10
+	 * @param {number} clientX - Pointer X in client pixels
+	 * @param {number} clientY - Pointer Y in client pixels
+	 * @returns {THREE.Vector3|null} Seabed point inside the operational area
+	 */
+	pickSeabedPoint(clientX, clientY) {
+		const rect = this.canvas.getBoundingClientRect();
+		const pointer = new THREE.Vector2(
+			((clientX - rect.left) / rect.width) * 2 - 1,
+			-((clientY - rect.top) / rect.height) * 2 + 1
+		);
+
+		const raycaster = new THREE.Raycaster();
+		raycaster.setFromCamera(pointer, this.sim.camera);
+
+		const seabed = new THREE.Plane(new THREE.Vector3(0, 1, 0), 10);
+		const point = new THREE.Vector3();
+		if (!raycaster.ray.intersectPlane(seabed, point)) return null;
+
+		const boundary = this.sim.constraints.boundary;
+		if (Math.abs(point.x) > boundary || Math.abs(point.z) > boundary) {
+			return null;
+		}
+		return point;
+	}
+}
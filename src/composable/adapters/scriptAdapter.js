@@ -0,0 +1,126 @@
+/**
+ * HYDROBOT Script Adapter
+ *
+ * Runs operator controller scripts for a SimulationCore inside a Worker
+ * (see scriptWorker.js), so a script never shares a global object with
+ * the page and cannot stall it. The simulation waits for each answer;
+ * a script that takes longer than its budget has its worker terminated
+ * and is stopped with an error. Real time is only measured here, so the
+ * simulation itself stays deterministic.
+ */
+export class ScriptAdapter {
+	/**
+	 * @param {SimulationCore} sim - Simulation the script drives
+	 */
+	constructor(sim) {
+		this.sim = sim;
+		this.worker = null;
+		this.tickBudget = 50; // Longest onTick call allowed (milliseconds)
+		this.loadBudget = 2000; // Time allowed to start the worker and compile the script (milliseconds)
+		this.deadline = null; // Timeout that terminates a script missing its budget
+		this.sentAt = 0; // When the pending request was posted (performance.now())
+	}
+
+	/**
+	 * Start a fresh worker and compile a script in it
+	 * @param {string} source - Script source
+	 */
+	load(source) {
+		this.stop();
+
+		const worker = new Worker(
+			new URL("../scriptWorker.js", import.meta.url),
+			{ type: "module" }
+		);
+		worker.onmessage = (event) => this.onMessage(worker, event.data);
+		worker.onerror = (event) => {
+			event.preventDefault();
+			this.fail(worker, {
+				message: event.message || "Script worker failed",
+				line: null,
+			});
+		};
+		this.worker = worker;
+
+		this.send({ type: "load", source }, this.loadBudget, "Script load");
+	}
+
+	/**
+	 * Send the script a sensor snapshot
+	 * @param {Object} sensors - Frozen sensor snapshot
+	 */
+	tick(sensors) {
+		if (!this.worker) return;
+		this.send({ type: "tick", sensors }, this.tickBudget, "onTick");
+	}
+
+	stop() {
+		clearTimeout(this.deadline);
+		this.deadline = null;
+		if (this.worker) {
+			this.worker.terminate();
+			this.worker = null;
+		}
+	}
+
+	/**
+	 * Post a request and stop the script if it is not answered in time
+	 * @param {Object} message - Request for the worker
+	 * @param {number} budget - Time allowed for the answer (milliseconds)
+	 * @param {string} label - What the error message says ran too long
+	 */
+	send(message, budget, label) {
+		const worker = this.worker;
+		clearTimeout(this.deadline);
+		this.deadline = setTimeout(
+			() =>
+				this.fail(worker, {
+					message: `${label} took longer than ${budget} ms`,
+					line: null,
+				}),
+			budget
+		);
+		this.sentAt = performance.now();
+		worker.postMessage(message);
+	}
+
+	/**
+	 * Pass a worker's answer on to the simulation
+	 * @param {Worker} worker - Worker that answered
+	 * @param {Object} data - Message from scriptWorker.js
+	 */
+	onMessage(worker, data) {
+		// Answers from a worker that has since been replaced are stale
+		if (worker !== this.worker) return;
+
+		clearTimeout(this.deadline);
+		this.deadline = null;
+
+		switch (data.type) {
+			case "loaded":
+				this.sim.onScriptLoaded();
+				break;
+			case "commands":
+				this.sim.onScriptCommands(
+					data.commands,
+					performance.now() - this.sentAt
+				);
+				break;
+			case "error":
+				this.fail(worker, data.error);
+				break;
+		}
+	}
+
+	/**
+	 * Terminate a worker and report why its script stopped
+	 * @param {Worker} worker - Worker that failed
+	 * @param {{message: string, line: number|null}} error - Error for the editor
+	 */
+	fail(worker, error) {
+		if (worker !== this.worker) return;
+
+		this.stop();
+		this.sim.onScriptError(error);
+	}
+}
@@ -0,0 +1,297 @@
+/**
+ * HYDROBOT Autonomy Tree
+ *
+ * Behavior tree run by the autonomy executive. Branches are tried in
+ * priority order on every tick:
+ * 1. Emergency surface - battery critical, hull damage or propulsion failure
+ * 2. Return home - charge down to the return reserve
+ * 3. Rescue - fly to the next located survivor and rescue it from a stable station
+ * 4. Investigate contact - close in on a sonar contact until it is identified
+ * 5. Search - fly the search pattern, resuming where it was interrupted
+ * 6. Return home once the search is finished
+ */
+
+import {
+	Action,
+	BehaviorTree,
+	Condition,
+	ReactiveSequence,
+	Selector,
+	Sequence,
+	FAILURE,
+	RUNNING,
+	SUCCESS,
+} from "./behaviorTree.js";
+
+/**
+ * Build the autonomy tree for a vehicle
+ * @param {SimulationCore} sim - Vehicle the tree commands
+ * @param {Object} options - Search settings
+ * @param {string} options.pattern - 'lawnmower', 'expanding_square', 'sector' or 'creeping_line'
+ * @param {Object} options.area - Lawnmower search area (see startCoverageSearch)
+ * @returns {BehaviorTree} Tree whose context holds the vehicle and the tree's memory
+ */
+export function createAutonomyTree(sim, options = {}) {
+	const memory = {
+		emergency: null, // Reason for the current emergency surface
+		latched: null, // Battery or hull damage emergency that never clears
+		survivor: null, // Survivor being rescued
+		contact: null, // Sonar contact being investigated
+		searchComplete: false,
+		startCollisions: sim.collisionData.count,
+	};
+
+	const root = new Selector("Autonomy", [
+		new ReactiveSequence("Emergency", [
+			new Condition("Emergency?", () => checkEmergency(sim, memory)),
+			emergencySurface(),
+		]),
+		new ReactiveSequence("Low battery", [
+			new Condition("Reserve reached?", () => {
+				const battery = sim.battery;
+				return (
+					battery.status === "returning" ||
+					battery.level - battery.reserve <= battery.returnEstimate
+				);
+			}),
+			returnHome("Return home"),
+		]),
+		new ReactiveSequence("Rescue", [
+			new Condition("Survivor located?", () =>
+				selectSurvivor(sim, memory)
+			),
+			new Sequence("Rescue survivor", [
+				goTo("Go to survivor", () =>
+					memory.survivor ? sim.getRescuePoint(memory.survivor) : null
+				),
+				rescue(memory),
+			]),
+		]),
+		new ReactiveSequence("Investigate", [
+			new Condition("Sonar contact?", () => selectContact(sim, memory)),
+			goTo("Investigate contact", () =>
+				memory.contact ? sim.getRescuePoint(memory.contact) : null
+			),
+		]),
+		new ReactiveSequence("Search", [
+			new Condition("Area unsearched?", () => !memory.searchComplete),
+			search(memory, options),
+		]),
+		returnHome("Search done - return home"),
+	]);
+
+	return new BehaviorTree(root, { sim, memory });
+}
+
+/**
+ * Latch battery and hull damage emergencies; propulsion failures clear
+ * when the malfunction ends
+ * @returns {boolean} True if the vehicle must surface
+ */
+function checkEmergency(sim, memory) {
+	const executive = sim.executive;
+	if (!memory.latched) {
+		if (sim.battery.level <= executive.criticalCharge) {
+			memory.latched = "BATTERY CRITICAL";
+		} else if (
+			sim.collisionData.count - memory.startCollisions >=
+			executive.damageLimit
+		) {
+			memory.latched = "HULL DAMAGE";
+		}
+	}
+
+	const event = sim.randomEvents.active;
+	const propulsionFailure =
+		event?.type === "equipment_malfunction" &&
+		sim.randomEvents.effects.equipment_malfunction.systemAffected ===
+			"propulsion";
+	memory.emergency =
+		memory.latched ?? (propulsionFailure ? "PROPULSION FAILURE" : null);
+	return memory.emergency !== null;
+}
+
+/**
+ * Keep the current rescue target while it is still waiting, otherwise
+ * take the first stop of a fresh rescue plan
+ * @returns {boolean} True if there is a survivor to rescue
+ */
+function selectSurvivor(sim, memory) {
+	const candidates = sim.getRescueCandidates();
+	if (memory.survivor && candidates.includes(memory.survivor)) return true;
+
+	memory.survivor = null;
+	if (candidates.length === 0) return false;
+
+	sim.planRescueRoute();
+	const stops = sim.rescueRoute.stops;
+	memory.survivor = stops.length > 0 ? stops[0].survivor : null;
+	return memory.survivor !== null;
+}
+
+/**
+ * Keep investigating the current contact until it is identified,
+ * otherwise pick the nearest one
+ * @returns {boolean} True if there is a contact to investigate
+ */
+function selectContact(sim, memory) {
+	const contacts = sim.getSonarContacts();
+	if (memory.contact && contacts.includes(memory.contact)) return true;
+
+	memory.contact = null;
+	let nearest = Infinity;
+	contacts.forEach((contact) => {
+		const distance = sim.auv.position.distanceTo(contact.position);
+		if (distance < nearest) {
+			nearest = distance;
+			memory.contact = contact;
+		}
+	});
+	return memory.contact !== null;
+}
+
+/**
+ * Whether the autopilot is still flying the route an action started
+ * Routes are told apart by their target object, so a halted action never
+ * cancels a route that a higher priority action has just started to the
+ * same point.
+ * @param {SimulationCore} sim - Vehicle
+ * @param {THREE.Vector3|null} route - Autopilot target recorded at the start
+ */
+function isFlying(sim, route) {
+	return (
+		route !== null && sim.autopilot.active && sim.autopilot.target === route
+	);
+}
+
+/**
+ * Fly to a point chosen when the action starts
+ * @param {string} name - Label shown on the HUD
+ * @param {function(): THREE.Vector3|null} getTarget - Destination, or null to fail
+ */
+function goTo(name, getTarget) {
+	let route = null;
+	return new Action(name, {
+		start: ({ sim }) => {
+			const target = getTarget();
+			route = null;
+			if (!target) return FAILURE;
+			if (
+				sim.auv.position.distanceTo(target) <=
+				sim.autopilot.arrivalRadius
+			) {
+				return SUCCESS;
+			}
+			if (!sim.goTo(target)) return FAILURE;
+			route = sim.autopilot.target;
+		},
+		update: ({ sim }) => {
+			if (isFlying(sim, route)) return RUNNING;
+			return sim.autopilot.status === "arrived" &&
+				sim.autopilot.target === route
+				? SUCCESS
+				: FAILURE;
+		},
+		stop: ({ sim }) => {
+			if (isFlying(sim, route)) sim.cancelAutopilot();
+		},
+	});
+}
+
+/**
+ * Rescue the selected survivor once the station is stable
+ */
+function rescue(memory) {
+	let target = null;
+	return new Action("Rescue", {
+		start: ({ sim }) => {
+			target = memory.survivor;
+			if (!target || !sim.requestRescue(target)) return FAILURE;
+		},
+		update: ({ sim }) => {
+			if (!sim.searchTargets.includes(target)) return SUCCESS;
+			return sim.stationKeeping.rescue ? RUNNING : FAILURE;
+		},
+		stop: ({ sim }) => {
+			if (sim.stationKeeping.rescue?.target === target) {
+				sim.stopStationKeeping("cancelled");
+			}
+		},
+	});
+}
+
+/**
+ * Fly the search pattern, resuming a paused search where it stopped
+ */
+function search(memory, options) {
+	return new Action("Search pattern", {
+		start: ({ sim }) => {
+			const pattern = options.pattern ?? "lawnmower";
+			let started;
+			if (
+				sim.coverageSearch.status === "paused" &&
+				sim.coverageSearch.pattern === pattern
+			) {
+				started = sim.resumeCoverageSearch();
+			} else if (pattern === "lawnmower") {
+				started = sim.startCoverageSearch(options.area, options);
+			} else {
+				started = sim.startPatternSearch(
+					pattern,
+					sim.getSearchDatum(),
+					options
+				);
+			}
+			if (!started) return FAILURE;
+		},
+		update: ({ sim }) => {
+			const status = sim.coverageSearch.status;
+			if (status === "searching") return RUNNING;
+			if (status === "complete") {
+				memory.searchComplete = true;
+				return SUCCESS;
+			}
+			return FAILURE;
+		},
+		stop: ({ sim }) => sim.pauseCoverageSearch(),
+	});
+}
+
+/**
+ * Fly back to the recovery point
+ * @param {string} name - Label shown on the HUD
+ */
+function returnHome(name) {
+	let route = null;
+	return new Action(name, {
+		start: ({ sim }) => {
+			route = null;
+			if (sim.battery.status === "home") return SUCCESS;
+			if (!sim.returnToHome()) return FAILURE;
+			route = sim.autopilot.target;
+		},
+		update: ({ sim }) => {
+			if (isFlying(sim, route)) return RUNNING;
+			return sim.battery.status === "home" ? SUCCESS : FAILURE;
+		},
+		stop: ({ sim }) => {
+			if (isFlying(sim, route)) sim.cancelAutopilot();
+		},
+	});
+}
+
+/**
+ * Surface and stay there with forward motion stopped
+ */
+function emergencySurface() {
+	return new Action("Emergency surface", {
+		start: ({ sim }) => {
+			sim.stopAutonomy();
+			sim.setHold("depth", 0, "executive");
+			sim.setHold("speed", 0, "executive");
+		},
+		// Keeps holding at the surface until the emergency clears
+		update: () => RUNNING,
+		stop: ({ sim }) => sim.releaseHolds("executive"),
+	});
+}
@@ -0,0 +1,256 @@
+/**
+ * HYDROBOT Behavior Tree
+ *
+ * Small behavior-tree runtime for the autonomy executive. The whole tree
+ * is ticked from the root at a fixed rate. Selectors and condition
+ * sequences are reactive: every tick re-checks higher priority branches,
+ * and a branch that takes over halts the running actions below it. Action
+ * chains use a memory sequence, so finished steps are not run again.
+ */
+
+export const SUCCESS = "success";
+export const FAILURE = "failure";
+export const RUNNING = "running";
+
+class Node {
+	/**
+	 * @param {string} name - Label shown on the HUD
+	 */
+	constructor(name) {
+		this.name = name;
+		this.type = "node";
+		this.children = [];
+		this.status = null; // Result of the last tick, null if not reached
+	}
+
+	/**
+	 * Evaluate the node once
+	 * @param {Object} context - Shared state passed to every node
+	 * @returns {string} SUCCESS, FAILURE or RUNNING
+	 */
+	tick(context) {
+		this.status = this.update(context);
+		return this.status;
+	}
+
+	update() {
+		return FAILURE;
+	}
+
+	/**
+	 * Stop any running work below this node
+	 * @param {Object} context - Shared state passed to every node
+	 */
+	halt(context) {
+		this.children.forEach((child) => child.halt(context));
+	}
+
+	/**
+	 * Forget the previous tick's results before a new tick
+	 */
+	clearStatus() {
+		this.status = null;
+		this.children.forEach((child) => child.clearStatus());
+	}
+
+	/**
+	 * Halt every child after the one that decided this tick
+	 * @param {number} index - Index of the deciding child
+	 * @param {Object} context - Shared state passed to every node
+	 */
+	haltAfter(index, context) {
+		this.children.slice(index + 1).forEach((child) => child.halt(context));
+	}
+}
+
+/**
+ * Priority fallback: runs the first child that does not fail
+ */
+export class Selector extends Node {
+	constructor(name, children) {
+		super(name);
+		this.type = "selector";
+		this.children = children;
+	}
+
+	update(context) {
+		for (let i = 0; i < this.children.length; i++) {
+			const status = this.children[i].tick(context);
+			if (status !== FAILURE) {
+				this.haltAfter(i, context);
+				return status;
+			}
+		}
+		return FAILURE;
+	}
+}
+
+/**
+ * Sequence that re-checks every child on every tick, used to guard an
+ * action with conditions
+ */
+export class ReactiveSequence extends Node {
+	constructor(name, children) {
+		super(name);
+		this.type = "sequence";
+		this.children = children;
+	}
+
+	update(context) {
+		for (let i = 0; i < this.children.length; i++) {
+			const status = this.children[i].tick(context);
+			if (status !== SUCCESS) {
+				this.haltAfter(i, context);
+				return status;
+			}
+		}
+		return SUCCESS;
+	}
+}
+
+/**
+ * Sequence that resumes from the running child, used for chains of actions
+ */
+export class Sequence extends Node {
+	constructor(name, children) {
+		super(name);
+		this.type = "sequence";
+		this.children = children;
+		this.current = 0; // Child the sequence resumes from
+	}
+
+	update(context) {
+		while (this.current < this.children.length) {
+			const status = this.children[this.current].tick(context);
+			if (status === RUNNING) return RUNNING;
+			if (status === FAILURE) {
+				this.current = 0;
+				return FAILURE;
+			}
+			this.current++;
+		}
+		this.current = 0;
+		return SUCCESS;
+	}
+
+	halt(context) {
+		super.halt(context);
+		this.current = 0;
+	}
+}
+
+/**
+ * Leaf that checks a predicate without side effects on the vehicle
+ */
+export class Condition extends Node {
+	/**
+	 * @param {string} name - Label shown on the HUD
+	 * @param {function(Object): boolean} predicate - Test run on every tick
+	 */
+	constructor(name, predicate) {
+		super(name);
+		this.type = "condition";
+		this.predicate = predicate;
+	}
+
+	update(context) {
+		return this.predicate(context) ? SUCCESS : FAILURE;
+	}
+}
+
+/**
+ * Leaf that runs a task over several ticks
+ */
+export class Action extends Node {
+	/**
+	 * @param {string} name - Label shown on the HUD
+	 * @param {Object} handlers - Task callbacks
+	 * @param {function(Object): (string|undefined)} handlers.start - Begin the task; may return SUCCESS or FAILURE to finish at once
+	 * @param {function(Object): string} handlers.update - Progress the task and report its status
+	 * @param {function(Object): void} handlers.stop - Abandon the task when a higher priority branch takes over
+	 */
+	constructor(name, handlers) {
+		super(name);
+		this.type = "action";
+		this.handlers = handlers;
+		this.running = false;
+	}
+
+	update(context) {
+		const { start, update } = this.handlers;
+		if (!this.running) {
+			const started = start ? start(context) : undefined;
+			if (started === SUCCESS || started === FAILURE) return started;
+			this.running = true;
+		}
+
+		const status = update ? update(context) : SUCCESS;
+		if (status !== RUNNING) this.running = false;
+		return status;
+	}
+
+	halt(context) {
+		if (!this.running) return;
+
+		this.running = false;
+		if (this.handlers.stop) this.handlers.stop(context);
+	}
+}
+
+/**
+ * Root wrapper that ticks the tree and reports what it is doing
+ */
+export class BehaviorTree {
+	/**
+	 * @param {Node} root - Root node
+	 * @param {Object} context - Shared state passed to every node
+	 */
+	constructor(root, context) {
+		this.root = root;
+		this.context = context;
+		this.status = null;
+	}
+
+	tick() {
+		this.root.clearStatus();
+		this.status = this.root.tick(this.context);
+		return this.status;
+	}
+
+	halt() {
+		this.root.halt(this.context);
+	}
+
+	/**
+	 * Names of the running nodes from the root down to the active leaf
+	 * @returns {string[]} Active node path
+	 */
+	getActivePath() {
+		const path = [];
+		let node = this.root;
+		while (node && node.status === RUNNING) {
+			path.push(node.name);
+			node = node.children.find((child) => child.status === RUNNING);
+		}
+		return path;
+	}
+
+	/**
+	 * Every node in display order with its depth and last tick result
+	 * @returns {{name: string, type: string, depth: number, status: string|null}[]} Flattened tree
+	 */
+	getNodes() {
+		const nodes = [];
+		const visit = (node, depth) => {
+			nodes.push({
+				name: node.name,
+				type: node.type,
+				depth,
+				status: node.status,
+			});
+			node.children.forEach((child) => visit(child, depth + 1));
+		};
+		visit(this.root, 0);
+		return nodes;
+	}
+}
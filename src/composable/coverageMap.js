@@ -0,0 +1,96 @@
+import { pointInPolygon, polygonBounds } from "./searchPatterns.js";
+
+/**
+ * Search Area Coverage Map
+ *
+ * 2D grid over a search polygon that records which parts of the area
+ * have been swept by the vehicle sensors.
+ */
+export class CoverageMap {
+	/**
+	 * Create a coverage map for a search polygon
+	 * @param {{x: number, z: number}[]} polygon - Search area vertices
+	 * @param {number} cellSize - Edge length of a coverage cell
+	 */
+	constructor(polygon, cellSize = 1) {
+		this.polygon = polygon;
+		this.cellSize = cellSize;
+		this.bounds = polygonBounds(polygon);
+
+		this.sizeX = Math.max(
+			1,
+			Math.ceil((this.bounds.maxX - this.bounds.minX) / cellSize)
+		);
+		this.sizeZ = Math.max(
+			1,
+			Math.ceil((this.bounds.maxZ - this.bounds.minZ) / cellSize)
+		);
+
+		// Cells whose centers fall inside the polygon count toward coverage
+		this.inside = new Uint8Array(this.sizeX * this.sizeZ);
+		this.covered = new Uint8Array(this.sizeX * this.sizeZ);
+		this.totalCells = 0;
+		this.coveredCells = 0;
+
+		for (let z = 0; z < this.sizeZ; z++) {
+			for (let x = 0; x < this.sizeX; x++) {
+				const center = this.cellCenter(x, z);
+				if (pointInPolygon(center.x, center.z, polygon)) {
+					this.inside[x + z * this.sizeX] = 1;
+					this.totalCells++;
+				}
+			}
+		}
+	}
+
+	cellCenter(x, z) {
+		return {
+			x: this.bounds.minX + (x + 0.5) * this.cellSize,
+			z: this.bounds.minZ + (z + 0.5) * this.cellSize,
+		};
+	}
+
+	/**
+	 * Mark every in-area cell within a sensor footprint as covered
+	 * @param {number} x - Footprint center X
+	 * @param {number} z - Footprint center Z
+	 * @param {number} radius - Footprint radius
+	 */
+	markCircle(x, z, radius) {
+		const minX = Math.max(
+			0,
+			Math.floor((x - radius - this.bounds.minX) / this.cellSize)
+		);
+		const maxX = Math.min(
+			this.sizeX - 1,
+			Math.floor((x + radius - this.bounds.minX) / this.cellSize)
+		);
+		const minZ = Math.max(
+			0,
+			Math.floor((z - radius - this.bounds.minZ) / this.cellSize)
+		);
+		const maxZ = Math.min(
+			this.sizeZ - 1,
+			Math.floor((z + radius - this.bounds.minZ) / this.cellSize)
+		);
+
+		for (let cz = minZ; cz <= maxZ; cz++) {
+			for (let cx = minX; cx <= maxX; cx++) {
+				const index = cx + cz * this.sizeX;
+				if (!this.inside[index] || this.covered[index]) continue;
+
+				const center = this.cellCenter(cx, cz);
+				const dx = center.x - x;
+				const dz = center.z - z;
+				if (dx * dx + dz * dz <= radius * radius) {
+					this.covered[index] = 1;
+					this.coveredCells++;
+				}
+			}
+		}
+	}
+
+	getCoveredFraction() {
+		return this.totalCells > 0 ? this.coveredCells / this.totalCells : 0;
+	}
+}
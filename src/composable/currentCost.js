@@ -0,0 +1,98 @@
+/**
+ * HYDROBOT Current-Aware Travel Costs
+ *
+ * The vehicle holds a fixed speed through the water, so its speed over
+ * ground depends on the heading of each leg: riding the current is faster
+ * than still water, heading upstream is slower, and crossing the current
+ * spends part of the thrust on a crab angle that holds the track.
+ *
+ * Costs are expressed as still-water distance: the leg length scaled by
+ * still-water speed over speed over ground. Travel time and thruster energy
+ * are both proportional to it, and without a current it is the plain
+ * length, so planners keep their usual units and heuristics.
+ */
+
+/**
+ * Speed over ground along a heading when crabbing against the current
+ * @param {{x: number, y: number, z: number}} direction - Unit travel direction
+ * @param {THREE.Vector3} current - Current velocity
+ * @param {number} speed - Vehicle speed through the water (same units as the current)
+ * @returns {number} Speed over ground (0 if the current cannot be held on this heading)
+ */
+export function groundSpeed(direction, current, speed) {
+	const along =
+		current.x * direction.x +
+		current.y * direction.y +
+		current.z * direction.z;
+	const crossSquared = current.lengthSq() - along * along;
+	if (crossSquared >= speed * speed) return 0;
+
+	return Math.max(0, along + Math.sqrt(speed * speed - crossSquared));
+}
+
+/**
+ * Create the travel cost model for a uniform current
+ * @param {THREE.Vector3} current - Current velocity
+ * @param {number} speed - Vehicle speed through the water (same units as the current)
+ * @returns {Object|null} Cost model, or null in still water
+ */
+export function createCurrentCost(current, speed) {
+	if (current.lengthSq() < 1e-12) return null;
+
+	return {
+		current: current.clone(),
+		speed,
+
+		/**
+		 * Cost multiplier for travelling along a direction
+		 * @returns {number} Still-water speed over ground speed (Infinity if impassable)
+		 */
+		factor(dx, dy, dz) {
+			const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+			if (length === 0) return 1;
+
+			const over = groundSpeed(
+				{ x: dx / length, y: dy / length, z: dz / length },
+				current,
+				speed
+			);
+			return over > 0 ? speed / over : Infinity;
+		},
+
+		/**
+		 * Still-water distance of a straight leg
+		 * @param {THREE.Vector3} a - Leg start
+		 * @param {THREE.Vector3} b - Leg end
+		 * @returns {number} Leg cost
+		 */
+		segmentCost(a, b) {
+			const length = a.distanceTo(b);
+			if (length === 0) return 0;
+			return length * this.factor(b.x - a.x, b.y - a.y, b.z - a.z);
+		},
+
+		// Smallest possible multiplier (straight downstream); scales heuristics
+		minFactor: speed / (speed + current.length()),
+	};
+}
+
+/**
+ * Cost of every neighbour step in a grid search
+ * @param {Object[]} offsets - Neighbour offsets with unit step lengths
+ * @param {Object|null} flow - Current cost model (null in still water)
+ * @param {boolean} inbound - Cost the step from the neighbour back to the cell instead
+ * @returns {number[]} Step cost per offset
+ */
+export function getStepCosts(offsets, flow, inbound = false) {
+	const sign = inbound ? -1 : 1;
+	return offsets.map((offset) =>
+		flow
+			? offset.cost *
+				flow.factor(
+					sign * offset.dx,
+					sign * offset.dy,
+					sign * offset.dz
+				)
+			: offset.cost
+	);
+}
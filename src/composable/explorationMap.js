@@ -0,0 +1,166 @@
+/**
+ * Exploration Map
+ *
+ * 2D grid over the operational area that records what the sonar has
+ * observed: open water, obstacles, or nothing yet. Known open water
+ * bordering unobserved cells forms the exploration frontier.
+ */
+
+// Cell states
+export const UNKNOWN = 0;
+export const FREE = 1;
+export const OCCUPIED = 2;
+
+// 8-connected horizontal neighbourhood
+const NEIGHBORS = [
+	[1, 0],
+	[-1, 0],
+	[0, 1],
+	[0, -1],
+	[1, 1],
+	[1, -1],
+	[-1, 1],
+	[-1, -1],
+];
+
+export class ExplorationMap {
+	/**
+	 * Create an unexplored map of the operational area
+	 * @param {number} boundary - Half-width of the operational area
+	 * @param {number} resolution - Edge length of a map cell
+	 */
+	constructor(boundary, resolution = 2) {
+		this.min = -boundary;
+		this.resolution = resolution;
+		this.size = Math.max(1, Math.ceil((boundary * 2) / resolution));
+		this.cells = new Uint8Array(this.size * this.size);
+		this.knownCells = 0;
+	}
+
+	index(x, z) {
+		return x + z * this.size;
+	}
+
+	inBounds(x, z) {
+		return x >= 0 && z >= 0 && x < this.size && z < this.size;
+	}
+
+	/**
+	 * Convert a world position to the map cell containing it
+	 * @returns {{x: number, z: number}|null} Cell coordinates, or null outside the area
+	 */
+	worldToCell(position) {
+		const x = Math.floor((position.x - this.min) / this.resolution);
+		const z = Math.floor((position.z - this.min) / this.resolution);
+		return this.inBounds(x, z) ? { x, z } : null;
+	}
+
+	cellCenter(x, z) {
+		return {
+			x: this.min + (x + 0.5) * this.resolution,
+			z: this.min + (z + 0.5) * this.resolution,
+		};
+	}
+
+	setState(x, z, state) {
+		const index = this.index(x, z);
+		const current = this.cells[index];
+
+		// Open water never overrides an observed obstacle
+		if (current === OCCUPIED || current === state) return;
+		if (current === UNKNOWN) this.knownCells++;
+		this.cells[index] = state;
+	}
+
+	/**
+	 * Record a sonar ray: open water along the beam, an obstacle at a return
+	 * @param {THREE.Vector3} from - Ray origin
+	 * @param {THREE.Vector3} to - Return point, or the end of the sonar range
+	 * @param {boolean} hit - True if the ray ended on an obstacle
+	 */
+	markRay(from, to, hit) {
+		const distance = Math.hypot(to.x - from.x, to.z - from.z);
+		const steps = Math.max(1, Math.ceil(distance / (this.resolution / 2)));
+		const end = this.worldToCell(to);
+
+		for (let i = 0; i <= steps; i++) {
+			const t = i / steps;
+			const cell = this.worldToCell({
+				x: from.x + (to.x - from.x) * t,
+				z: from.z + (to.z - from.z) * t,
+			});
+			if (!cell) continue;
+
+			// Stop short of the cell holding the return
+			if (hit && end && cell.x === end.x && cell.z === end.z) break;
+			this.setState(cell.x, cell.z, FREE);
+		}
+
+		if (hit && end) this.setState(end.x, end.z, OCCUPIED);
+	}
+
+	/**
+	 * Check whether a cell is known open water next to unobserved space
+	 * @returns {boolean} True for frontier cells
+	 */
+	isFrontier(x, z) {
+		if (!this.inBounds(x, z) || this.cells[this.index(x, z)] !== FREE) {
+			return false;
+		}
+
+		return NEIGHBORS.slice(0, 4).some(
+			([dx, dz]) =>
+				this.inBounds(x + dx, z + dz) &&
+				this.cells[this.index(x + dx, z + dz)] === UNKNOWN
+		);
+	}
+
+	/**
+	 * Find the closest frontier reachable through known open water
+	 * Breadth-first search from the vehicle, so distance follows the streets.
+	 * Frontiers right next to the vehicle are only used when nothing else is
+	 * left, since they are usually just outside the sonar arc.
+	 * @param {THREE.Vector3} from - Vehicle position
+	 * @param {Set<number>} excluded - Cell indices to ignore (e.g. unreachable targets)
+	 * @param {number} minSteps - Preferred minimum distance in cells
+	 * @returns {{x: number, z: number}|null} Frontier cell, or null when fully explored
+	 */
+	findNearestFrontier(from, excluded = new Set(), minSteps = 3) {
+		const start = this.worldToCell(from);
+		if (!start) return null;
+
+		const visited = new Uint8Array(this.cells.length);
+		const queue = [{ ...start, steps: 0 }];
+		visited[this.index(start.x, start.z)] = 1;
+		let fallback = null;
+
+		for (let head = 0; head < queue.length; head++) {
+			const cell = queue[head];
+			if (
+				this.isFrontier(cell.x, cell.z) &&
+				!excluded.has(this.index(cell.x, cell.z))
+			) {
+				if (cell.steps >= minSteps) return { x: cell.x, z: cell.z };
+				fallback = fallback || { x: cell.x, z: cell.z };
+			}
+
+			for (const [dx, dz] of NEIGHBORS) {
+				const x = cell.x + dx;
+				const z = cell.z + dz;
+				if (!this.inBounds(x, z)) continue;
+
+				const index = this.index(x, z);
+				if (visited[index] || this.cells[index] !== FREE) continue;
+
+				visited[index] = 1;
+				queue.push({ x, z, steps: cell.steps + 1 });
+			}
+		}
+
+		return fallback;
+	}
+
+	getExploredFraction() {
+		return this.knownCells / this.cells.length;
+	}
+}
@@ -0,0 +1,108 @@
+/**
+ * HYDROBOT Mission Model
+ *
+ * Scripted missions are an ordered list of waypoints. Each waypoint has a
+ * horizontal position, a target depth, a transit speed, a loiter time and
+ * an action performed on arrival. Missions end with recovery at the launch
+ * platform unless recovery is switched off.
+ */
+
+// Actions available at a waypoint
+export const WAYPOINT_ACTIONS = ["none", "scan", "mark_target", "rescue"];
+
+export class Mission {
+	/**
+	 * Create an empty mission
+	 * @param {string} name - Mission display name
+	 */
+	constructor(name = "Mission") {
+		this.name = name;
+		this.waypoints = [];
+		this.nextId = 1;
+		this.recover = true; // Dock at the recovery platform after the last waypoint
+	}
+
+	/**
+	 * Append a waypoint to the mission
+	 * @param {Object} config - Waypoint settings
+	 * @param {number} config.x - World X position
+	 * @param {number} config.z - World Z position
+	 * @param {number} config.depth - Target depth in meters (positive down)
+	 * @param {number} config.speed - Transit throttle (0-1) toward this waypoint
+	 * @param {number} config.loiterTime - Seconds to hold position on arrival
+	 * @param {string} config.action - One of WAYPOINT_ACTIONS
+	 * @returns {Object} The created waypoint
+	 */
+	addWaypoint(config) {
+		const waypoint = {
+			id: this.nextId++,
+			x: config.x,
+			z: config.z,
+			depth: config.depth ?? 5,
+			speed: config.speed ?? 1,
+			loiterTime: config.loiterTime ?? 0,
+			action: WAYPOINT_ACTIONS.includes(config.action)
+				? config.action
+				: "none",
+		};
+		this.waypoints.push(waypoint);
+		return waypoint;
+	}
+
+	updateWaypoint(id, changes) {
+		const waypoint = this.waypoints.find((wp) => wp.id === id);
+		if (!waypoint) return null;
+
+		if (changes.depth !== undefined) {
+			waypoint.depth = Math.max(0, Number(changes.depth) || 0);
+		}
+		if (changes.speed !== undefined) {
+			const speed = Number(changes.speed) || waypoint.speed; // Keep the old throttle for non-numeric input
+			waypoint.speed = Math.min(1, Math.max(0.1, speed));
+		}
+		if (changes.loiterTime !== undefined) {
+			waypoint.loiterTime = Math.max(0, Number(changes.loiterTime) || 0);
+		}
+		if (WAYPOINT_ACTIONS.includes(changes.action)) {
+			waypoint.action = changes.action;
+		}
+		return waypoint;
+	}
+
+	removeWaypoint(id) {
+		this.waypoints = this.waypoints.filter((wp) => wp.id !== id);
+	}
+
+	/**
+	 * Move a waypoint earlier or later in the mission order
+	 * @param {number} id - Waypoint id
+	 * @param {number} offset - Positions to move (-1 = earlier, 1 = later)
+	 */
+	moveWaypoint(id, offset) {
+		const from = this.waypoints.findIndex((wp) => wp.id === id);
+		const to = from + offset;
+		if (from === -1 || to < 0 || to >= this.waypoints.length) return;
+
+		const [waypoint] = this.waypoints.splice(from, 1);
+		this.waypoints.splice(to, 0, waypoint);
+	}
+
+	clear() {
+		this.waypoints = [];
+	}
+
+	toJSON() {
+		return {
+			name: this.name,
+			recover: this.recover,
+			waypoints: this.waypoints.map((wp) => ({ ...wp })),
+		};
+	}
+
+	static fromJSON(data) {
+		const mission = new Mission(data.name);
+		mission.recover = data.recover ?? true;
+		(data.waypoints || []).forEach((wp) => mission.addWaypoint(wp));
+		return mission;
+	}
+}
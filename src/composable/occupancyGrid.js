@@ -0,0 +1,228 @@
+import * as THREE from "three";
+
+/**
+ * 3D Occupancy Grid
+ *
+ * Voxelized representation of the AUV operational volume used by the
+ * path planning systems. Each cell records whether it is blocked by an
+ * obstacle (inflated by the vehicle clearance) or free for navigation.
+ */
+export class OccupancyGrid {
+	/**
+	 * Create an empty occupancy grid covering the given volume
+	 * @param {THREE.Vector3} min - Minimum world corner of the grid volume
+	 * @param {THREE.Vector3} max - Maximum world corner of the grid volume
+	 * @param {number} resolution - Edge length of a single cubic cell
+	 */
+	constructor(min, max, resolution = 2) {
+		this.min = min.clone();
+		this.max = max.clone();
+		this.resolution = resolution;
+
+		// Grid dimensions in cells
+		this.sizeX = Math.max(1, Math.ceil((max.x - min.x) / resolution));
+		this.sizeY = Math.max(1, Math.ceil((max.y - min.y) / resolution));
+		this.sizeZ = Math.max(1, Math.ceil((max.z - min.z) / resolution));
+
+		// Blocked flags, one byte per cell (0 = free, 1 = blocked)
+		this.cells = new Uint8Array(this.sizeX * this.sizeY * this.sizeZ);
+	}
+
+	/**
+	 * Voxelize environment obstacles into a new occupancy grid
+	 * @param {THREE.Object3D[]} objects - Obstacles to rasterize
+	 * @param {Object} constraints - Operational constraints (minY, maxY, boundary, floorY)
+	 * @param {Object} options - Grid resolution and obstacle clearance
+	 * @returns {OccupancyGrid} Populated occupancy grid
+	 */
+	static fromObjects(objects, constraints, options = {}) {
+		const resolution = options.resolution ?? 2;
+		const clearance = options.clearance ?? 1;
+
+		// The vehicle can never go below the seabed clearance height
+		const minY = Math.max(
+			constraints.minY,
+			constraints.floorY ?? constraints.minY
+		);
+		const grid = new OccupancyGrid(
+			new THREE.Vector3(
+				-constraints.boundary,
+				minY,
+				-constraints.boundary
+			),
+			new THREE.Vector3(
+				constraints.boundary,
+				constraints.maxY,
+				constraints.boundary
+			),
+			resolution
+		);
+
+		const box = new THREE.Box3();
+		objects.forEach((object) => {
+			box.setFromObject(object);
+			if (box.isEmpty()) return;
+			box.expandByScalar(clearance);
+			grid.markBox(box);
+		});
+
+		return grid;
+	}
+
+	index(x, y, z) {
+		return x + this.sizeX * (z + this.sizeZ * y);
+	}
+
+	inBounds(x, y, z) {
+		return (
+			x >= 0 &&
+			y >= 0 &&
+			z >= 0 &&
+			x < this.sizeX &&
+			y < this.sizeY &&
+			z < this.sizeZ
+		);
+	}
+
+	isBlocked(x, y, z) {
+		if (!this.inBounds(x, y, z)) return true;
+		return this.cells[this.index(x, y, z)] === 1;
+	}
+
+	setBlocked(x, y, z, blocked = true) {
+		if (!this.inBounds(x, y, z)) return;
+		this.cells[this.index(x, y, z)] = blocked ? 1 : 0;
+	}
+
+	/**
+	 * Mark every cell overlapping a world-space box as blocked
+	 * @param {THREE.Box3} box - World-space axis-aligned box
+	 * @param {Array} changed - Optional list that receives newly blocked cells
+	 */
+	markBox(box, changed = null) {
+		const from = this.worldToCell(box.min);
+		const to = this.worldToCell(box.max);
+
+		// Skip boxes entirely outside the grid volume
+		if (
+			box.max.x < this.min.x ||
+			box.max.y < this.min.y ||
+			box.max.z < this.min.z ||
+			box.min.x > this.max.x ||
+			box.min.y > this.max.y ||
+			box.min.z > this.max.z
+		) {
+			return;
+		}
+
+		for (let y = from.y; y <= to.y; y++) {
+			for (let z = from.z; z <= to.z; z++) {
+				for (let x = from.x; x <= to.x; x++) {
+					const index = this.index(x, y, z);
+					if (changed && this.cells[index] === 0) {
+						changed.push({ x, y, z });
+					}
+					this.cells[index] = 1;
+				}
+			}
+		}
+	}
+
+	/**
+	 * Convert a world position to the (clamped) cell containing it
+	 * @param {THREE.Vector3} position - World position
+	 * @returns {{x: number, y: number, z: number}} Cell coordinates
+	 */
+	worldToCell(position) {
+		const clamp = (value, size) =>
+			Math.min(size - 1, Math.max(0, Math.floor(value)));
+		return {
+			x: clamp((position.x - this.min.x) / this.resolution, this.sizeX),
+			y: clamp((position.y - this.min.y) / this.resolution, this.sizeY),
+			z: clamp((position.z - this.min.z) / this.resolution, this.sizeZ),
+		};
+	}
+
+	/**
+	 * Convert cell coordinates to the world position of the cell center
+	 * @returns {THREE.Vector3} Cell center in world space
+	 */
+	cellToWorld(x, y, z) {
+		return new THREE.Vector3(
+			this.min.x + (x + 0.5) * this.resolution,
+			this.min.y + (y + 0.5) * this.resolution,
+			this.min.z + (z + 0.5) * this.resolution
+		);
+	}
+
+	/**
+	 * Find the closest free cell to a (possibly blocked) cell
+	 * Searches outward in growing shells up to the given radius
+	 * @param {{x: number, y: number, z: number}} cell - Starting cell
+	 * @param {number} maxRadius - Maximum search radius in cells
+	 * @returns {{x: number, y: number, z: number}|null} Nearest free cell
+	 */
+	nearestFreeCell(cell, maxRadius = 6) {
+		if (!this.isBlocked(cell.x, cell.y, cell.z)) return cell;
+
+		for (let radius = 1; radius <= maxRadius; radius++) {
+			let best = null;
+			let bestDistance = Infinity;
+
+			for (let dy = -radius; dy <= radius; dy++) {
+				for (let dz = -radius; dz <= radius; dz++) {
+					for (let dx = -radius; dx <= radius; dx++) {
+						// Only visit the outer shell of this radius
+						if (
+							Math.max(
+								Math.abs(dx),
+								Math.abs(dy),
+								Math.abs(dz)
+							) !== radius
+						) {
+							continue;
+						}
+
+						const x = cell.x + dx;
+						const y = cell.y + dy;
+						const z = cell.z + dz;
+						if (this.isBlocked(x, y, z)) continue;
+
+						const distance = dx * dx + dy * dy + dz * dz;
+						if (distance < bestDistance) {
+							bestDistance = distance;
+							best = { x, y, z };
+						}
+					}
+				}
+			}
+
+			if (best) return best;
+		}
+
+		return null;
+	}
+
+	/**
+	 * Check whether a straight segment between two world points stays in free cells
+	 * @param {THREE.Vector3} from - Segment start
+	 * @param {THREE.Vector3} to - Segment end
+	 * @returns {boolean} True if every sampled cell along the segment is free
+	 */
+	hasLineOfSight(from, to) {
+		const distance = from.distanceTo(to);
+		const steps = Math.max(
+			1,
+			Math.ceil(distance / (this.resolution * 0.25))
+		);
+		const sample = new THREE.Vector3();
+
+		for (let i = 0; i <= steps; i++) {
+			sample.lerpVectors(from, to, i / steps);
+			const cell = this.worldToCell(sample);
+			if (this.isBlocked(cell.x, cell.y, cell.z)) return false;
+		}
+
+		return true;
+	}
+}
@@ -0,0 +1,689 @@
+/**
+ * HYDROBOT Path Planning
+ *
+ * Grid-based A*, Dijkstra distance queries and D* Lite search over a 3D
+ * occupancy grid. Produces collision-free waypoint sequences and travel
+ * distances for the AUV autopilot. Searches accept an optional current cost
+ * model (see currentCost.js) that makes upstream steps more expensive.
+ */
+
+import { getStepCosts } from "./currentCost.js";
+
+/**
+ * Binary min-heap keyed by priority
+ * Used as the open set for grid searches
+ */
+export class MinHeap {
+	/**
+	 * @param {Function} compare - Priority comparator (negative when a sorts first)
+	 */
+	constructor(compare = (a, b) => a - b) {
+		this.items = [];
+		this.priorities = [];
+		this.compare = compare;
+	}
+
+	get size() {
+		return this.items.length;
+	}
+
+	peek() {
+		return this.items[0];
+	}
+
+	peekPriority() {
+		return this.priorities[0];
+	}
+
+	push(item, priority) {
+		this.items.push(item);
+		this.priorities.push(priority);
+		this.bubbleUp(this.items.length - 1);
+	}
+
+	pop() {
+		const top = this.items[0];
+		const lastItem = this.items.pop();
+		const lastPriority = this.priorities.pop();
+
+		if (this.items.length > 0) {
+			this.items[0] = lastItem;
+			this.priorities[0] = lastPriority;
+			this.sinkDown(0);
+		}
+
+		return top;
+	}
+
+	bubbleUp(index) {
+		while (index > 0) {
+			const parent = (index - 1) >> 1;
+			if (
+				this.compare(this.priorities[parent], this.priorities[index]) <=
+				0
+			) {
+				break;
+			}
+			this.swap(index, parent);
+			index = parent;
+		}
+	}
+
+	sinkDown(index) {
+		const length = this.items.length;
+
+		while (true) {
+			const left = index * 2 + 1;
+			const right = left + 1;
+			let smallest = index;
+
+			if (
+				left < length &&
+				this.compare(this.priorities[left], this.priorities[smallest]) <
+					0
+			) {
+				smallest = left;
+			}
+			if (
+				right < length &&
+				this.compare(
+					this.priorities[right],
+					this.priorities[smallest]
+				) < 0
+			) {
+				smallest = right;
+			}
+			if (smallest === index) break;
+
+			this.swap(index, smallest);
+			index = smallest;
+		}
+	}
+
+	swap(a, b) {
+		[this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+		[this.priorities[a], this.priorities[b]] = [
+			this.priorities[b],
+			this.priorities[a],
+		];
+	}
+}
+
+// 26-connected neighbourhood offsets with their unit step lengths
+export const NEIGHBOR_OFFSETS = [];
+for (let dy = -1; dy <= 1; dy++) {
+	for (let dz = -1; dz <= 1; dz++) {
+		for (let dx = -1; dx <= 1; dx++) {
+			if (dx === 0 && dy === 0 && dz === 0) continue;
+			NEIGHBOR_OFFSETS.push({
+				dx,
+				dy,
+				dz,
+				cost: Math.sqrt(dx * dx + dy * dy + dz * dz),
+			});
+		}
+	}
+}
+
+/**
+ * Check whether a diagonal step would clip the corner of a blocked cell
+ * Every axis-aligned component of the step must be free as well
+ */
+export function cutsCorner(grid, x, y, z, offset) {
+	const { dx, dy, dz } = offset;
+	if (dx !== 0 && grid.isBlocked(x + dx, y, z)) return true;
+	if (dy !== 0 && grid.isBlocked(x, y + dy, z)) return true;
+	if (dz !== 0 && grid.isBlocked(x, y, z + dz)) return true;
+	return false;
+}
+
+/**
+ * Compute a collision-free path with A* search
+ * @param {OccupancyGrid} grid - Voxelized environment
+ * @param {THREE.Vector3} from - World start position
+ * @param {THREE.Vector3} to - World goal position
+ * @param {Object} options - Search limits (maxExpansions), current cost model (flow) and whether to record expanded cells (debug)
+ * @returns {{path: THREE.Vector3[]|null, expanded: number, visited: number[]|null}} Waypoints (cell centers), search statistics and expanded cell indices
+ */
+export function findPath(grid, from, to, options = {}) {
+	const maxExpansions = options.maxExpansions ?? 200000;
+	const flow = options.flow ?? null;
+	const stepCosts = getStepCosts(NEIGHBOR_OFFSETS, flow);
+	const heuristicScale = flow ? flow.minFactor : 1;
+	const visited = options.debug ? [] : null;
+
+	// Snap start and goal onto free cells
+	const start = grid.nearestFreeCell(grid.worldToCell(from));
+	const goal = grid.nearestFreeCell(grid.worldToCell(to));
+	if (!start || !goal) return { path: null, expanded: 0, visited };
+
+	const cellCount = grid.cells.length;
+	const gScore = new Float32Array(cellCount).fill(Infinity);
+	const cameFrom = new Int32Array(cellCount).fill(-1);
+	const closed = new Uint8Array(cellCount);
+
+	const startIndex = grid.index(start.x, start.y, start.z);
+	const goalIndex = grid.index(goal.x, goal.y, goal.z);
+
+	// Euclidean distance in cells (admissible for 26-connectivity), scaled
+	// down to the cheapest step cost when a current is running
+	const heuristic = (x, y, z) =>
+		heuristicScale *
+		Math.sqrt(
+			(x - goal.x) * (x - goal.x) +
+				(y - goal.y) * (y - goal.y) +
+				(z - goal.z) * (z - goal.z)
+		);
+
+	const open = new MinHeap();
+	gScore[startIndex] = 0;
+	open.push(startIndex, heuristic(start.x, start.y, start.z));
+
+	const layer = grid.sizeX * grid.sizeZ;
+	let expanded = 0;
+
+	while (open.size > 0 && expanded < maxExpansions) {
+		const current = open.pop();
+		if (closed[current]) continue;
+		closed[current] = 1;
+		expanded++;
+		if (visited) visited.push(current);
+
+		if (current === goalIndex) {
+			return {
+				path: reconstructPath(grid, cameFrom, current),
+				expanded,
+				visited,
+			};
+		}
+
+		// Decode cell coordinates from the flat index
+		const y = Math.floor(current / layer);
+		const z = Math.floor((current % layer) / grid.sizeX);
+		const x = current % grid.sizeX;
+
+		for (let i = 0; i < NEIGHBOR_OFFSETS.length; i++) {
+			const offset = NEIGHBOR_OFFSETS[i];
+			const nx = x + offset.dx;
+			const ny = y + offset.dy;
+			const nz = z + offset.dz;
+
+			if (stepCosts[i] === Infinity) continue;
+			if (grid.isBlocked(nx, ny, nz)) continue;
+			if (offset.cost > 1 && cutsCorner(grid, x, y, z, offset)) continue;
+
+			const neighbor = grid.index(nx, ny, nz);
+			if (closed[neighbor]) continue;
+
+			const tentative = gScore[current] + stepCosts[i];
+			if (tentative < gScore[neighbor]) {
+				gScore[neighbor] = tentative;
+				cameFrom[neighbor] = current;
+				open.push(neighbor, tentative + heuristic(nx, ny, nz));
+			}
+		}
+	}
+
+	return { path: null, expanded, visited };
+}
+
+/**
+ * Dijkstra search outward from a cell
+ * @param {OccupancyGrid} grid - Voxelized environment
+ * @param {{x: number, y: number, z: number}} start - Free start cell
+ * @param {Function} onSettle - Called with (index, distance in cells) as each cell is settled; return true to stop
+ * @param {number} maxExpansions - Search limit
+ * @param {number[]} stepCosts - Cost of each neighbour offset
+ * @returns {Float32Array} Distance in cells to every settled cell (Infinity elsewhere)
+ */
+function dijkstra(grid, start, onSettle, maxExpansions, stepCosts) {
+	const cellCount = grid.cells.length;
+	const gScore = new Float32Array(cellCount).fill(Infinity);
+	const closed = new Uint8Array(cellCount);
+
+	const open = new MinHeap();
+	const startIndex = grid.index(start.x, start.y, start.z);
+	gScore[startIndex] = 0;
+	open.push(startIndex, 0);
+
+	const layer = grid.sizeX * grid.sizeZ;
+	let expanded = 0;
+
+	while (open.size > 0 && expanded < maxExpansions) {
+		const current = open.pop();
+		if (closed[current]) continue;
+		closed[current] = 1;
+		expanded++;
+
+		if (onSettle(current, gScore[current])) break;
+
+		const y = Math.floor(current / layer);
+		const z = Math.floor((current % layer) / grid.sizeX);
+		const x = current % grid.sizeX;
+
+		for (let i = 0; i < NEIGHBOR_OFFSETS.length; i++) {
+			const offset = NEIGHBOR_OFFSETS[i];
+			const nx = x + offset.dx;
+			const ny = y + offset.dy;
+			const nz = z + offset.dz;
+
+			if (stepCosts[i] === Infinity) continue;
+			if (grid.isBlocked(nx, ny, nz)) continue;
+			if (offset.cost > 1 && cutsCorner(grid, x, y, z, offset)) continue;
+
+			const neighbor = grid.index(nx, ny, nz);
+			if (closed[neighbor]) continue;
+
+			const tentative = gScore[current] + stepCosts[i];
+			if (tentative < gScore[neighbor]) {
+				gScore[neighbor] = tentative;
+				open.push(neighbor, tentative);
+			}
+		}
+	}
+
+	// Unsettled cells may hold tentative scores; only settled ones are exact
+	for (let i = 0; i < cellCount; i++) {
+		if (!closed[i]) gScore[i] = Infinity;
+	}
+	return gScore;
+}
+
+/**
+ * Obstacle-aware travel distances from one position to several others
+ * Dijkstra search from the start that stops once every target is settled,
+ * so one search replaces a path query per target.
+ * @param {OccupancyGrid} grid - Voxelized environment
+ * @param {THREE.Vector3} from - World start position
+ * @param {THREE.Vector3[]} targets - World target positions
+ * @param {Object} options - Search limits (maxExpansions) and current cost model (flow)
+ * @returns {number[]} Distance to each target in world units (Infinity if unreachable)
+ */
+export function findDistances(grid, from, targets, options = {}) {
+	const distances = targets.map(() => Infinity);
+
+	const start = grid.nearestFreeCell(grid.worldToCell(from));
+	if (!start) return distances;
+
+	// Targets sharing a cell share a distance
+	const pending = new Map();
+	targets.forEach((target, i) => {
+		const cell = grid.nearestFreeCell(grid.worldToCell(target));
+		if (!cell) return;
+
+		const index = grid.index(cell.x, cell.y, cell.z);
+		if (!pending.has(index)) pending.set(index, []);
+		pending.get(index).push(i);
+	});
+	if (pending.size === 0) return distances;
+
+	dijkstra(
+		grid,
+		start,
+		(index, distance) => {
+			if (pending.has(index)) {
+				pending.get(index).forEach((i) => {
+					distances[i] = distance * grid.resolution;
+				});
+				pending.delete(index);
+			}
+			return pending.size === 0;
+		},
+		options.maxExpansions ?? 500000,
+		getStepCosts(NEIGHBOR_OFFSETS, options.flow ?? null)
+	);
+
+	return distances;
+}
+
+/**
+ * Obstacle-aware distance from a position to every free cell
+ * Look up a cell with grid.index(); blocked or unreachable cells are Infinity.
+ * With a current the field is not symmetric, so inbound selects travel from
+ * every cell to the position rather than away from it.
+ * @param {OccupancyGrid} grid - Voxelized environment
+ * @param {THREE.Vector3} from - World position the distances are measured from
+ * @param {Object} options - Current cost model (flow) and travel direction (inbound)
+ * @returns {Float32Array|null} Distances in world units, or null if there is no free cell nearby
+ */
+export function findDistanceField(grid, from, options = {}) {
+	const start = grid.nearestFreeCell(grid.worldToCell(from));
+	if (!start) return null;
+
+	const field = dijkstra(
+		grid,
+		start,
+		() => false,
+		Infinity,
+		getStepCosts(NEIGHBOR_OFFSETS, options.flow ?? null, options.inbound)
+	);
+	for (let i = 0; i < field.length; i++) {
+		field[i] *= grid.resolution;
+	}
+	return field;
+}
+
+/**
+ * World positions of grid cells
+ * @param {OccupancyGrid} grid - Voxelized environment
+ * @param {number[]} indices - Flat cell indices
+ * @returns {THREE.Vector3[]} Cell centers
+ */
+export function cellCenters(grid, indices) {
+	const layer = grid.sizeX * grid.sizeZ;
+	return indices.map((index) =>
+		grid.cellToWorld(
+			index % grid.sizeX,
+			Math.floor(index / layer),
+			Math.floor((index % layer) / grid.sizeX)
+		)
+	);
+}
+
+function reconstructPath(grid, cameFrom, goalIndex) {
+	const layer = grid.sizeX * grid.sizeZ;
+	const path = [];
+
+	for (let index = goalIndex; index !== -1; index = cameFrom[index]) {
+		const y = Math.floor(index / layer);
+		const z = Math.floor((index % layer) / grid.sizeX);
+		const x = index % grid.sizeX;
+		path.push(grid.cellToWorld(x, y, z));
+	}
+
+	return path.reverse();
+}
+
+/**
+ * Remove redundant waypoints using line-of-sight shortcuts
+ * @param {OccupancyGrid} grid - Voxelized environment
+ * @param {THREE.Vector3[]} path - Dense waypoint sequence
+ * @returns {THREE.Vector3[]} Reduced waypoint sequence
+ */
+export function smoothPath(grid, path) {
+	if (path.length <= 2) return path.slice();
+
+	const smoothed = [path[0]];
+	let anchor = 0;
+
+	while (anchor < path.length - 1) {
+		// Jump to the furthest waypoint still visible from the anchor
+		let next = path.length - 1;
+		while (
+			next > anchor + 1 &&
+			!grid.hasLineOfSight(path[anchor], path[next])
+		) {
+			next--;
+		}
+		smoothed.push(path[next]);
+		anchor = next;
+	}
+
+	return smoothed;
+}
+
+// Lexicographic ordering of D* Lite [k1, k2] keys
+function keyLess(a, b) {
+	return a[0] < b[0] || (a[0] === b[0] && a[1] < b[1]);
+}
+
+function compareKeys(a, b) {
+	if (keyLess(a, b)) return -1;
+	return keyLess(b, a) ? 1 : 0;
+}
+
+/**
+ * Incremental shortest paths with D* Lite (Koenig & Likhachev)
+ * Searches backwards from the goal so that newly blocked cells and vehicle
+ * motion only repair the affected part of the previous search. Unknown
+ * cells are treated as free, making it suitable for maps built on the fly.
+ */
+export class DStarLite {
+	/**
+	 * Create a planner for a fixed goal
+	 * @param {OccupancyGrid} grid - Map the planner reads (may change between plans)
+	 * @param {THREE.Vector3} from - World start position
+	 * @param {THREE.Vector3} to - World goal position
+	 * @param {Object} options - Search limits (maxExpansions per plan) and current cost model (flow)
+	 */
+	constructor(grid, from, to, options = {}) {
+		this.grid = grid;
+		this.maxExpansions = options.maxExpansions ?? 200000;
+
+		// Neighbour offsets with the cost of stepping along them
+		const flow = options.flow ?? null;
+		const stepCosts = getStepCosts(NEIGHBOR_OFFSETS, flow);
+		this.offsets = NEIGHBOR_OFFSETS.map((offset, i) => ({
+			...offset,
+			travel: stepCosts[i],
+		}));
+		this.heuristicScale = flow ? flow.minFactor : 1;
+
+		const cellCount = grid.cells.length;
+		this.g = new Float64Array(cellCount).fill(Infinity);
+		this.rhs = new Float64Array(cellCount).fill(Infinity);
+		this.open = new MinHeap(compareKeys);
+		this.km = 0;
+
+		this.start = grid.nearestFreeCell(grid.worldToCell(from));
+		this.last = this.start;
+		this.goal = grid.nearestFreeCell(grid.worldToCell(to));
+
+		if (this.goal) {
+			this.goalIndex = grid.index(this.goal.x, this.goal.y, this.goal.z);
+			this.rhs[this.goalIndex] = 0;
+			this.open.push(this.goalIndex, this.calculateKey(this.goalIndex));
+		}
+	}
+
+	cellOf(index) {
+		const layer = this.grid.sizeX * this.grid.sizeZ;
+		return {
+			x: index % this.grid.sizeX,
+			y: Math.floor(index / layer),
+			z: Math.floor((index % layer) / this.grid.sizeX),
+		};
+	}
+
+	// Euclidean distance in cells from the vehicle (admissible for 26-connectivity)
+	heuristic(cell) {
+		const dx = cell.x - this.start.x;
+		const dy = cell.y - this.start.y;
+		const dz = cell.z - this.start.z;
+		return this.heuristicScale * Math.sqrt(dx * dx + dy * dy + dz * dz);
+	}
+
+	calculateKey(index) {
+		const best = Math.min(this.g[index], this.rhs[index]);
+		return [best + this.heuristic(this.cellOf(index)) + this.km, best];
+	}
+
+	/**
+	 * Cost of stepping from a cell to its neighbour
+	 * Blocking is symmetric; with a current the step cost depends on direction
+	 */
+	edgeCost(cell, offset) {
+		const grid = this.grid;
+		const nx = cell.x + offset.dx;
+		const ny = cell.y + offset.dy;
+		const nz = cell.z + offset.dz;
+
+		if (grid.isBlocked(cell.x, cell.y, cell.z)) return Infinity;
+		if (grid.isBlocked(nx, ny, nz)) return Infinity;
+		if (offset.cost > 1) {
+			const reverse = { dx: -offset.dx, dy: -offset.dy, dz: -offset.dz };
+			if (
+				cutsCorner(grid, cell.x, cell.y, cell.z, offset) ||
+				cutsCorner(grid, nx, ny, nz, reverse)
+			) {
+				return Infinity;
+			}
+		}
+		return offset.travel;
+	}
+
+	updateVertex(index) {
+		if (index !== this.goalIndex) {
+			const cell = this.cellOf(index);
+			let best = Infinity;
+
+			for (const offset of this.offsets) {
+				const cost = this.edgeCost(cell, offset);
+				if (cost === Infinity) continue;
+
+				const neighbor = this.grid.index(
+					cell.x + offset.dx,
+					cell.y + offset.dy,
+					cell.z + offset.dz
+				);
+				best = Math.min(best, cost + this.g[neighbor]);
+			}
+			this.rhs[index] = best;
+		}
+
+		// Stale heap entries are skipped lazily when popped
+		if (this.g[index] !== this.rhs[index]) {
+			this.open.push(index, this.calculateKey(index));
+		}
+	}
+
+	updateNeighbors(index) {
+		const cell = this.cellOf(index);
+		for (const offset of NEIGHBOR_OFFSETS) {
+			const x = cell.x + offset.dx;
+			const y = cell.y + offset.dy;
+			const z = cell.z + offset.dz;
+			if (this.grid.inBounds(x, y, z)) {
+				this.updateVertex(this.grid.index(x, y, z));
+			}
+		}
+	}
+
+	computeShortestPath() {
+		const startIndex = this.grid.index(
+			this.start.x,
+			this.start.y,
+			this.start.z
+		);
+		let expanded = 0;
+
+		while (this.open.size > 0 && expanded < this.maxExpansions) {
+			const index = this.open.peek();
+			const oldKey = this.open.peekPriority();
+
+			// Drop entries for cells that have since become consistent
+			if (this.g[index] === this.rhs[index]) {
+				this.open.pop();
+				continue;
+			}
+
+			if (
+				!keyLess(oldKey, this.calculateKey(startIndex)) &&
+				this.rhs[startIndex] === this.g[startIndex]
+			) {
+				break;
+			}
+
+			this.open.pop();
+			expanded++;
+
+			const newKey = this.calculateKey(index);
+			if (keyLess(oldKey, newKey)) {
+				this.open.push(index, newKey);
+			} else if (this.g[index] > this.rhs[index]) {
+				this.g[index] = this.rhs[index];
+				this.updateNeighbors(index);
+			} else {
+				this.g[index] = Infinity;
+				this.updateVertex(index);
+				this.updateNeighbors(index);
+			}
+		}
+
+		return expanded;
+	}
+
+	/**
+	 * Move the search start to the vehicle's current position
+	 * @param {THREE.Vector3} position - World position of the vehicle
+	 */
+	updateStart(position) {
+		const start = this.grid.nearestFreeCell(
+			this.grid.worldToCell(position)
+		);
+		if (!start || !this.last) return;
+
+		this.start = start;
+		this.km += this.heuristic(this.last);
+		this.last = start;
+	}
+
+	/**
+	 * Repair the search after map cells changed state
+	 * @param {{x: number, y: number, z: number}[]} cells - Cells that changed
+	 */
+	updateCells(cells) {
+		cells.forEach((cell) => {
+			this.updateVertex(this.grid.index(cell.x, cell.y, cell.z));
+			this.updateNeighbors(this.grid.index(cell.x, cell.y, cell.z));
+		});
+	}
+
+	/**
+	 * Cells whose cost-to-goal the search has settled
+	 * @returns {number[]} Flat cell indices
+	 */
+	getSettledCells() {
+		const settled = [];
+		for (let i = 0; i < this.g.length; i++) {
+			if (this.g[i] !== Infinity) settled.push(i);
+		}
+		return settled;
+	}
+
+	/**
+	 * Compute (or repair) the shortest path from the current start
+	 * @returns {{path: THREE.Vector3[]|null, expanded: number}} Waypoints (cell centers) and search statistics
+	 */
+	plan() {
+		if (!this.start || !this.goal) return { path: null, expanded: 0 };
+
+		const expanded = this.computeShortestPath();
+		const grid = this.grid;
+		let index = grid.index(this.start.x, this.start.y, this.start.z);
+		if (this.rhs[index] === Infinity) return { path: null, expanded };
+
+		// Greedily descend the cost-to-goal field
+		const path = [
+			grid.cellToWorld(this.start.x, this.start.y, this.start.z),
+		];
+		for (let step = 0; index !== this.goalIndex; step++) {
+			if (step > grid.cells.length) return { path: null, expanded };
+
+			const cell = this.cellOf(index);
+			let next = -1;
+			let best = Infinity;
+			for (const offset of this.offsets) {
+				const cost = this.edgeCost(cell, offset);
+				if (cost === Infinity) continue;
+
+				const neighbor = grid.index(
+					cell.x + offset.dx,
+					cell.y + offset.dy,
+					cell.z + offset.dz
+				);
+				if (cost + this.g[neighbor] < best) {
+					best = cost + this.g[neighbor];
+					next = neighbor;
+				}
+			}
+			if (next === -1) return { path: null, expanded };
+
+			index = next;
+			const nextCell = this.cellOf(index);
+			path.push(grid.cellToWorld(nextCell.x, nextCell.y, nextCell.z));
+		}
+
+		return { path, expanded };
+	}
+}
@@ -0,0 +1,93 @@
+/**
+ * HYDROBOT PID Controller
+ *
+ * Proportional-integral-derivative loop used by the heading, depth and
+ * speed holds. The derivative acts on the measured rate rather than the
+ * error, so stepping the setpoint does not kick the output, and the
+ * integral stops growing while the output is saturated (anti-windup).
+ */
+export class PIDController {
+	/**
+	 * Create a controller
+	 * @param {Object} gains - Loop settings
+	 * @param {number} gains.kp - Proportional gain
+	 * @param {number} gains.ki - Integral gain (per second)
+	 * @param {number} gains.kd - Derivative gain (seconds)
+	 * @param {number} gains.outputLimit - Output magnitude limit (default 1)
+	 */
+	constructor(gains = {}) {
+		this.kp = gains.kp ?? 1;
+		this.ki = gains.ki ?? 0;
+		this.kd = gains.kd ?? 0;
+		this.outputLimit = gains.outputLimit ?? 1;
+		this.reset();
+	}
+
+	/**
+	 * Change the loop gains; omitted gains keep their value
+	 * @param {{kp: number, ki: number, kd: number}} gains - New gains
+	 */
+	setGains(gains) {
+		["kp", "ki", "kd"].forEach((key) => {
+			const value = Number(gains[key]);
+			if (gains[key] !== undefined && Number.isFinite(value)) {
+				this[key] = Math.max(0, value);
+			}
+		});
+	}
+
+	getGains() {
+		return { kp: this.kp, ki: this.ki, kd: this.kd };
+	}
+
+	reset() {
+		this.integral = 0;
+		this.previousError = null;
+		this.terms = { p: 0, i: 0, d: 0 };
+		this.output = 0;
+	}
+
+	/**
+	 * Advance the loop by one time step
+	 * @param {number} error - Setpoint minus measurement (wrapped by the caller for angles)
+	 * @param {number} dt - Time step (seconds)
+	 * @param {Object} options - Optional inputs
+	 * @param {number} options.rate - Measured rate of change of the process value; the error is differenced if omitted
+	 * @param {number} options.feedforward - Open-loop output added before the limit
+	 * @returns {number} Controller output, limited to ±outputLimit
+	 */
+	update(error, dt, options = {}) {
+		const feedforward = options.feedforward ?? 0;
+
+		let derivative = 0;
+		if (options.rate !== undefined) {
+			derivative = -options.rate;
+		} else if (this.previousError !== null && dt > 0) {
+			derivative = (error - this.previousError) / dt;
+		}
+		this.previousError = error;
+
+		const p = this.kp * error;
+		const d = this.kd * derivative;
+		const candidate = this.integral + this.ki * error * dt;
+		const unlimited = feedforward + p + candidate + d;
+
+		// Only integrate while the output has headroom, or when it unwinds
+		if (
+			Math.abs(unlimited) <= this.outputLimit ||
+			error * this.integral < 0
+		) {
+			this.integral = Math.max(
+				-this.outputLimit,
+				Math.min(this.outputLimit, candidate)
+			);
+		}
+
+		this.terms = { p, i: this.integral, d };
+		this.output = Math.max(
+			-this.outputLimit,
+			Math.min(this.outputLimit, feedforward + p + this.integral + d)
+		);
+		return this.output;
+	}
+}
@@ -0,0 +1,21 @@
+import { cellCenters, findPath } from "../pathPlanner.js";
+
+/**
+ * A* planner plugin
+ * 26-connected grid search; waypoints are occupancy grid cell centers.
+ */
+export const aStarPlanner = {
+	id: "astar",
+	name: "A*",
+
+	plan({ grid, start, goal, flow, options }) {
+		const result = findPath(grid, start, goal, { ...options, flow });
+		return {
+			path: result.path,
+			stats: { expanded: result.expanded },
+			debug: result.visited && {
+				nodes: cellCenters(grid, result.visited),
+			},
+		};
+	},
+};
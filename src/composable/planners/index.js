@@ -0,0 +1,101 @@
+import { aStarPlanner } from "./aStarPlanner.js";
+import { rrtStarPlanner } from "./rrtStarPlanner.js";
+import { thetaStarPlanner } from "./thetaStarPlanner.js";
+
+/**
+ * HYDROBOT Planner Plugins
+ *
+ * Path planning algorithms are plugins registered by id, so they can be
+ * swapped at runtime without changing the vehicle logic.
+ *
+ * A planner plugin is an object with:
+ * - id: unique identifier used for selection
+ * - name: display name
+ * - plan(request): compute a path for a planning request
+ *
+ * The request contains:
+ * - grid: OccupancyGrid of the environment
+ * - start, goal: THREE.Vector3 world positions
+ * - constraints: vehicle operational constraints (minY, maxY, boundary, floorY)
+ * - flow: current cost model from createCurrentCost(), or null in still
+ *   water; planners should minimize flow.segmentCost() instead of length
+ * - options: planner-specific settings; options.debug asks for search data
+ *
+ * plan() returns { path, stats, debug } where path is an array of
+ * THREE.Vector3 waypoints from start to goal (or null if unreachable) and
+ * stats holds algorithm statistics, at least { expanded }. debug is only
+ * needed when options.debug is set and holds search data for visualization:
+ * nodes (expanded positions) and/or edges (position pairs, e.g. a tree).
+ */
+
+const planners = new Map();
+
+/**
+ * Register a planner plugin (replaces any plugin with the same id)
+ * @param {Object} planner - Planner plugin
+ */
+export function registerPlanner(planner) {
+	if (!planner.id || typeof planner.plan !== "function") {
+		throw new Error("Planner plugins need an id and a plan() function");
+	}
+	planners.set(planner.id, planner);
+}
+
+export function getPlanner(id) {
+	return planners.get(id) || null;
+}
+
+/**
+ * List the registered planners for selection menus
+ * @returns {{id: string, name: string}[]} Planner ids and display names
+ */
+export function getPlanners() {
+	return [...planners.values()].map((planner) => ({
+		id: planner.id,
+		name: planner.name,
+	}));
+}
+
+/**
+ * Run a planner and complete its statistics
+ * Adds wall-clock compute time, the resulting path length and its cost
+ * (still-water distance, equal to the length when there is no current)
+ * @param {Object} planner - Planner plugin
+ * @param {Object} request - Planning request
+ * @returns {{path: THREE.Vector3[]|null, stats: Object, debug: Object|null}} Planning result
+ */
+export function runPlanner(planner, request) {
+	const startTime = performance.now();
+	const result = planner.plan({ options: {}, flow: null, ...request });
+	const computeTime = performance.now() - startTime;
+
+	let length = 0;
+	let cost = 0;
+	if (result.path) {
+		for (let i = 1; i < result.path.length; i++) {
+			const a = result.path[i - 1];
+			const b = result.path[i];
+			length += a.distanceTo(b);
+			cost += request.flow
+				? request.flow.segmentCost(a, b)
+				: a.distanceTo(b);
+		}
+	}
+
+	return {
+		path: result.path,
+		stats: {
+			...result.stats,
+			planner: planner.id,
+			computeTime,
+			length: result.path ? length : Infinity,
+			cost: result.path ? cost : Infinity,
+		},
+		debug: result.debug ?? null,
+	};
+}
+
+// Built-in planners
+registerPlanner(aStarPlanner);
+registerPlanner(thetaStarPlanner);
+registerPlanner(rrtStarPlanner);
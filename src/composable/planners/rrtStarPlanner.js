@@ -0,0 +1,163 @@
+import * as THREE from "three";
+
+/**
+ * RRT* planner plugin
+ * Sampling-based planner that grows a tree through free space and rewires
+ * it toward shorter paths. Works in continuous space; the occupancy grid is
+ * only used for collision checks.
+ *
+ * Options:
+ * - maxIterations: number of samples drawn (default 3000)
+ * - stepSize: maximum edge length in world units (default 4 cells)
+ * - goalBias: probability of sampling the goal directly (default 0.1)
+ * - random: random number source returning [0, 1) (default Math.random)
+ * - debug: return the tree edges for visualization
+ */
+export const rrtStarPlanner = {
+	id: "rrt_star",
+	name: "RRT*",
+
+	plan({ grid, start, goal, flow, options }) {
+		const maxIterations = options.maxIterations ?? 3000;
+		const stepSize = options.stepSize ?? grid.resolution * 4;
+		const goalBias = options.goalBias ?? 0.1;
+		const random = options.random ?? Math.random;
+		const legCost = (a, b) =>
+			flow ? flow.segmentCost(a, b) : a.distanceTo(b);
+
+		// Snap start and goal onto free cells, as the grid planners do
+		const startCell = grid.nearestFreeCell(grid.worldToCell(start));
+		const goalCell = grid.nearestFreeCell(grid.worldToCell(goal));
+		if (!startCell || !goalCell) {
+			return { path: null, stats: { expanded: 0, iterations: 0 } };
+		}
+		const root = grid.cellToWorld(startCell.x, startCell.y, startCell.z);
+		const target = grid.cellToWorld(goalCell.x, goalCell.y, goalCell.z);
+
+		const nodes = [{ position: root, parent: -1, cost: 0 }];
+		const rewireRadius = stepSize * 2;
+		let bestGoalNode = -1;
+		let bestGoalCost = Infinity;
+		let iteration = 0;
+
+		if (
+			root.distanceTo(target) <= stepSize &&
+			grid.hasLineOfSight(root, target)
+		) {
+			bestGoalNode = 0;
+			bestGoalCost = legCost(root, target);
+		}
+
+		const sample = new THREE.Vector3();
+		for (; iteration < maxIterations; iteration++) {
+			if (random() < goalBias) {
+				sample.copy(target);
+			} else {
+				sample.set(
+					grid.min.x + random() * (grid.max.x - grid.min.x),
+					grid.min.y + random() * (grid.max.y - grid.min.y),
+					grid.min.z + random() * (grid.max.z - grid.min.z)
+				);
+			}
+
+			// Steer from the nearest tree node toward the sample
+			let nearest = 0;
+			let nearestDistance = Infinity;
+			nodes.forEach((node, index) => {
+				const distance = node.position.distanceToSquared(sample);
+				if (distance < nearestDistance) {
+					nearestDistance = distance;
+					nearest = index;
+				}
+			});
+
+			const from = nodes[nearest].position;
+			const position = sample.clone();
+			if (from.distanceTo(position) > stepSize) {
+				position.sub(from).setLength(stepSize).add(from);
+			}
+			if (!grid.hasLineOfSight(from, position)) continue;
+
+			// Choose the cheapest visible parent in the neighbourhood
+			const neighbors = [];
+			nodes.forEach((node, index) => {
+				if (node.position.distanceTo(position) <= rewireRadius) {
+					neighbors.push(index);
+				}
+			});
+
+			let parent = nearest;
+			let cost = nodes[nearest].cost + legCost(from, position);
+			neighbors.forEach((index) => {
+				const node = nodes[index];
+				const candidate = node.cost + legCost(node.position, position);
+				if (
+					candidate < cost &&
+					grid.hasLineOfSight(node.position, position)
+				) {
+					parent = index;
+					cost = candidate;
+				}
+			});
+			if (cost === Infinity) continue;
+
+			const newIndex = nodes.length;
+			nodes.push({ position, parent, cost });
+
+			// Rewire neighbours through the new node when that is cheaper
+			neighbors.forEach((index) => {
+				const node = nodes[index];
+				const candidate = cost + legCost(position, node.position);
+				if (
+					candidate < node.cost &&
+					grid.hasLineOfSight(position, node.position)
+				) {
+					node.parent = newIndex;
+					node.cost = candidate;
+				}
+			});
+
+			// Track the cheapest node that can see the goal
+			const toGoal = legCost(position, target);
+			if (
+				position.distanceTo(target) <= stepSize &&
+				cost + toGoal < bestGoalCost &&
+				grid.hasLineOfSight(position, target)
+			) {
+				bestGoalNode = newIndex;
+				bestGoalCost = cost + toGoal;
+			}
+		}
+
+		// Tree edges from each node to its parent
+		const debug = options.debug && {
+			edges: nodes
+				.filter((node) => node.parent !== -1)
+				.map((node) => [nodes[node.parent].position, node.position]),
+		};
+
+		if (bestGoalNode === -1) {
+			return {
+				path: null,
+				stats: { expanded: nodes.length, iterations: iteration },
+				debug,
+			};
+		}
+
+		// Follow parent links back from the best goal connection
+		const path = [target];
+		for (
+			let index = bestGoalNode;
+			index !== -1;
+			index = nodes[index].parent
+		) {
+			path.push(nodes[index].position);
+		}
+
+		return {
+			path: path.reverse(),
+			stats: { expanded: nodes.length, iterations: iteration },
+			debug,
+		};
+	},
+};
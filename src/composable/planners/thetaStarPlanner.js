@@ -0,0 +1,179 @@
+import {
+	cellCenters,
+	cutsCorner,
+	MinHeap,
+	NEIGHBOR_OFFSETS,
+} from "../pathPlanner.js";
+
+/**
+ * Check whether the segment between two cell centers crosses only free cells
+ * Samples every quarter cell, like OccupancyGrid.hasLineOfSight()
+ */
+function lineOfSight(grid, a, b) {
+	const dx = b.x - a.x;
+	const dy = b.y - a.y;
+	const dz = b.z - a.z;
+	const steps = Math.max(
+		1,
+		Math.ceil(Math.sqrt(dx * dx + dy * dy + dz * dz) * 4)
+	);
+
+	for (let i = 1; i < steps; i++) {
+		const t = i / steps;
+		if (
+			grid.isBlocked(
+				Math.floor(a.x + 0.5 + dx * t),
+				Math.floor(a.y + 0.5 + dy * t),
+				Math.floor(a.z + 0.5 + dz * t)
+			)
+		) {
+			return false;
+		}
+	}
+
+	return true;
+}
+
+function distance(a, b) {
+	return Math.sqrt(
+		(a.x - b.x) * (a.x - b.x) +
+			(a.y - b.y) * (a.y - b.y) +
+			(a.z - b.z) * (a.z - b.z)
+	);
+}
+
+// Cost of the straight leg from cell a to cell b, in cells
+function legCost(a, b, flow) {
+	const length = distance(a, b);
+	if (!flow || length === 0) return length;
+	return length * flow.factor(b.x - a.x, b.y - a.y, b.z - a.z);
+}
+
+/**
+ * Theta* planner plugin
+ * Any-angle variant of A*: a node may take its grandparent as parent when
+ * the two can see each other, so paths are not restricted to grid headings.
+ */
+export const thetaStarPlanner = {
+	id: "theta_star",
+	name: "Theta*",
+
+	plan({ grid, start, goal, flow, options }) {
+		const maxExpansions = options.maxExpansions ?? 200000;
+		const heuristicScale = flow ? flow.minFactor : 1;
+		const visited = options.debug ? [] : null;
+		const debug = () => visited && { nodes: cellCenters(grid, visited) };
+
+		const startCell = grid.nearestFreeCell(grid.worldToCell(start));
+		const goalCell = grid.nearestFreeCell(grid.worldToCell(goal));
+		if (!startCell || !goalCell) {
+			return { path: null, stats: { expanded: 0 }, debug: debug() };
+		}
+
+		const cellCount = grid.cells.length;
+		const gScore = new Float32Array(cellCount).fill(Infinity);
+		const parent = new Int32Array(cellCount).fill(-1);
+		const closed = new Uint8Array(cellCount);
+
+		const layer = grid.sizeX * grid.sizeZ;
+		const decode = (index) => ({
+			x: index % grid.sizeX,
+			y: Math.floor(index / layer),
+			z: Math.floor((index % layer) / grid.sizeX),
+		});
+
+		const startIndex = grid.index(startCell.x, startCell.y, startCell.z);
+		const goalIndex = grid.index(goalCell.x, goalCell.y, goalCell.z);
+
+		const open = new MinHeap();
+		gScore[startIndex] = 0;
+		parent[startIndex] = startIndex;
+		open.push(startIndex, heuristicScale * distance(startCell, goalCell));
+
+		let expanded = 0;
+
+		while (open.size > 0 && expanded < maxExpansions) {
+			const current = open.pop();
+			if (closed[current]) continue;
+			closed[current] = 1;
+			expanded++;
+			if (visited) visited.push(current);
+
+			if (current === goalIndex) {
+				// Follow the parent chain back to the start
+				const path = [];
+				let index = current;
+				while (true) {
+					const cell = decode(index);
+					path.push(grid.cellToWorld(cell.x, cell.y, cell.z));
+					if (index === startIndex) break;
+					index = parent[index];
+				}
+				return {
+					path: path.reverse(),
+					stats: { expanded },
+					debug: debug(),
+				};
+			}
+
+			const cell = decode(current);
+			const parentIndex = parent[current];
+			const parentCell = decode(parentIndex);
+
+			for (const offset of NEIGHBOR_OFFSETS) {
+				const neighborCell = {
+					x: cell.x + offset.dx,
+					y: cell.y + offset.dy,
+					z: cell.z + offset.dz,
+				};
+
+				if (
+					grid.isBlocked(
+						neighborCell.x,
+						neighborCell.y,
+						neighborCell.z
+					)
+				) {
+					continue;
+				}
+				if (
+					offset.cost > 1 &&
+					cutsCorner(grid, cell.x, cell.y, cell.z, offset)
+				) {
+					continue;
+				}
+
+				const neighbor = grid.index(
+					neighborCell.x,
+					neighborCell.y,
+					neighborCell.z
+				);
+				if (closed[neighbor]) continue;
+
+				// Connect straight to the parent when the segment is clear
+				let candidateParent = current;
+				let tentative =
+					gScore[current] + legCost(cell, neighborCell, flow);
+				if (lineOfSight(grid, parentCell, neighborCell)) {
+					candidateParent = parentIndex;
+					tentative =
+						gScore[parentIndex] +
+						legCost(parentCell, neighborCell, flow);
+				}
+				if (tentative === Infinity) continue;
+
+				if (tentative < gScore[neighbor]) {
+					gScore[neighbor] = tentative;
+					parent[neighbor] = candidateParent;
+					open.push(
+						neighbor,
+						tentative +
+							heuristicScale * distance(neighborCell, goalCell)
+					);
+				}
+			}
+		}
+
+		return { path: null, stats: { expanded }, debug: debug() };
+	},
+};
@@ -0,0 +1,74 @@
+/**
+ * Seeded Random Numbers
+ *
+ * Deterministic replacement for Math.random so simulation runs can be
+ * reproduced from a seed.
+ */
+
+/**
+ * Create a seeded random number source (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {function(): number} Source returning numbers in [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+	let state = seed >>> 0;
+
+	return () => {
+		state = (state + 0x6d2b79f5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/**
+ * Create independent random streams from one seed
+ * Each subsystem draws from its own stream, so extra draws in one (an
+ * event firing, a survivor respawning) never shift the numbers another
+ * sees: the same seed always builds the same world.
+ * @param {number} seed - Integer seed
+ * @returns {{world: function(): number, targets: function(): number, events: function(): number, planning: function(): number}} Random sources by subsystem
+ */
+export function createRandomStreams(seed) {
+	return {
+		world: createRandom(deriveSeed(seed, "world")), // Buildings, debris and terrain
+		targets: createRandom(deriveSeed(seed, "targets")), // Survivor placement and conditions
+		events: createRandom(deriveSeed(seed, "events")), // Environmental events and their effects
+		planning: createRandom(deriveSeed(seed, "planning")), // Sampling planners
+	};
+}
+
+/**
+ * Pick a fresh seed for a session that was not given one
+ * @returns {number} Integer seed
+ */
+export function createSeed() {
+	return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Read a seed typed by the operator or taken from the URL
+ * @param {string|number|null} value - Seed text
+ * @returns {number|null} Integer seed, or null if the value is not one
+ */
+export function parseSeed(value) {
+	if (value === null || value === undefined) return null;
+	const text = String(value).trim();
+	if (!/^\d+$/.test(text)) return null;
+	const seed = Number(text);
+	return seed <= 4294967295 ? seed : null;
+}
+
+/**
+ * Mix a stream name into the seed (FNV-1a over the name, then a murmur finalizer)
+ */
+function deriveSeed(seed, name) {
+	let hash = (seed ^ 0x811c9dc5) >>> 0;
+	for (let i = 0; i < name.length; i++) {
+		hash = Math.imul(hash ^ name.charCodeAt(i), 0x01000193) >>> 0;
+	}
+	hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+	hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+	return (hash ^ (hash >>> 16)) >>> 0;
+}
@@ -0,0 +1,188 @@
+/**
+ * HYDROBOT Rescue Route Optimizer
+ *
+ * Orders the rescue of located survivors as a travelling salesman tour
+ * with deadlines. Arrival times are weighted by survivor priority, and
+ * reaching a survivor after their survival deadline is heavily penalized,
+ * so urgent survivors are visited first unless a detour costs too much.
+ */
+
+// Survivor medical conditions: priority weight and expected survival time (seconds)
+export const SURVIVOR_CONDITIONS = {
+	critical: { label: "CRITICAL", priority: 3, survivalTime: 240 },
+	injured: { label: "INJURED", priority: 2, survivalTime: 480 },
+	stable: { label: "STABLE", priority: 1, survivalTime: 900 },
+};
+
+// Largest stop count solved exactly; bigger routes use local search
+const EXACT_STOP_LIMIT = 8;
+
+/**
+ * Evaluate visiting stops in a given order
+ * @param {number[]} order - Stop indices in visiting order
+ * @param {number[][]} travel - Travel times; row/column 0 is the vehicle, stop i is i + 1
+ * @param {Object[]} stops - Stops with priority and deadline (seconds from now)
+ * @param {Object} options - Late penalty and service time per stop
+ * @returns {{cost: number, arrivals: number[]}} Route cost and arrival time per stop
+ */
+export function evaluateRoute(order, travel, stops, options = {}) {
+	const latePenalty = options.latePenalty ?? 10;
+	const serviceTime = options.serviceTime ?? 0;
+
+	let time = 0;
+	let cost = 0;
+	let previous = 0;
+	const arrivals = [];
+
+	order.forEach((stop) => {
+		time += travel[previous][stop + 1];
+		arrivals.push(time);
+
+		const { priority, deadline } = stops[stop];
+		cost +=
+			priority * time +
+			latePenalty * priority * Math.max(0, time - deadline);
+
+		time += serviceTime;
+		previous = stop + 1;
+	});
+
+	return { cost, arrivals };
+}
+
+/**
+ * Exhaustive depth-first search with cost bounding
+ * Every cost term is non-negative, so a partial route costing more than
+ * the best complete route cannot improve on it.
+ */
+function solveExact(travel, stops, options) {
+	const latePenalty = options.latePenalty ?? 10;
+	const serviceTime = options.serviceTime ?? 0;
+	const visited = new Array(stops.length).fill(false);
+	const order = [];
+	let best = { cost: Infinity, order: null };
+
+	const search = (previous, time, cost) => {
+		if (cost >= best.cost) return;
+		if (order.length === stops.length) {
+			best = { cost, order: order.slice() };
+			return;
+		}
+
+		for (let stop = 0; stop < stops.length; stop++) {
+			if (visited[stop]) continue;
+
+			const arrival = time + travel[previous][stop + 1];
+			const { priority, deadline } = stops[stop];
+			const stopCost =
+				priority * arrival +
+				latePenalty * priority * Math.max(0, arrival - deadline);
+
+			visited[stop] = true;
+			order.push(stop);
+			search(stop + 1, arrival + serviceTime, cost + stopCost);
+			order.pop();
+			visited[stop] = false;
+		}
+	};
+
+	search(0, 0, 0);
+	return best.order;
+}
+
+/**
+ * Greedy construction followed by relocation moves until no move helps
+ */
+function solveLocal(travel, stops, options) {
+	// Greedy: repeatedly take the stop with the best priority per travel time
+	const remaining = stops.map((_, i) => i);
+	const order = [];
+	let previous = 0;
+	while (remaining.length > 0) {
+		let bestIndex = 0;
+		let bestScore = -Infinity;
+		remaining.forEach((stop, i) => {
+			const score =
+				stops[stop].priority / Math.max(travel[previous][stop + 1], 1);
+			if (score > bestScore) {
+				bestScore = score;
+				bestIndex = i;
+			}
+		});
+		previous = remaining[bestIndex] + 1;
+		order.push(...remaining.splice(bestIndex, 1));
+	}
+
+	// Improve: move single stops to whichever position lowers the cost
+	let bestCost = evaluateRoute(order, travel, stops, options).cost;
+	let improved = true;
+	while (improved) {
+		improved = false;
+		for (let from = 0; from < order.length; from++) {
+			for (let to = 0; to < order.length; to++) {
+				if (from === to) continue;
+
+				const candidate = order.slice();
+				candidate.splice(to, 0, ...candidate.splice(from, 1));
+				const cost = evaluateRoute(
+					candidate,
+					travel,
+					stops,
+					options
+				).cost;
+				if (cost < bestCost - 1e-9) {
+					order.splice(0, order.length, ...candidate);
+					bestCost = cost;
+					improved = true;
+				}
+			}
+		}
+	}
+
+	return order;
+}
+
+/**
+ * Find the rescue order for a set of stops
+ * Stops that cannot be reached are left out of the route.
+ * @param {Object[]} stops - Stops with priority and deadline (seconds from now)
+ * @param {number[][]} travel - Travel times in seconds; row/column 0 is the vehicle, stop i is i + 1
+ * @param {Object} options - latePenalty (cost multiplier for lateness, default 10) and serviceTime (seconds spent at each stop)
+ * @returns {{order: number[], arrivals: number[], cost: number, unreachable: number[]}} Visiting order, arrival times and cost
+ */
+export function optimizeRescueRoute(stops, travel, options = {}) {
+	const reachable = [];
+	const unreachable = [];
+	stops.forEach((_, i) => {
+		if (Number.isFinite(travel[0][i + 1])) {
+			reachable.push(i);
+		} else {
+			unreachable.push(i);
+		}
+	});
+
+	// Solve over the reachable stops only
+	const subStops = reachable.map((i) => stops[i]);
+	const rows = [0, ...reachable.map((i) => i + 1)];
+	const subTravel = rows.map((row) =>
+		rows.map((column) => travel[row][column])
+	);
+
+	const subOrder =
+		subStops.length <= EXACT_STOP_LIMIT
+			? solveExact(subTravel, subStops, options) || []
+			: solveLocal(subTravel, subStops, options);
+	const { cost, arrivals } = evaluateRoute(
+		subOrder,
+		subTravel,
+		subStops,
+		options
+	);
+
+	return {
+		order: subOrder.map((i) => reachable[i]),
+		arrivals,
+		cost,
+		unreachable,
+	};
+}
@@ -0,0 +1,234 @@
+/**
+ * HYDROBOT Script Controller
+ *
+ * Compiles and runs operator-written autonomy controllers. A script
+ * defines `onTick(sensors)` and returns thrust, yaw rate and vertical rate
+ * commands every step. `onTick` may be a plain function, an exported one
+ * (`export function onTick`, `export { onTick }`) or the default export.
+ * Values declared at the top level of the script keep their state between
+ * ticks.
+ *
+ * Compiling a script does not isolate it: it can reach the global object
+ * of whatever thread runs it and loop forever. The browser therefore runs
+ * scripts inside a Worker (see adapters/scriptAdapter.js), and
+ * LocalScriptHost, which runs them on the calling thread, is only for
+ * trusted scripts in batch runs.
+ */
+
+// Lines the compiled wrapper adds before the script's first line
+let lineOffset;
+
+export const EXAMPLE_SCRIPT = `// Cruise at 4 m depth and turn away from anything ahead.
+// sensors: time, dt, depth, heading, speed, position, sonar, proximity, battery
+// return: thrust (-1 to 1), yawRate (deg/s, + turns left), verticalRate (m/s, + rises)
+
+const CRUISE_DEPTH = 4;
+
+export function onTick(sensors) {
+	const { depth, proximity } = sensors;
+	const blocked = proximity.front < 6;
+
+	return {
+		thrust: blocked ? 0.2 : 0.8,
+		yawRate: blocked ? (proximity.left > proximity.right ? 40 : -40) : 0,
+		verticalRate: (depth - CRUISE_DEPTH) * 0.5,
+	};
+}
+`;
+
+export class ScriptController {
+	/**
+	 * Compile a controller script
+	 * Check `error` afterwards; `onTick` is null if the script did not compile.
+	 * @param {string} source - Script source
+	 */
+	constructor(source) {
+		this.source = source;
+		this.onTick = null;
+		this.error = null; // { message, line } of the last compile or runtime error
+
+		try {
+			const factory = new Function(wrap(source));
+			const exports = factory();
+			if (typeof exports.onTick !== "function") {
+				this.error = {
+					message: "Script must define onTick(sensors)",
+					line: null,
+				};
+			} else {
+				this.onTick = exports.onTick;
+			}
+		} catch (error) {
+			this.error = describeError(error);
+		}
+	}
+
+	/**
+	 * Run the controller for one frame
+	 * @param {Object} sensors - Frozen sensor snapshot
+	 * @returns {{thrust: number, yawRate: number, verticalRate: number}|null} Commands, or null after an error
+	 */
+	tick(sensors) {
+		if (!this.onTick) return null;
+
+		try {
+			return readCommands(this.onTick(sensors));
+		} catch (error) {
+			this.error = describeError(error);
+			this.onTick = null;
+			return null;
+		}
+	}
+}
+
+// Variable the wrapper assigns a default export to
+const DEFAULT_EXPORT = "__scriptDefaultExport";
+
+/**
+ * Turn the script into a function body that hands back its onTick
+ * Exports are rewritten at the start of any statement so scripts can be
+ * written as modules: `export` is dropped from declarations, export lists
+ * are removed (their names are already in scope) and a default export, or
+ * a name exported as onTick, is assigned to a variable the wrapper returns
+ * when no onTick is declared.
+ */
+function wrap(source) {
+	const body = source
+		.replace(
+			/(^|[;}])(\s*)export\s*\{([^}]*)\}\s*;?/gm,
+			(match, start, space, names) =>
+				start +
+				space +
+				names
+					.split(",")
+					.map((name) =>
+						/^\s*([\w$]+)\s+as\s+(?:onTick|default)\s*$/.exec(name)
+					)
+					.filter(Boolean)
+					.map(([, name]) => `${DEFAULT_EXPORT} = ${name};`)
+					.join("")
+		)
+		.replace(
+			/(^|[;}])(\s*)export\s+default\s+/gm,
+			`$1$2${DEFAULT_EXPORT} = `
+		)
+		.replace(
+			/(^|[;}])(\s*)export\s+(?=(?:async\s+)?function\b|class\b|const\b|let\b|var\b)/gm,
+			"$1$2"
+		);
+	return (
+		`"use strict";let ${DEFAULT_EXPORT};\n${body}\n;` +
+		`return { onTick: typeof onTick === "function" ? onTick : ${DEFAULT_EXPORT} };`
+	);
+}
+
+/**
+ * Validate a script's return value
+ * Missing commands default to zero; anything else must be a finite number.
+ * @param {*} result - Value returned by onTick
+ * @returns {{thrust: number, yawRate: number, verticalRate: number}} Commands
+ */
+function readCommands(result) {
+	if (result === undefined || result === null) {
+		return { thrust: 0, yawRate: 0, verticalRate: 0 };
+	}
+	if (typeof result !== "object") {
+		throw new TypeError("onTick must return an object of commands");
+	}
+
+	const commands = {};
+	["thrust", "yawRate", "verticalRate"].forEach((key) => {
+		const value = result[key] ?? 0;
+		if (typeof value !== "number" || !Number.isFinite(value)) {
+			throw new TypeError(`${key} must be a finite number`);
+		}
+		commands[key] = value;
+	});
+	return commands;
+}
+
+/**
+ * Error message and script line number (when the engine reports one)
+ * @param {Error} error - Thrown error
+ * @returns {{message: string, line: number|null}} Error for the editor
+ */
+function describeError(error) {
+	const message =
+		error instanceof Error
+			? `${error.name}: ${error.message}`
+			: String(error);
+	const line = findScriptLine(error);
+	return { message, line: line !== null && line >= 1 ? line : null };
+}
+
+function findScriptLine(error) {
+	const match = /(?:<anonymous>|> Function):(\d+):\d+/.exec(
+		error?.stack ?? ""
+	);
+	if (!match) return null;
+
+	if (lineOffset === undefined) lineOffset = measureLineOffset();
+	return lineOffset === null ? null : Number(match[1]) - lineOffset;
+}
+
+/**
+ * Engines number lines of compiled functions differently; throw from a
+ * known line of a wrapped probe to find the offset
+ */
+function measureLineOffset() {
+	try {
+		new Function(wrap("throw new Error();"))();
+	} catch (error) {
+		const match = /(?:<anonymous>|> Function):(\d+):\d+/.exec(
+			error.stack ?? ""
+		);
+		if (match) return Number(match[1]) - 1;
+	}
+	return null;
+}
+
+/**
+ * Runs scripts on the calling thread, answering every request at once
+ * Only for trusted scripts, e.g. batch runs in Node: nothing keeps a
+ * script from reaching the host's globals or stalling the simulation.
+ */
+export class LocalScriptHost {
+	/**
+	 * @param {SimulationCore} sim - Simulation the script drives
+	 */
+	constructor(sim) {
+		this.sim = sim;
+		this.controller = null;
+	}
+
+	/**
+	 * Compile a script; the simulation hears back through onScriptLoaded or onScriptError
+	 * @param {string} source - Script source
+	 */
+	load(source) {
+		const controller = new ScriptController(source);
+		if (controller.error) {
+			this.sim.onScriptError(controller.error);
+			return;
+		}
+		this.controller = controller;
+		this.sim.onScriptLoaded();
+	}
+
+	/**
+	 * Run onTick; the simulation hears back through onScriptCommands or onScriptError
+	 * @param {Object} sensors - Frozen sensor snapshot
+	 */
+	tick(sensors) {
+		const commands = this.controller.tick(sensors);
+		if (commands) {
+			this.sim.onScriptCommands(commands);
+		} else {
+			this.sim.onScriptError(this.controller.error);
+		}
+	}
+
+	stop() {
+		this.controller = null;
+	}
+}
@@ -0,0 +1,83 @@
+/**
+ * HYDROBOT Script Worker
+ *
+ * Worker that runs one operator controller script for ScriptAdapter. The
+ * script only ever sees this worker's own global: no page, DOM or
+ * simulation state, just the sensor snapshots it is sent. Network and
+ * messaging APIs are removed from the global before the script is
+ * compiled, so a script cannot send data anywhere or forge replies.
+ *
+ * Messages in: { type: 'load', source }, { type: 'tick', sensors }
+ * Messages out: { type: 'loaded' }, { type: 'commands', commands },
+ * { type: 'error', error }
+ */
+
+import { ScriptController } from "./scriptController.js";
+
+const reply = self.postMessage.bind(self);
+
+// APIs a script has no use for, removed wherever the global inherits them
+const REMOVED_GLOBALS = [
+	"postMessage",
+	"fetch",
+	"XMLHttpRequest",
+	"WebSocket",
+	"WebTransport",
+	"EventSource",
+	"BroadcastChannel",
+	"importScripts",
+	"indexedDB",
+	"caches",
+	"Worker",
+	"SharedWorker",
+];
+for (let scope = self; scope; scope = Object.getPrototypeOf(scope)) {
+	REMOVED_GLOBALS.forEach((name) => {
+		if (Object.prototype.hasOwnProperty.call(scope, name)) {
+			try {
+				Object.defineProperty(scope, name, { value: undefined });
+			} catch {
+				// Left in place if the engine will not let it go
+			}
+		}
+	});
+}
+
+let controller = null;
+
+/**
+ * Freeze a structured-clone copy of the snapshot the way the simulation
+ * froze the original
+ * @param {Object} value - Sensor snapshot
+ * @returns {Object} Deeply frozen snapshot
+ */
+function deepFreeze(value) {
+	if (value && typeof value === "object") {
+		Object.values(value).forEach(deepFreeze);
+		Object.freeze(value);
+	}
+	return value;
+}
+
+self.onmessage = ({ data }) => {
+	switch (data.type) {
+		case "load":
+			controller = new ScriptController(data.source);
+			reply(
+				controller.error
+					? { type: "error", error: controller.error }
+					: { type: "loaded" }
+			);
+			break;
+
+		case "tick": {
+			const commands = controller?.tick(deepFreeze(data.sensors));
+			reply(
+				commands
+					? { type: "commands", commands }
+					: { type: "error", error: controller?.error }
+			);
+			break;
+		}
+	}
+};
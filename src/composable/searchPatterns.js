@@ -0,0 +1,253 @@
+/**
+ * HYDROBOT Search Pattern Library
+ *
+ * Generates horizontal track waypoints for systematic area searches.
+ * Areas are described either as rectangles ({ minX, maxX, minZ, maxZ })
+ * or as polygons (arrays of { x, z } vertices) in world coordinates.
+ */
+
+/**
+ * Normalize a search area description to a polygon
+ * @param {Object|Array} area - Rectangle bounds or polygon vertices
+ * @returns {{x: number, z: number}[]} Polygon vertices
+ */
+export function toPolygon(area) {
+	if (Array.isArray(area)) {
+		return area.map((point) => ({ x: point.x, z: point.z }));
+	}
+
+	return [
+		{ x: area.minX, z: area.minZ },
+		{ x: area.maxX, z: area.minZ },
+		{ x: area.maxX, z: area.maxZ },
+		{ x: area.minX, z: area.maxZ },
+	];
+}
+
+/**
+ * Clamp polygon vertices to the horizontal operational boundary
+ * @param {{x: number, z: number}[]} polygon - Polygon vertices
+ * @param {number} boundary - Half-width of the operational area
+ * @returns {{x: number, z: number}[]} Clamped polygon
+ */
+export function clampPolygon(polygon, boundary) {
+	const clamp = (value) => Math.max(-boundary, Math.min(boundary, value));
+	return polygon.map((point) => ({ x: clamp(point.x), z: clamp(point.z) }));
+}
+
+export function polygonBounds(polygon) {
+	const bounds = {
+		minX: Infinity,
+		maxX: -Infinity,
+		minZ: Infinity,
+		maxZ: -Infinity,
+	};
+
+	polygon.forEach((point) => {
+		bounds.minX = Math.min(bounds.minX, point.x);
+		bounds.maxX = Math.max(bounds.maxX, point.x);
+		bounds.minZ = Math.min(bounds.minZ, point.z);
+		bounds.maxZ = Math.max(bounds.maxZ, point.z);
+	});
+
+	return bounds;
+}
+
+/**
+ * Even-odd point-in-polygon test
+ * @returns {boolean} True if the point lies inside the polygon
+ */
+export function pointInPolygon(x, z, polygon) {
+	let inside = false;
+
+	for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+		const a = polygon[i];
+		const b = polygon[j];
+		if (
+			a.z > z !== b.z > z &&
+			x < ((b.x - a.x) * (z - a.z)) / (b.z - a.z) + a.x
+		) {
+			inside = !inside;
+		}
+	}
+
+	return inside;
+}
+
+// Rotate a point around the origin by the given angle (radians)
+function rotate(point, angle) {
+	const cos = Math.cos(angle);
+	const sin = Math.sin(angle);
+	return {
+		x: point.x * cos - point.z * sin,
+		z: point.x * sin + point.z * cos,
+	};
+}
+
+/**
+ * Generate a boustrophedon (lawnmower) coverage pattern
+ * Parallel track lines are clipped to the polygon and joined end to end,
+ * alternating direction on every line.
+ * @param {Object|Array} area - Rectangle bounds or polygon vertices
+ * @param {number} spacing - Distance between adjacent track lines
+ * @param {Object} options - Track orientation (angle in radians, defaults to the longest side)
+ * @returns {{x: number, z: number}[]} Ordered track waypoints
+ */
+export function generateLawnmowerPattern(area, spacing, options = {}) {
+	const polygon = toPolygon(area);
+	if (polygon.length < 3 || spacing <= 0) return [];
+
+	// Run tracks along the longer side of the area unless told otherwise
+	let angle = options.angle;
+	if (angle === undefined) {
+		const bounds = polygonBounds(polygon);
+		angle =
+			bounds.maxX - bounds.minX >= bounds.maxZ - bounds.minZ
+				? 0
+				: Math.PI / 2;
+	}
+
+	// Work in a frame where the tracks run along the local X axis
+	const local = polygon.map((point) => rotate(point, -angle));
+	const bounds = polygonBounds(local);
+	const waypoints = [];
+	let reverse = false;
+
+	for (let z = bounds.minZ + spacing / 2; z < bounds.maxZ; z += spacing) {
+		// Intersect the scan line with every polygon edge
+		const crossings = [];
+		for (let i = 0, j = local.length - 1; i < local.length; j = i++) {
+			const a = local[i];
+			const b = local[j];
+			if (a.z > z !== b.z > z) {
+				crossings.push(a.x + ((z - a.z) * (b.x - a.x)) / (b.z - a.z));
+			}
+		}
+		crossings.sort((a, b) => a - b);
+
+		// Pair crossings into inside segments
+		const segments = [];
+		for (let i = 0; i + 1 < crossings.length; i += 2) {
+			segments.push([crossings[i], crossings[i + 1]]);
+		}
+		if (reverse) {
+			segments.reverse().forEach((segment) => segment.reverse());
+		}
+
+		segments.forEach(([startX, endX]) => {
+			waypoints.push(rotate({ x: startX, z }, angle));
+			waypoints.push(rotate({ x: endX, z }, angle));
+		});
+
+		if (segments.length > 0) reverse = !reverse;
+	}
+
+	return waypoints;
+}
+
+/**
+ * Convert a compass bearing to a horizontal unit vector
+ * Matches the HUD compass: 0° points along +Z and bearings increase clockwise
+ * @param {number} bearing - Compass bearing in degrees
+ * @returns {{x: number, z: number}} Unit direction
+ */
+export function bearingToVector(bearing) {
+	const radians = (bearing * Math.PI) / 180;
+	return { x: -Math.sin(radians), z: Math.cos(radians) };
+}
+
+// Offset a point along a compass bearing
+function project(point, bearing, distance) {
+	const direction = bearingToVector(bearing);
+	return {
+		x: point.x + direction.x * distance,
+		z: point.z + direction.z * distance,
+	};
+}
+
+/**
+ * Generate an IAMSAR expanding square search (SS) around a datum
+ * Legs grow by one track spacing every second leg with 90° right turns.
+ * @param {{x: number, z: number}} datum - Pattern center (last known position)
+ * @param {number} spacing - Track spacing
+ * @param {Object} options - First leg bearing (degrees) and search radius
+ * @returns {{x: number, z: number}[]} Ordered track waypoints
+ */
+export function generateExpandingSquare(datum, spacing, options = {}) {
+	const heading = options.heading ?? 0;
+	const radius = options.radius ?? 20;
+	if (spacing <= 0) return [];
+
+	const waypoints = [{ x: datum.x, z: datum.z }];
+	let current = waypoints[0];
+
+	for (let leg = 1; Math.ceil(leg / 2) * spacing <= radius * 2; leg++) {
+		current = project(
+			current,
+			heading + (leg - 1) * 90,
+			Math.ceil(leg / 2) * spacing
+		);
+		waypoints.push(current);
+	}
+
+	return waypoints;
+}
+
+/**
+ * Generate an IAMSAR sector search (VS) around a datum
+ * Each pattern flies three triangles through the datum using 120° right
+ * turns. Additional patterns are rotated 30° to fill the gaps.
+ * @param {{x: number, z: number}} datum - Pattern center (last known position)
+ * @param {number} radius - Search radius (leg length)
+ * @param {Object} options - First leg bearing (degrees) and number of patterns
+ * @returns {{x: number, z: number}[]} Ordered track waypoints
+ */
+export function generateSectorSearch(datum, radius, options = {}) {
+	const heading = options.heading ?? 0;
+	const patterns = options.patterns ?? 1;
+	if (radius <= 0) return [];
+
+	const waypoints = [{ x: datum.x, z: datum.z }];
+
+	for (let pattern = 0; pattern < patterns; pattern++) {
+		const base = heading + pattern * 30;
+		for (let triangle = 0; triangle < 3; triangle++) {
+			// Radial leg out, cross leg, then back through the datum
+			const bearing = base + triangle * 240;
+			waypoints.push(project(datum, bearing, radius));
+			waypoints.push(project(datum, bearing + 60, radius));
+			waypoints.push({ x: datum.x, z: datum.z });
+		}
+	}
+
+	return waypoints;
+}
+
+/**
+ * Generate an IAMSAR creeping line search (CS) starting at a datum
+ * The pattern advances from the datum along the creep bearing by one
+ * track spacing per leg, with search legs running across it.
+ * @param {{x: number, z: number}} datum - Start of the pattern's center line
+ * @param {number} spacing - Track spacing
+ * @param {Object} options - Creep bearing (degrees), pattern length and leg width
+ * @returns {{x: number, z: number}[]} Ordered track waypoints
+ */
+export function generateCreepingLine(datum, spacing, options = {}) {
+	const heading = options.heading ?? 0;
+	const length = options.length ?? 40;
+	const width = options.width ?? 30;
+	if (spacing <= 0) return [];
+
+	const waypoints = [];
+	let reverse = false;
+
+	for (let along = spacing / 2; along < length; along += spacing) {
+		const center = project(datum, heading, along);
+		const sideA = project(center, heading - 90, width / 2);
+		const sideB = project(center, heading + 90, width / 2);
+		waypoints.push(...(reverse ? [sideB, sideA] : [sideA, sideB]));
+		reverse = !reverse;
+	}
+
+	return waypoints;
+}
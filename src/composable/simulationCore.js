@@ -0,0 +1,5796 @@
+import * as THREE from "three";
+import { OccupancyGrid } from "./occupancyGrid.js";
+import {
+	cellCenters,
+	DStarLite,
+	findDistanceField,
+	findDistances,
+	smoothPath,
+} from "./pathPlanner.js";
+import { getPlanner, getPlanners, runPlanner } from "./planners/index.js";
+import { CoverageMap } from "./coverageMap.js";
+import { ExplorationMap } from "./explorationMap.js";
+import { Mission } from "./mission.js";
+import { createCurrentCost, groundSpeed } from "./currentCost.js";
+import { createAutonomyTree } from "./autonomyTree.js";
+import { SUCCESS } from "./behaviorTree.js";
+import { LocalScriptHost } from "./scriptController.js";
+import { PIDController } from "./pid.js";
+import { VehicleDynamics, VEHICLE_PROFILES } from "./vehicleDynamics.js";
+import { createRandomStreams, createSeed } from "./random.js";
+import { optimizeRescueRoute, SURVIVOR_CONDITIONS } from "./rescueRoute.js";
+import {
+	clampPolygon,
+	generateCreepingLine,
+	generateExpandingSquare,
+	generateLawnmowerPattern,
+	generateSectorSearch,
+	toPolygon,
+} from "./searchPatterns.js";
+
+// Control inputs and the dynamics axes they drive
+const CONTROL_AXES = {
+	yaw: "yaw",
+	forward: "surge",
+	strafe: "sway",
+	vertical: "heave",
+};
+const THRUST_AXES = Object.keys(CONTROL_AXES);
+
+// Knots in one meter per second (a knot is 1852 m per hour)
+const KNOTS_PER_MPS = 3600 / 1852;
+
+// Thrusters off: the vehicle coasts and drifts
+const IDLE_THRUST = {
+	yaw: 0,
+	forward: 0,
+	strafe: 0,
+	vertical: 0,
+	thrustAxes: THRUST_AXES,
+};
+
+/**
+ * HYDROBOT Simulation Core
+ *
+ * Renderer-independent simulation of autonomous underwater vehicle
+ * operations: world state, vehicle dynamics, sensor systems, collision
+ * detection, search targets, environmental events and autonomy. The core
+ * never touches the DOM, so it runs in Node or a Web Worker; rendering and
+ * operator input attach as adapters (see AUVLogic).
+ *
+ * Features:
+ * - 3D underwater environment scene graph with physics
+ * - Dual-mode sensors (optical/sonar) with seamless switching
+ * - Advanced collision detection and damage assessment
+ * - Environmental event simulation (currents, interference, malfunctions)
+ * - Search and rescue target detection and collection
+ * - Professional-grade navigation and control systems
+ * - 3D grid-based A* path planning with autopilot path following
+ * - Pluggable path planners (A*, Theta*, RRT*) selectable at runtime
+ * - Sensor-limited navigation with D* Lite over a sonar-built map
+ * - Frontier-based autonomous exploration from sonar observations
+ * - Autonomous lawnmower coverage search with progress reporting
+ * - IAMSAR search patterns (expanding square, sector, creeping line)
+ * - Scripted waypoint missions with per-waypoint actions
+ * - Priority and deadline aware rescue route optimization
+ * - Battery model with reserve planning and automatic return-to-home
+ * - Local avoidance of moving debris and marine life (velocity obstacles)
+ * - PID heading, depth and speed holds with tunable gains
+ * - Station keeping over rescue sites; rescues only sent from a stable station
+ * - Autonomous docking at the launch and recovery platform
+ * - Behavior-tree autonomy executive with a live view of the active node path
+ * - Operator-written controller scripts driving the vehicle from sensor snapshots
+ * - Seeded simulation on a simulated clock for reproducible batch runs
+ */
+export class SimulationCore {
+	/**
+	 * Initialize the AUV simulation system
+	 * @param {Object} options - Simulation options
+	 * @param {number} options.seed - Seed for reproducible scenes and events (a fresh seed if omitted)
+	 * @param {boolean} options.randomEvents - Enable environmental events (default true)
+	 * @param {string} options.vehicle - Vehicle profile id (default 'hydrobot', see VEHICLE_PROFILES)
+	 */
+	constructor(options = {}) {
+		this.scene = null;
+		this.camera = null; // First-person view frame; steers manual and autopilot motion
+		this.auv = null;
+
+		// Simulation clock and randomness
+		this.simulationTime = 0; // Simulated clock (milliseconds)
+		this.frameDuration = 1000 / 60; // Fixed simulation step (milliseconds)
+		this.timers = []; // Callbacks due on the simulated clock { time, callback }
+		this.seed = options.seed ?? createSeed(); // Replays the session exactly when reused
+		this.random = createRandomStreams(this.seed); // Separate streams per subsystem (see random.js)
+
+		// Vehicle dynamics and control
+		this.vehicleProfile = VEHICLE_PROFILES[options.vehicle]
+			? options.vehicle
+			: "hydrobot";
+		this.dynamics = new VehicleDynamics(
+			VEHICLE_PROFILES[this.vehicleProfile]
+		); // Rigid-body motion driven by thrust, drag and added mass
+		this.speed = this.dynamics.getTopSpeed("surge"); // Top speed through the water (world units per second)
+		this.rotationSpeed = this.dynamics.getTopSpeed("yaw"); // Top turn rate (radians per second)
+		this.velocityResponse = 0.3; // Time the velocity loop takes to close a speed gap (seconds)
+		this.ballastResponse = 2; // Time the ballast loop takes to close a climb rate gap (seconds)
+		this.disturbance = {}; // External force per dynamics axis for the next step (storm gusts)
+		this.odometry = {
+			distance: 0, // Distance travelled (world units)
+			energy: 0, // Electrical energy drawn from the battery (Wh)
+		};
+		this.groundVelocity = {
+			velocity: new THREE.Vector3(), // Smoothed velocity over ground (world units per second)
+			lastPosition: null,
+			smoothing: 0.1, // Weight of the newest motion sample
+		};
+
+		// Battery and return-to-home
+		this.battery = {
+			level: 100, // State of charge (%)
+			reserve: 15, // Charge to keep on arrival home (%)
+			returnMargin: 1.3, // Allowance for depth changes and slowing at waypoints
+			warningMargin: 1.5, // Warn when spare charge is within this factor of the return estimate
+			autoReturn: true, // Start return-to-home without operator input
+			home: new THREE.Vector3(0, 0, 0), // Recovery point
+			homeField: null, // Cached distances to home over the navigation grid
+			fieldRefreshInterval: 10000, // Refresh for the changing sonar map (milliseconds)
+			returnEstimate: 0, // Charge needed to reach home (%)
+			status: "ok", // 'ok', 'warning', 'returning', 'home', 'depleted'
+			overridden: false, // Operator took over a return; don't restart it
+		};
+
+		// Power budget; the battery capacity comes from the vehicle profile
+		this.power = {
+			hotelLoad: 30, // Computers, navigation sensors and communications (W)
+			headlightPower: 25, // Each lit headlight (W)
+			sonarPingEnergy: 20, // One forward sonar sweep (J)
+			imagingSonarPower: 40, // Imaging sonar while the sonar view is on (W)
+			draw: {}, // Latest draw per consumer (W)
+			total: 0, // Latest total draw (W)
+			// Subsystems switched off in turn as the charge runs out, so the
+			// thrusters keep power longest
+			brownout: [
+				{ subsystem: "headlights", level: 10 }, // Charge at or below which it is shed (%)
+				{ subsystem: "imagingSonar", level: 6 },
+				{ subsystem: "sonar", level: 3 },
+			],
+			shed: [], // Subsystems currently shed
+		};
+		this.headlights = { left: true, right: true }; // Operator switch for each headlight
+		this.homeMarker = null;
+
+		// Navigation and telemetry systems
+		this.currentHeading = 0; // Magnetic compass bearing (0-360 degrees)
+		this.currentSpeed = 0; // Speed over ground (knots)
+		this.lastPosition = new THREE.Vector3(0, 0, 0);
+		this.lastUpdateTime = this.now();
+		this.speedSamples = []; // Speed averaging buffer for smooth readings
+		this.maxSpeedSamples = 10;
+		this.compassErrorOffset = 0; // Magnetic interference compensation
+
+		// Camera detached from the vehicle by the viewer; the vehicle is not driven
+		this.isFreeCam = false;
+
+		// Sensor mode management ('optical', 'sonar')
+		this.cameraMode = "optical";
+
+		// Advanced sonar detection system
+		this.sonarSystem = {
+			detectedObjects: [],
+			scanRadius: 50,
+			fadeTime: 8000, // Object persistence duration (milliseconds)
+			isActive: false,
+			maxPulseRange: 50, // Maintained for compatibility
+			contactRange: 20, // Range at which survivor beacons show as contacts
+			pulses: [], // Maintained for compatibility
+			sonarData: new Map(), // Latest return per detected object
+			imageResolution: 360, // Angular bins per revolution
+
+			// Sonar visualization parameters
+			backgroundColor: 0x000811,
+			returnColor: "#88ff00",
+			oldReturnColor: "#446622",
+		};
+
+		// Operator input state management
+		this.keys = {
+			forward: false,
+			backward: false,
+			left: false,
+			right: false,
+			up: false,
+			down: false,
+			turnLeft: false,
+			turnRight: false,
+		};
+
+		// First-person camera positioning relative to AUV
+		this.cameraOffset = new THREE.Vector3(0, -2, 0.5); // Optimized for vehicle scale
+
+		// Operational environment constraints
+		this.constraints = {
+			minY: -15, // Maximum operational depth
+			maxY: 5, // Surface limit
+			boundary: 100, // Horizontal operational area
+			floorY: -8, // Lowest reachable position above the seabed
+		};
+
+		// Collision detection and safety systems
+		this.collisionObjects = []; // Environment obstacles for collision checking
+		this.dynamicObstacles = []; // Moving obstacles (debris, marine life), kept off the planning grid
+		this.auvBoundingBox = new THREE.Box3(); // Vehicle collision boundary
+		this.raycaster = new THREE.Raycaster(); // Ray-based collision detection
+
+		// Vehicle integrity monitoring
+		this.collisionData = {
+			active: false,
+			damageStatus: {
+				front: false,
+				left: false,
+				right: false,
+				back: false,
+			},
+			newCollision: null,
+			lastCollisionTime: 0,
+			count: 0, // Collision events since start
+			staticCount: 0, // Of those, events against fixed obstacles on the planning grid
+		};
+
+		// Path planning and autopilot systems
+		this.occupancyGrid = null; // Voxelized obstacle map (built on first use)
+		this.plannerSettings = {
+			resolution: 2, // Grid cell edge length
+			clearanceMargin: 0.75, // Obstacle inflation beyond the vehicle's own size, for turns and current drift
+			sensorLimited: false, // Plan only over obstacles found by sonar
+			algorithm: "astar", // Planner plugin id used on the full obstacle map
+		};
+		this.lastPlanStats = null; // Statistics from the most recent plan
+		this.currentFlow = null; // Travel cost model for the running current
+		this.lastPlanDebug = null; // Search nodes/edges of the most recent plan
+
+		this.recordPlanDebug = false; // Keep planner search data for the search debug overlay
+
+		// Sensor-limited navigation
+		this.sensorMap = null; // Occupancy grid built from sonar returns
+		this.sensorMapChanges = []; // Newly blocked cells awaiting route repair
+		this.incrementalPlanner = null; // D* Lite search toward the current target
+		this.sonarSweep = {
+			interval: 250, // Time between forward sonar sweeps (milliseconds)
+			lastSweepTime: 0,
+			rayCount: 36, // Rays per elevation across the forward arc
+			arc: Math.PI * 0.75, // 135 degree forward arc
+			elevations: [-0.35, 0, 0.35], // Ray elevation angles (radians)
+		};
+		this.autopilot = {
+			active: false,
+			status: "idle", // 'idle', 'navigating', 'turning', 'arrived', 'blocked'
+			target: null, // Final destination
+			path: [], // Planned waypoints
+			waypointIndex: 0, // Waypoint currently being approached
+			arrivalRadius: 1, // Distance at which a waypoint counts as reached
+			bestDistance: Infinity, // Closest approach to the current waypoint
+			lastProgressTime: 0,
+			stallTimeout: 5000, // Replan after 5 seconds without progress
+			replans: 0,
+			maxReplans: 3,
+			throttle: 1, // Fraction of full speed used while navigating
+			turnRemaining: 0, // Angle left in an in-place turn (radians)
+			turnTolerance: 0.03, // Angle short of the end at which an in-place turn counts as done (radians)
+			yawGain: 2.5, // Turn rate demanded per radian of heading error (per second)
+			approachGain: 0.6, // Speed added per meter from a corner (per second)
+			depthGain: 0.5, // Vertical speed demanded per meter off the track depth (per second); kept low because the trim responds slowly and larger gains overshoot
+			climbFraction: 0.5, // Share of the glide angle and hover climb rate relied on while under way
+			cornerSpeed: 0.2, // Fraction of top speed kept through a right-angle or sharper corner
+			lookahead: 3, // Distance ahead on the track line the tracker steers for
+		};
+		this.localAvoidance = {
+			enabled: true,
+			range: 10, // Distance within which moving obstacles are considered
+			horizon: 3, // Seconds of predicted motion checked for conflicts
+			vehicleRadius: 1.2, // Collision radius of the vehicle
+			margin: 0.4, // Extra clearance kept from moving obstacles
+			conflictWeight: 2, // Penalty weight of an early predicted conflict
+			speedWeight: 0.5, // Penalty for slowing down, so blocked tracks are sidestepped rather than waited out
+			velocitySmoothing: 0.2, // Weight of the newest motion sample in velocity estimates
+			active: false, // Last command was changed to avoid an obstacle
+		};
+
+		// Closed-loop heading, depth and speed holds
+		this.holds = {
+			heading: this.createHold({ kp: 2, ki: 0, kd: 0.3 }), // Compass heading (degrees); gains act on radians
+			depth: this.createHold({ kp: 0.07, ki: 0, kd: 0.1 }), // Depth below the surface (meters); the ballast loop already trims out steady buoyancy
+			speed: this.createHold({ kp: 0.15, ki: 0.4, kd: 0 }), // Speed over ground along the heading (m/s)
+		};
+		this.holdHistoryLength = 240; // Error samples kept per hold for HUD plots (4 seconds)
+
+		// Station keeping while a survivor location is confirmed and sent
+		this.stationKeeping = {
+			active: false,
+			status: "idle", // 'idle', 'settling', 'stable', 'cancelled', 'failed'
+			position: new THREE.Vector3(), // Locked position
+			heading: 0, // Locked heading (degrees)
+			depth: 0, // Locked depth (meters)
+			positionTolerance: 0.75, // Horizontal error allowed while stable (meters)
+			depthTolerance: 0.5, // Depth error allowed while stable (meters)
+			headingTolerance: 10, // Heading error allowed while stable (degrees)
+			settleTime: 1500, // Time within tolerance before the station counts as stable (milliseconds)
+			rescueTimeout: 20000, // Abandon a pending rescue that never settles (milliseconds)
+			error: 0, // Horizontal distance from the locked position
+			depthError: 0,
+			headingError: 0,
+			withinSince: null, // Time the vehicle last came within tolerance
+			rescue: null, // Rescue waiting for a stable station { target, requestedAt }
+			pid: {
+				x: new PIDController({ kp: 0.3, ki: 0.05, kd: 0.15 }), // Gains per meter of error
+				z: new PIDController({ kp: 0.3, ki: 0.05, kd: 0.15 }),
+			},
+		};
+
+		// Launch and recovery platform
+		this.dock = {
+			position: new THREE.Vector3(0, -2, -14), // Latch point inside the cradle
+			heading: 180, // Heading of the vehicle when docked (degrees)
+			object: null, // Platform scene object
+		};
+		this.docking = {
+			active: false,
+			status: "idle", // 'idle', 'transit', 'align', 'final', 'docked', 'cancelled', 'aborted'
+			attempts: 0,
+			maxAttempts: 3, // Final approaches tried before aborting
+			approachDistance: 10, // Distance of the approach point out along the dock axis
+			alignOffset: 0.2, // Cross-track error allowed before starting the final approach (meters)
+			alignTolerance: 5, // Heading error allowed before starting the final approach (degrees)
+			finalSpeed: 0.5, // Ground speed of the final approach (m/s)
+			lateralLimit: 0.6, // Cross-track error that abandons a final approach (meters)
+			headingLimit: 15, // Heading error that abandons a final approach (degrees)
+			depthLimit: 0.6, // Depth error that abandons a final approach (meters)
+			latchDistance: 0.3, // Distance short of the latch point at which the cradle captures the vehicle
+			along: 0, // Distance left to the latch point
+			lateral: 0, // Offset to the right of the dock axis
+			depthError: 0,
+			headingError: 0,
+			abortReason: null,
+			pid: new PIDController({ kp: 0.4, ki: 0.1, kd: 0.2 }), // Cross-track loop; gains per meter
+		};
+
+		// Autonomous coverage search
+		this.coverageSearch = {
+			active: false,
+			status: "idle", // 'idle', 'searching', 'paused', 'complete', 'aborted'
+			pattern: null, // 'lawnmower', 'expanding_square', 'sector', 'creeping_line'
+			waypoints: [], // Track line endpoints at search depth
+			waypointIndex: 0,
+			map: null, // Swept area record for the search polygon
+			spacing: 0, // Distance between track lines
+			completionThreshold: 0.98, // Covered fraction that ends the search
+			startTime: 0,
+			distanceTravelled: 0,
+			lastPosition: new THREE.Vector3(),
+		};
+
+		// Behavior-tree autonomy executive
+		this.executive = {
+			active: false,
+			status: "idle", // 'idle', 'running', 'complete', 'stopped', 'cancelled'
+			tree: null,
+			ticking: false, // Tree is running; its own calls to stopAutonomy keep it alive
+			tickInterval: 100, // Time between tree ticks (milliseconds)
+			lastTick: 0,
+			criticalCharge: 5, // Charge that forces an emergency surface (%)
+			damageLimit: 5, // Collisions in one run that force an emergency surface
+		};
+
+		// Operator-written controller script
+		this.userScript = {
+			active: false,
+			status: "idle", // 'idle', 'loading', 'running', 'stopped', 'error'
+			host: new LocalScriptHost(this), // Runs the script (AUVLogic swaps in a Worker)
+			awaiting: false, // Sensors sent; the next step waits for the commands
+			reply: null, // Commands answering the latest sensor snapshot
+			commands: { thrust: 0, yawRate: 0, verticalRate: 0 }, // Last applied commands
+			error: null, // { message, line } of the last compile or runtime error
+			startTime: 0,
+			lastTickDuration: 0, // Real time the host took to answer (milliseconds)
+			proximityRange: 15, // Range of the proximity sensors
+		};
+
+		// Frontier-based exploration
+		this.exploration = {
+			active: false,
+			status: "idle", // 'idle', 'exploring', 'complete', 'blocked' (frontiers left that cannot be reached), 'aborted'
+			map: null, // Sonar-observed open water and obstacles
+			depth: -4, // Exploration height
+			target: null, // Frontier cell currently being approached
+			unreachable: new Set(), // Frontier cells that could not be resolved
+			retargetInterval: 1000, // Minimum time between frontier changes (milliseconds)
+			lastRetargetTime: 0,
+			startTime: 0,
+			endTime: 0,
+			survivorsAtStart: 0,
+			survivorTimes: [], // Elapsed time when each survivor was found (milliseconds)
+		};
+
+		// Scripted waypoint missions
+		this.mission = new Mission(); // Mission being edited in the planner
+		this.missionRun = {
+			active: false,
+			status: "idle", // 'idle', 'running', 'complete', 'aborted'
+			waypoints: [], // Snapshot of the mission being flown
+			recover: false, // Dock at the recovery platform after the last waypoint
+			index: 0,
+			phase: null, // 'transit', 'loiter', 'action', 'recovery'
+			phaseStartTime: 0,
+		};
+		this.missionListeners = []; // Per-waypoint progress subscribers
+		this.missionMarkers = []; // Scene markers for planned waypoints
+		this.markedTargets = []; // Positions tagged by 'mark target' actions
+
+		// Search and rescue mission systems
+		this.detectionRadius = 3; // Survivor detection range
+		this.targetGroundY = -8.5; // Height at which survivors rest on the seabed
+		this.lastSurvivorDatum = null; // Position of the most recently found survivor
+		this.foundSurvivors = []; // Located survivors awaiting rescue
+		this.rescueMessages = []; // Operator notification queue
+
+		// Rescue ordering of located survivors
+		this.rescueRoute = {
+			stops: [], // Survivors in visiting order with planned arrival times
+			unreachable: [], // Located survivors the planner could not reach
+			plannedAt: 0,
+			cost: 0,
+			serviceTime: 2, // Time spent at each survivor (seconds)
+			executing: false, // Route handed to the mission executor
+		};
+
+		// Environmental event simulation system
+		this.randomEvents = {
+			enabled: options.randomEvents ?? true,
+			active: null,
+			lastEventTime: 0,
+			eventCooldown: 15000, // Minimum time between events (15 seconds)
+			eventRate: 0.1, // Events started per second once the cooldown has passed
+			eventTypes: [
+				"highCurrent",
+				"lowVisibility",
+				"thermalLayer",
+				"magneticInterference",
+				"equipment_malfunction",
+				"marine_life_interference",
+				"underwater_storm",
+			],
+			effects: {
+				highCurrent: {
+					name: "High Current",
+					duration: this.random.events() * 30000 + 30000, // 30-60 second duration
+					force: new THREE.Vector3(), // Current velocity (world units per second)
+					description:
+						"Strong underwater currents affecting movement",
+				},
+				lowVisibility: {
+					name: "Low Visibility",
+					duration: this.random.events() * 30000 + 30000, // 30-60 second duration
+					fogDensity: 0.8,
+					description: "Reduced visibility due to sediment or algae",
+				},
+				thermalLayer: {
+					name: "Thermal Layer",
+					duration: this.random.events() * 30000 + 30000, // 30-60 second duration
+					sonarInterference: 0.6,
+					description:
+						"Temperature differences affecting sonar accuracy",
+				},
+				magneticInterference: {
+					name: "Magnetic Interference",
+					duration: this.random.events() * 30000 + 30000, // 30-60 second duration
+					compassError: 15,
+					description:
+						"Magnetic anomaly affecting navigation systems",
+				},
+				equipment_malfunction: {
+					name: "Equipment Malfunction",
+					duration: this.random.events() * 30000 + 30000, // 30-60 seconds
+					systemAffected: null,
+					thruster: null, // Thruster out of action during a propulsion fault
+					description: "Temporary system malfunction",
+				},
+				marine_life_interference: {
+					name: "Marine Life Interference",
+					duration: this.random.events() * 30000 + 30000, // 30-60 seconds
+					sonarNoise: 0.7,
+					description:
+						"Large marine animals interfering with sensors",
+				},
+				underwater_storm: {
+					name: "Underwater Storm",
+					duration: this.random.events() * 30000 + 30000, // 30-60 seconds
+					turbulence: 2.0,
+					gustForce: 150, // Peak gust force per unit of turbulence (N)
+					description: "Underwater disturbance causing turbulence",
+				},
+			},
+		};
+
+		this.init();
+	}
+
+	/**
+	 * Build the simulated world
+	 * Creates the scene graph, environment and vehicle; the camera is sized
+	 * by a render adapter when one is attached.
+	 */
+	init() {
+		// Initialize the Three.js scene container
+		this.scene = new THREE.Scene();
+
+		// Configure underwater atmosphere with realistic fog and color
+		this.scene.fog = new THREE.Fog(0x001144, 1, 50);
+		this.scene.background = new THREE.Color(0x000811);
+
+		// First-person camera that the vehicle steers by
+		this.camera = new THREE.PerspectiveCamera(75, 1, 0.1, 1000);
+		this.camera.rotation.order = "YXZ"; // Heading, then pitch, then roll
+		this.camera.position.set(0, 0, 0);
+
+		// Generate the flooded urban environment
+		this.createUnderwaterEnvironment();
+
+		// Simple vehicle body; a render adapter may swap in the detailed model
+		this.createTemporaryAUV();
+	}
+
+	/**
+	 * Generate the complete underwater disaster environment
+	 * Creates a flooded urban area with buildings, vehicles, debris, and search targets
+	 */
+	createUnderwaterEnvironment() {
+		// Generate ocean floor surface with sonar-optimized materials
+		const floorGeometry = new THREE.PlaneGeometry(200, 200);
+		const floorMaterial = new THREE.MeshLambertMaterial({
+			color: 0x001122, // Sonar-visible dark blue
+			transparent: true,
+			opacity: 0.9,
+		});
+		const floor = new THREE.Mesh(floorGeometry, floorMaterial);
+		floor.rotation.x = -Math.PI / 2;
+		floor.position.y = -10;
+		floor.receiveShadow = true;
+		this.scene.add(floor);
+
+		// Generate flooded urban infrastructure
+		this.createFloodedCity();
+
+		// Add search and rescue targets (people/survivors)
+		this.createSearchTargets();
+
+		// Mark the recovery point for return-to-home
+		this.updateHomeMarker();
+
+		// Launch and recovery platform that missions end at
+		this.createRecoveryPlatform();
+
+		// Create floating debris
+		this.createFloodDebris();
+	}
+
+	createFloodedCity() {
+		// Create partially submerged buildings
+		this.createSubmergedBuildings();
+
+		// Add cars and vehicles underwater
+		this.createSubmergedVehicles();
+
+		// Create street infrastructure (lamp posts, traffic lights, etc.)
+		this.createStreetInfrastructure();
+
+		// Add natural debris (trees, branches)
+		this.createNaturalDebris();
+	}
+
+	createSubmergedBuildings() {
+		// Create several buildings of different sizes with sonar colors
+		const buildingConfigs = [
+			{ x: 20, z: 15, width: 8, height: 12, depth: 6, color: 0xffcc00 },
+			{ x: -15, z: 25, width: 6, height: 15, depth: 8, color: 0xff8800 },
+			{ x: 35, z: -20, width: 10, height: 10, depth: 7, color: 0xffcc00 },
+			{ x: -30, z: -10, width: 5, height: 8, depth: 5, color: 0xff4400 },
+			{ x: 0, z: 40, width: 12, height: 18, depth: 10, color: 0xff8800 },
+			{ x: -40, z: 15, width: 7, height: 11, depth: 6, color: 0xffcc00 },
+			{ x: 25, z: 35, width: 9, height: 14, depth: 8, color: 0xff4400 },
+		];
+
+		buildingConfigs.forEach((config, index) => {
+			// Main building structure
+			const buildingGeometry = new THREE.BoxGeometry(
+				config.width,
+				config.height,
+				config.depth
+			);
+			const buildingMaterial = new THREE.MeshLambertMaterial({
+				color: config.color,
+				transparent: true,
+				opacity: 0.9,
+			});
+			const building = new THREE.Mesh(buildingGeometry, buildingMaterial);
+
+			// Position building so it's partially submerged
+			building.position.set(config.x, -5 + config.height / 2, config.z);
+			building.castShadow = true;
+			building.receiveShadow = true;
+			building.userData = { type: "building", id: index };
+
+			// Store original material immediately after creation
+			building.userData.originalMaterial = {
+				color: buildingMaterial.color.clone(),
+				emissive: buildingMaterial.emissive
+					? buildingMaterial.emissive.clone()
+					: null,
+				opacity: buildingMaterial.opacity,
+			};
+
+			this.scene.add(building);
+			this.collisionObjects.push(building);
+
+			// Add windows to buildings
+			this.addBuildingWindows(building, config);
+
+			// Add building damage effects
+			this.addBuildingDamage(building, config);
+		});
+	}
+
+	addBuildingWindows(building, config) {
+		const windowMaterial = new THREE.MeshBasicMaterial({
+			color: 0x87ceeb,
+			transparent: true,
+			opacity: 0.3,
+		});
+
+		// Front and back windows
+		for (let i = 0; i < 3; i++) {
+			for (let j = 0; j < Math.floor(config.height / 2); j++) {
+				const windowGeometry = new THREE.PlaneGeometry(0.8, 0.8);
+				const window1 = new THREE.Mesh(windowGeometry, windowMaterial);
+				window1.position.set(
+					building.position.x + (i - 1) * 2,
+					building.position.y - config.height / 2 + j * 2 + 1,
+					building.position.z + config.depth / 2 + 0.01
+				);
+				// Store original material for window
+				window1.userData = {
+					originalMaterial: {
+						color: windowMaterial.color.clone(),
+						emissive: windowMaterial.emissive
+							? windowMaterial.emissive.clone()
+							: null,
+						opacity: windowMaterial.opacity,
+					},
+				};
+				this.scene.add(window1);
+
+				const window2 = new THREE.Mesh(
+					windowGeometry,
+					windowMaterial.clone()
+				);
+				window2.position.set(
+					building.position.x + (i - 1) * 2,
+					building.position.y - config.height / 2 + j * 2 + 1,
+					building.position.z - config.depth / 2 - 0.01
+				);
+				window2.rotation.y = Math.PI;
+				// Store original material for window
+				window2.userData = {
+					originalMaterial: {
+						color: window2.material.color.clone(),
+						emissive: window2.material.emissive
+							? window2.material.emissive.clone()
+							: null,
+						opacity: window2.material.opacity,
+					},
+				};
+				this.scene.add(window2);
+			}
+		}
+	}
+
+	addBuildingDamage(building, config) {
+		// Add some broken/damaged parts
+		if (this.random.world() > 0.5) {
+			const damageGeometry = new THREE.BoxGeometry(
+				config.width * 0.3,
+				config.height * 0.2,
+				config.depth * 0.1
+			);
+			const damageMaterial = new THREE.MeshLambertMaterial({
+				color: 0x4a4a4a,
+				transparent: true,
+				opacity: 0.7,
+			});
+			const damage = new THREE.Mesh(damageGeometry, damageMaterial);
+			damage.position.set(
+				building.position.x +
+					(this.random.world() - 0.5) * config.width,
+				building.position.y +
+					(this.random.world() - 0.5) * config.height,
+				building.position.z + config.depth / 2 + 0.5
+			);
+			// Store original material for damage
+			damage.userData = {
+				originalMaterial: {
+					color: damageMaterial.color.clone(),
+					emissive: damageMaterial.emissive
+						? damageMaterial.emissive.clone()
+						: null,
+					opacity: damageMaterial.opacity,
+				},
+			};
+			this.scene.add(damage);
+		}
+	}
+
+	createSubmergedVehicles() {
+		// Create various vehicles scattered around
+		const vehiclePositions = [
+			{ x: 10, z: 5 },
+			{ x: -20, z: 10 },
+			{ x: 30, z: -15 },
+			{ x: -5, z: -25 },
+			{ x: 15, z: 30 },
+			{ x: -35, z: 5 },
+		];
+
+		vehiclePositions.forEach((pos, index) => {
+			// Car body
+			const carBodyGeometry = new THREE.BoxGeometry(4, 1.5, 2);
+			const carBodyMaterial = new THREE.MeshLambertMaterial({
+				color: [
+					0xff4400, 0xff8800, 0xffcc00, 0x00ffff, 0x0088ff, 0x004488,
+				][index % 6],
+			});
+			const carBody = new THREE.Mesh(carBodyGeometry, carBodyMaterial);
+			carBody.position.set(pos.x, -8.5, pos.z);
+			carBody.castShadow = true;
+			carBody.userData = {
+				type: "vehicle",
+				id: index,
+				originalMaterial: {
+					color: carBodyMaterial.color.clone(),
+					emissive: carBodyMaterial.emissive
+						? carBodyMaterial.emissive.clone()
+						: null,
+					opacity: carBodyMaterial.opacity,
+				},
+			};
+			this.scene.add(carBody);
+			this.collisionObjects.push(carBody);
+
+			// Car roof
+			const carRoofGeometry = new THREE.BoxGeometry(3, 1, 1.8);
+			const carRoof = new THREE.Mesh(
+				carRoofGeometry,
+				carBodyMaterial.clone()
+			);
+			carRoof.position.set(pos.x, -7.5, pos.z);
+			carRoof.userData = {
+				originalMaterial: {
+					color: carRoof.material.color.clone(),
+					emissive: carRoof.material.emissive
+						? carRoof.material.emissive.clone()
+						: null,
+					opacity: carRoof.material.opacity,
+				},
+			};
+			this.scene.add(carRoof);
+
+			// Wheels (partially buried)
+			const wheelGeometry = new THREE.CylinderGeometry(0.3, 0.3, 0.2);
+			const wheelMaterial = new THREE.MeshLambertMaterial({
+				color: 0x222222,
+			});
+
+			const wheelPositions = [
+				{ x: pos.x - 1.3, z: pos.z - 0.8 },
+				{ x: pos.x + 1.3, z: pos.z - 0.8 },
+				{ x: pos.x - 1.3, z: pos.z + 0.8 },
+				{ x: pos.x + 1.3, z: pos.z + 0.8 },
+			];
+
+			wheelPositions.forEach((wheelPos) => {
+				const wheel = new THREE.Mesh(
+					wheelGeometry,
+					wheelMaterial.clone()
+				);
+				wheel.position.set(wheelPos.x, -9, wheelPos.z);
+				wheel.rotation.z = Math.PI / 2;
+				wheel.userData = {
+					originalMaterial: {
+						color: wheel.material.color.clone(),
+						emissive: wheel.material.emissive
+							? wheel.material.emissive.clone()
+							: null,
+						opacity: wheel.material.opacity,
+					},
+				};
+				this.scene.add(wheel);
+			});
+		});
+	}
+
+	createStreetInfrastructure() {
+		// Traffic lights
+		for (let i = 0; i < 5; i++) {
+			const poleGeometry = new THREE.CylinderGeometry(0.1, 0.1, 6);
+			const poleMaterial = new THREE.MeshLambertMaterial({
+				color: 0x666666,
+			});
+			const pole = new THREE.Mesh(poleGeometry, poleMaterial);
+			pole.position.set(
+				(this.random.world() - 0.5) * 80,
+				-6,
+				(this.random.world() - 0.5) * 80
+			);
+			pole.castShadow = true;
+			pole.userData = { type: "infrastructure" };
+			this.scene.add(pole);
+			this.collisionObjects.push(pole);
+
+			// Traffic light box
+			const lightBoxGeometry = new THREE.BoxGeometry(0.3, 0.8, 0.3);
+			const lightBoxMaterial = new THREE.MeshLambertMaterial({
+				color: 0x333333,
+			});
+			const lightBox = new THREE.Mesh(lightBoxGeometry, lightBoxMaterial);
+			lightBox.position.set(pole.position.x, -3, pole.position.z);
+			this.scene.add(lightBox);
+		}
+
+		// Street signs and lamp posts
+		for (let i = 0; i < 8; i++) {
+			const signPoleGeometry = new THREE.CylinderGeometry(0.05, 0.05, 4);
+			const signPoleMaterial = new THREE.MeshLambertMaterial({
+				color: 0x888888,
+			});
+			const signPole = new THREE.Mesh(signPoleGeometry, signPoleMaterial);
+			signPole.position.set(
+				(this.random.world() - 0.5) * 100,
+				-7,
+				(this.random.world() - 0.5) * 100
+			);
+			signPole.userData = { type: "infrastructure" };
+			this.scene.add(signPole);
+			this.collisionObjects.push(signPole);
+		}
+	}
+
+	createNaturalDebris() {
+		// Tree trunks and large branches
+		for (let i = 0; i < 15; i++) {
+			const trunkGeometry = new THREE.CylinderGeometry(
+				this.random.world() * 0.3 + 0.1,
+				this.random.world() * 0.4 + 0.2,
+				this.random.world() * 3 + 2
+			);
+			const trunkMaterial = new THREE.MeshLambertMaterial({
+				color: 0x00ffff,
+			});
+			const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
+
+			trunk.position.set(
+				(this.random.world() - 0.5) * 120,
+				-8 + this.random.world() * 2,
+				(this.random.world() - 0.5) * 120
+			);
+			trunk.rotation.set(
+				((this.random.world() - 0.5) * Math.PI) / 2,
+				this.random.world() * Math.PI,
+				((this.random.world() - 0.5) * Math.PI) / 2
+			);
+			trunk.castShadow = true;
+			trunk.userData = { type: "debris" };
+			this.scene.add(trunk);
+			this.collisionObjects.push(trunk);
+		}
+
+		// Large rocks and concrete debris
+		for (let i = 0; i < 20; i++) {
+			const debrisGeometry = new THREE.DodecahedronGeometry(
+				this.random.world() * 1 + 0.5
+			);
+			const debrisMaterial = new THREE.MeshLambertMaterial({
+				color: [0x00ffff, 0x0088ff, 0x004488][
+					Math.floor(this.random.world() * 3)
+				],
+			});
+			const debris = new THREE.Mesh(debrisGeometry, debrisMaterial);
+
+			debris.position.set(
+				(this.random.world() - 0.5) * 100,
+				-9 + this.random.world() * 2,
+				(this.random.world() - 0.5) * 100
+			);
+			debris.rotation.set(
+				this.random.world() * Math.PI,
+				this.random.world() * Math.PI,
+				this.random.world() * Math.PI
+			);
+			debris.castShadow = true;
+			debris.receiveShadow = true;
+			debris.userData = { type: "debris" };
+			this.scene.add(debris);
+			this.collisionObjects.push(debris);
+		}
+	}
+
+	createSearchTargets() {
+		// Create search targets (people/survivors) that the AUV needs to find
+		this.searchTargets = [];
+
+		for (let i = 0; i < 5; i++) {
+			// Simple human figure representation
+			const bodyGeometry = new THREE.CapsuleGeometry(0.3, 1.5);
+			const bodyMaterial = new THREE.MeshLambertMaterial({
+				color: 0xff4400, // Bright red-orange for survivors
+				emissive: 0x440000, // Red glow to make them visible
+				emissiveIntensity: 0.1,
+			});
+			const person = new THREE.Mesh(bodyGeometry, bodyMaterial);
+
+			// Position randomly around buildings or in open areas
+			person.position.set(
+				(this.random.targets() - 0.5) * 80,
+				this.targetGroundY, // On the ground
+				(this.random.targets() - 0.5) * 80
+			);
+
+			person.userData = {
+				type: "survivor",
+				id: i,
+				found: false,
+				blinkTimer: 0,
+			};
+			this.assignSurvivorCondition(person);
+
+			this.scene.add(person);
+			this.searchTargets.push(person);
+
+			// Add a small beacon light to make them easier to spot
+			const beaconGeometry = new THREE.SphereGeometry(0.1);
+			const beaconMaterial = new THREE.MeshBasicMaterial({
+				color: 0xff0000,
+				transparent: true,
+				opacity: 0.8,
+			});
+			const beacon = new THREE.Mesh(beaconGeometry, beaconMaterial);
+			beacon.position.set(
+				person.position.x,
+				person.position.y + 1,
+				person.position.z
+			);
+			this.scene.add(beacon);
+			person.userData.beacon = beacon;
+		}
+
+		this.nextSurvivorId = this.searchTargets.length;
+	}
+
+	/**
+	 * Give a survivor a medical condition and survival deadline
+	 * @param {THREE.Object3D} survivor - Survivor object
+	 */
+	assignSurvivorCondition(survivor) {
+		const conditions = Object.keys(SURVIVOR_CONDITIONS);
+		const condition =
+			conditions[Math.floor(this.random.targets() * conditions.length)];
+
+		survivor.userData.condition = condition;
+		survivor.userData.deadline =
+			this.now() + SURVIVOR_CONDITIONS[condition].survivalTime * 1000;
+	}
+
+	createFloodDebris() {
+		// Floating debris at various depths with sonar colors
+		const debrisTypes = [
+			{ geometry: new THREE.BoxGeometry(1, 0.2, 0.5), color: 0x00ffff }, // Wood planks - cyan
+			{ geometry: new THREE.SphereGeometry(0.3), color: 0x0088ff }, // Balls/barrels - blue
+			{
+				geometry: new THREE.CylinderGeometry(0.2, 0.2, 1),
+				color: 0x004488,
+			}, // Pipes - dark blue
+		];
+
+		for (let i = 0; i < 30; i++) {
+			const debrisType =
+				debrisTypes[
+					Math.floor(this.random.world() * debrisTypes.length)
+				];
+			const debrisMaterial = new THREE.MeshLambertMaterial({
+				color: debrisType.color,
+				transparent: true,
+				opacity: 0.8,
+			});
+			const debris = new THREE.Mesh(debrisType.geometry, debrisMaterial);
+
+			debris.position.set(
+				(this.random.world() - 0.5) * 100,
+				this.random.world() * 10 - 5, // Floating at various depths
+				(this.random.world() - 0.5) * 100
+			);
+			debris.rotation.set(
+				this.random.world() * Math.PI,
+				this.random.world() * Math.PI,
+				this.random.world() * Math.PI
+			);
+			debris.userData = {
+				type: "floating_debris",
+				floatSpeed: (this.random.world() - 0.5) * 0.6, // Vertical bobbing speed (world units per second)
+			};
+			this.scene.add(debris);
+			this.addDynamicObstacle(debris);
+		}
+	}
+
+	createTemporaryAUV() {
+		// Create a simple AUV representation
+		const auvGroup = new THREE.Group();
+
+		// Main body
+		const bodyGeometry = new THREE.CylinderGeometry(0.3, 0.2, 2);
+		const bodyMaterial = new THREE.MeshLambertMaterial({ color: 0x444444 });
+		const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+		body.rotation.z = Math.PI / 2;
+		body.castShadow = true;
+		auvGroup.add(body);
+
+		// Propeller
+		const propGeometry = new THREE.CylinderGeometry(0.4, 0.4, 0.1);
+		const propMaterial = new THREE.MeshLambertMaterial({ color: 0x666666 });
+		const propeller = new THREE.Mesh(propGeometry, propMaterial);
+		propeller.position.set(-1.2, 0, 0);
+		propeller.rotation.z = Math.PI / 2;
+		auvGroup.add(propeller);
+
+		// Camera dome (front)
+		const domeGeometry = new THREE.SphereGeometry(0.2);
+		const domeMaterial = new THREE.MeshLambertMaterial({
+			color: 0x000000,
+			transparent: true,
+			opacity: 0.8,
+		});
+		const dome = new THREE.Mesh(domeGeometry, domeMaterial);
+		dome.position.set(1, 0, 0);
+		auvGroup.add(dome);
+
+		this.auv = auvGroup;
+		this.auv.position.set(0, 0, 0);
+		this.scene.add(this.auv);
+	}
+
+	cycleCameraMode() {
+		const modes = ["optical", "sonar"];
+		const currentIndex = modes.indexOf(this.cameraMode);
+		this.cameraMode = modes[(currentIndex + 1) % modes.length];
+		if (this.cameraMode === "sonar" && this.isShed("imagingSonar")) {
+			this.cameraMode = "optical";
+			this.notifyBattery("IMAGING SONAR OFF - LOW POWER");
+		}
+
+		// Activate/deactivate sonar system
+		this.sonarSystem.isActive = this.cameraMode === "sonar";
+		if (this.sonarSystem.isActive) {
+			this.sonarSystem.detectedObjects = []; // Clear previous detections
+		}
+	}
+
+	updateSonarScan() {
+		if (!this.sonarSystem.isActive || !this.auv) return;
+
+		// Simple visual sonar - just keep objects visible while sonar is active
+		// Remove old detections periodically
+		const currentTime = this.now();
+		this.sonarSystem.detectedObjects =
+			this.sonarSystem.detectedObjects.filter(
+				(obj) => currentTime - obj.timestamp < this.sonarSystem.fadeTime
+			);
+	}
+
+	// Removed fireSonarPulse method - no longer using pulse system
+
+	updateSonarPulses() {
+		// Pulses disabled - clear any existing pulses
+		this.sonarSystem.pulses = [];
+	}
+
+	checkPulseCollisions(pulse) {
+		if (!this.auv) return;
+
+		// Cast rays only in front of the AUV (forward arc)
+		const rayCount = 36; // Number of rays in the forward arc
+		const forwardArcAngle = Math.PI * 0.75; // 135 degrees forward arc (3/4 of PI)
+		const startAngle = -forwardArcAngle / 2; // Start from left side of arc
+		const angleStep = forwardArcAngle / rayCount;
+
+		for (let i = 0; i < rayCount; i++) {
+			// Calculate angle relative to forward direction
+			const relativeAngle = startAngle + i * angleStep;
+
+			// Create forward-facing direction vector
+			const rayDirection = new THREE.Vector3(
+				Math.sin(relativeAngle), // X component for left/right
+				0, // Keep horizontal
+				Math.cos(relativeAngle) // Z component for forward/back
+			);
+
+			// Apply AUV's rotation to the ray direction
+			rayDirection.applyQuaternion(this.auv.quaternion);
+
+			// Cast ray from pulse center
+			this.raycaster.set(pulse.position, rayDirection);
+
+			// Check intersections
+			const intersections = this.raycaster.intersectObjects(
+				this.collisionObjects,
+				true
+			);
+
+			if (intersections.length > 0) {
+				const hit = intersections[0];
+				const distance = hit.distance;
+
+				// Record hits that are within a reasonable range of the pulse
+				const pulseEdge = pulse.radius;
+				const hitTolerance = 2.0;
+
+				if (
+					distance >= pulseEdge - hitTolerance &&
+					distance <= pulseEdge + hitTolerance &&
+					distance <= this.sonarSystem.maxPulseRange
+				) {
+					// Store the angle relative to AUV's heading for proper display
+					this.recordSonarReturn(
+						relativeAngle,
+						distance,
+						hit.object,
+						hit.point, // Store the exact hit point
+						pulse.timestamp
+					);
+				}
+			}
+		}
+	}
+
+	recordSonarReturn(angle, distance, object, hitPoint, timestamp) {
+		// Convert angle to degrees for storage
+		const angleDeg = ((angle * 180) / Math.PI + 360) % 360;
+		const angleKey = Math.round(
+			angleDeg / (360 / this.sonarSystem.imageResolution)
+		);
+		const distanceKey = Math.round(distance);
+
+		// Create unique key for the entire object
+		const key = `${object.uuid}`;
+
+		// Store sonar return data with the entire object for hitbox visualization
+		const returnData = {
+			angle: angleDeg,
+			distance: distance,
+			timestamp: timestamp,
+			object: object,
+			hitPoint: hitPoint.clone(),
+			intensity: this.calculateReturnIntensity(object, distance),
+			type:
+				object.userData?.type ||
+				object.parent?.userData?.type ||
+				"unknown",
+		};
+
+		this.sonarSystem.sonarData.set(key, returnData);
+
+		// Sensor-limited navigation learns obstacles from returns only
+		if (this.plannerSettings.sensorLimited) {
+			this.addSensorObstacle(hitPoint);
+		}
+	}
+
+	/**
+	 * Cast a fan of sonar rays ahead of the vehicle and record the returns
+	 * @param {number} timestamp - Time of the sweep
+	 */
+	sweepSonar(timestamp) {
+		const sweep = this.sonarSweep;
+		const direction = new THREE.Vector3();
+		this.raycaster.far = this.sonarSystem.maxPulseRange;
+
+		sweep.elevations.forEach((elevation) => {
+			for (let i = 0; i < sweep.rayCount; i++) {
+				// Angle relative to the vehicle heading (yaw 0 faces +Z)
+				const relativeAngle =
+					-sweep.arc / 2 + ((i + 0.5) * sweep.arc) / sweep.rayCount;
+				const heading = this.auv.rotation.z + relativeAngle;
+				direction.set(
+					Math.sin(heading) * Math.cos(elevation),
+					Math.sin(elevation),
+					Math.cos(heading) * Math.cos(elevation)
+				);
+
+				this.raycaster.set(this.auv.position, direction);
+				const hit = this.raycaster.intersectObjects(
+					this.collisionObjects,
+					true
+				)[0];
+
+				// Level beams chart open water for exploration
+				if (elevation === 0 && this.exploration.active) {
+					const end = hit
+						? hit.point
+						: this.auv.position
+								.clone()
+								.addScaledVector(direction, this.raycaster.far);
+					this.exploration.map.markRay(this.auv.position, end, !!hit);
+				}
+
+				if (hit) {
+					this.recordSonarReturn(
+						relativeAngle,
+						hit.distance,
+						hit.object,
+						hit.point,
+						timestamp
+					);
+				}
+			}
+		});
+
+		this.raycaster.far = Infinity;
+	}
+
+	calculateReturnIntensity(object, distance) {
+		// Calculate intensity based on object type and distance
+		let baseIntensity = 1.0;
+
+		switch (object.userData?.type) {
+			case "building":
+				baseIntensity = 0.9;
+				break;
+			case "vehicle":
+				baseIntensity = 0.7;
+				break;
+			case "debris":
+				baseIntensity = 0.5;
+				break;
+			case "survivor":
+				baseIntensity = 0.3;
+				break;
+			default:
+				baseIntensity = 0.6;
+		}
+
+		// Reduce intensity with distance
+		const distanceFactor = Math.max(
+			0.1,
+			1 - distance / this.sonarSystem.maxPulseRange
+		);
+
+		return baseIntensity * distanceFactor;
+	}
+
+	getCameraMode() {
+		return this.cameraMode;
+	}
+
+	updateMovement() {
+		// The viewer is flying the detached camera
+		if (this.isFreeCam) return;
+
+		this.updateAUVMovement();
+	}
+
+	/**
+	 * Resolve the control input for this frame
+	 * Operator keys always take priority and disengage the autopilot.
+	 * Commands are velocity demands as fractions of top speed and turn rate,
+	 * except on the axes listed in thrustAxes, which command thrust directly.
+	 * @returns {{yaw: number, forward: number, strafe: number, vertical: number, thrustAxes: string[]}} Normalized commands (-1 to 1)
+	 */
+	getControlInput() {
+		// A flat battery leaves the thrusters without power
+		if (this.battery.level <= 0) {
+			return { ...IDLE_THRUST };
+		}
+
+		const manual = this.getManualControl();
+
+		if (this.userScript.active) {
+			// The operator's keys, or any autonomous task, take the vehicle back
+			if (
+				this.hasManualInput() ||
+				this.autopilot.active ||
+				this.stationKeeping.active ||
+				this.docking.active ||
+				this.executive.active
+			) {
+				this.stopScript();
+			} else {
+				return this.getScriptControl();
+			}
+		}
+
+		if (this.autopilot.active) {
+			if (this.hasManualInput()) {
+				this.cancelAutopilot();
+				return manual;
+			}
+			return this.getAutopilotControl();
+		}
+
+		if (this.docking.active && this.docking.status === "final") {
+			if (this.hasManualInput()) {
+				this.stopDocking("cancelled");
+				return manual;
+			}
+			return this.getDockingControl();
+		}
+
+		// Latched in the cradle until the operator drives out
+		if (this.docking.active && this.docking.status === "docked") {
+			if (this.hasManualInput()) {
+				this.stopDocking();
+				return manual;
+			}
+			return { ...IDLE_THRUST };
+		}
+
+		if (this.stationKeeping.active) {
+			if (this.hasManualInput()) {
+				this.stopStationKeeping("cancelled");
+				return manual;
+			}
+			return this.getStationKeepingControl();
+		}
+
+		if (this.isHoldEngaged()) {
+			return this.getHoldControl(manual);
+		}
+
+		return manual;
+	}
+
+	hasManualInput() {
+		const manual = this.getManualControl();
+		return (
+			manual.yaw !== 0 ||
+			manual.forward !== 0 ||
+			manual.strafe !== 0 ||
+			manual.vertical !== 0
+		);
+	}
+
+	/**
+	 * Operator keys command thrust and yaw torque on every axis
+	 */
+	getManualControl() {
+		let yaw = 0;
+		if (this.keys.left) {
+			yaw = 1; // Turn left (yaw)
+		}
+		if (this.keys.right) {
+			yaw = -1; // Turn right (yaw)
+		}
+
+		return {
+			yaw,
+			forward: (this.keys.forward ? 1 : 0) - (this.keys.backward ? 1 : 0),
+			strafe:
+				(this.keys.turnRight ? 1 : 0) - (this.keys.turnLeft ? 1 : 0),
+			vertical: (this.keys.up ? 1 : 0) - (this.keys.down ? 1 : 0),
+			thrustAxes: THRUST_AXES,
+		};
+	}
+
+	/**
+	 * Thruster commands for this step
+	 * Velocity demands are tracked through the water by the velocity loop;
+	 * direct thrust commands pass straight through.
+	 * @param {Object} control - Normalized commands from getControlInput()
+	 * @returns {Object} Thrust command per dynamics axis (-1 to 1)
+	 */
+	getThrustCommand(control) {
+		const direct = control.thrustAxes ?? [];
+		const thrust = {};
+
+		Object.entries(CONTROL_AXES).forEach(([input, axis]) => {
+			const value = control[input];
+			if (direct.includes(input)) {
+				thrust[axis] = value;
+			} else {
+				const topSpeed =
+					axis === "yaw" ? this.rotationSpeed : this.speed;
+				thrust[axis] = this.dynamics.getThrustForVelocity(
+					axis,
+					value * topSpeed,
+					this.velocityResponse
+				);
+			}
+		});
+		return thrust;
+	}
+
+	updateAUVMovement() {
+		if (!this.auv) return;
+
+		// Resolve the active control source (operator keys or autopilot)
+		const control = this.getControlInput();
+		const thrust = this.getThrustCommand(control);
+
+		// Pump ballast for the climb rate the vertical command asks for;
+		// without power the pumps stop where they are
+		this.dynamics.setBallastTarget(
+			this.battery.level > 0
+				? this.dynamics.getBallastForClimb(
+						control.vertical * this.speed,
+						this.ballastResponse
+					)
+				: this.dynamics.ballast
+		);
+
+		// Accelerate the vehicle under thrust, drag, buoyancy and any storm gusts
+		const dt = this.frameDuration / 1000;
+		this.dynamics.step(thrust, dt, this.disturbance);
+		this.disturbance = {};
+		const velocity = this.dynamics.velocity;
+
+		// Apply rotation to both AUV and camera - use Z axis for horizontal rotation
+		// since the AUV model is rotated (x = -PI/2)
+		const rotationChange = velocity.yaw * dt;
+		if (rotationChange !== 0) {
+			this.auv.rotation.z += rotationChange; // Use Z-axis for horizontal turning
+			this.camera.rotation.y += rotationChange;
+		}
+
+		// Body axes follow the camera's view direction (where you're
+		// looking), which pitches and rolls with the vehicle
+		const forward = new THREE.Vector3(0, 0, -1);
+		forward.applyQuaternion(this.camera.quaternion);
+		const right = new THREE.Vector3(1, 0, 0);
+		right.applyQuaternion(this.camera.quaternion);
+		const up = new THREE.Vector3(0, 1, 0);
+		up.applyQuaternion(this.camera.quaternion);
+		const axes = { forward, right, up };
+
+		// Velocity through the water, carried along by the current
+		const direction = this.getCurrentDrift()
+			.addScaledVector(forward, velocity.surge)
+			.addScaledVector(right, velocity.sway)
+			.addScaledVector(up, velocity.heave)
+			.multiplyScalar(dt);
+
+		// Apply movement with collision detection
+		const previousPosition = this.auv.position.clone();
+		const newPosition = this.auv.position.clone().add(direction);
+
+		// Check for collisions before moving
+		if (this.checkCollision(newPosition)) {
+			// Collision detected, try to slide along the surface; the
+			// obstacle stops the motion into it
+			const slide = this.calculateSlideDirection(direction);
+			if (slide) {
+				this.auv.position.add(slide.move);
+				this.dynamics.stopAlong(slide.normal, axes);
+			} else if (direction.lengthSq() > 0) {
+				// Wedged: sliding also fails, so don't move
+				this.dynamics.stopAlong(direction.clone().normalize(), axes);
+			}
+		} else {
+			// No collision, safe to move
+			this.auv.position.copy(newPosition);
+		}
+
+		// Keep AUV above the ocean floor
+		if (this.auv.position.y < this.constraints.floorY) {
+			this.auv.position.y = this.constraints.floorY;
+			this.dynamics.stopAlong(new THREE.Vector3(0, -1, 0), axes);
+		}
+
+		// A buoyant vehicle comes to rest at the surface
+		if (this.auv.position.y > this.constraints.maxY) {
+			this.auv.position.y = this.constraints.maxY;
+			this.dynamics.stopAlong(new THREE.Vector3(0, 1, 0), axes);
+		}
+
+		// Track distance for performance reporting
+		this.odometry.distance +=
+			this.auv.position.distanceTo(previousPosition);
+
+		// Check for search target proximity
+		this.checkSearchTargets();
+
+		// Update navigation data
+		this.updateNavigationData();
+
+		// Update camera position for first-person view
+		this.updateCameraPosition();
+	}
+
+	updateCameraPosition() {
+		if (!this.auv || this.isFreeCam) return;
+
+		// Position camera at the front of the AUV (first person view)
+		const cameraPosition = this.cameraOffset.clone();
+		cameraPosition.applyQuaternion(this.auv.quaternion);
+		cameraPosition.add(this.auv.position);
+
+		this.camera.position.copy(cameraPosition);
+
+		// Keep camera rotation synchronized with AUV rotation
+		// Since AUV uses Z-axis for horizontal rotation, adjust camera accordingly
+		const attitude = this.dynamics.attitude;
+		this.camera.rotation.x = attitude.pitch; // Nose up looks up
+		this.camera.rotation.y = this.auv.rotation.z + Math.PI; // Follow AUV's Z rotation + 180 to face forward
+		this.camera.rotation.z = -attitude.roll; // Starboard side down tips the view right
+	}
+
+	updateNavigationData() {
+		if (!this.auv) return;
+
+		// Calculate heading from AUV rotation (Z-axis rotation converted to compass degrees)
+		// Convert radians to degrees and normalize to 0-360
+		let headingRad = this.auv.rotation.z;
+		let newHeading = ((headingRad * 180) / Math.PI + 360) % 360;
+
+		// Apply compass error from magnetic interference
+		newHeading += this.compassErrorOffset;
+
+		// Smooth heading changes to prevent jumps
+		const headingDiff = newHeading - this.currentHeading;
+		if (Math.abs(headingDiff) > 180) {
+			// Handle wrap-around case (e.g., 359° to 1°)
+			if (headingDiff > 0) {
+				newHeading -= 360;
+			} else {
+				newHeading += 360;
+			}
+		}
+
+		// Interpolate for smoother heading changes
+		this.currentHeading += (newHeading - this.currentHeading) * 0.1;
+
+		// Normalize to 0-360 range
+		if (this.currentHeading < 0) this.currentHeading += 360;
+		if (this.currentHeading >= 360) this.currentHeading -= 360;
+
+		// Calculate speed based on position change with smoothing
+		const currentTime = this.now();
+		const deltaTime = (currentTime - this.lastUpdateTime) / 1000; // Convert to seconds
+
+		if (deltaTime > 0.02) {
+			// Only update every 20ms to reduce jitter
+			const distance = this.auv.position.distanceTo(this.lastPosition);
+			const instantSpeed = (distance / deltaTime) * KNOTS_PER_MPS;
+
+			// Add to speed samples for smoothing
+			this.speedSamples.push(instantSpeed);
+			if (this.speedSamples.length > this.maxSpeedSamples) {
+				this.speedSamples.shift();
+			}
+
+			// Calculate average speed for smoothing
+			this.currentSpeed =
+				this.speedSamples.reduce((a, b) => a + b, 0) /
+				this.speedSamples.length;
+
+			this.lastPosition.copy(this.auv.position);
+			this.lastUpdateTime = currentTime;
+		}
+	}
+
+	/**
+	 * Current simulation time in milliseconds
+	 * The simulated clock only advances in fixed steps, so runs are identical
+	 * on every machine whatever the display frame rate
+	 */
+	now() {
+		return this.simulationTime;
+	}
+
+	/**
+	 * Run a callback once the simulated clock has advanced by a delay
+	 * @param {number} delay - Delay in simulated milliseconds
+	 * @param {Function} callback - Called from the step the delay runs out in
+	 */
+	after(delay, callback) {
+		this.timers.push({ time: this.now() + delay, callback });
+	}
+
+	/**
+	 * Whether a random occurrence happens during this step
+	 * @param {number} rate - Expected occurrences per second
+	 * @returns {boolean} True if it happens this step
+	 */
+	occurs(rate) {
+		return (
+			this.random.events() <
+			1 - Math.exp((-rate * this.frameDuration) / 1000)
+		);
+	}
+
+	/**
+	 * Advance the simulation by one fixed step
+	 * Batch runs and tests call it directly; AUVLogic calls it as often as
+	 * the elapsed real time requires
+	 */
+	step() {
+		this.simulationTime += this.frameDuration;
+
+		// Timers scheduled with after()
+		const due = this.timers.filter((timer) => timer.time <= this.now());
+		if (due.length > 0) {
+			this.timers = this.timers.filter(
+				(timer) => timer.time > this.now()
+			);
+			due.forEach((timer) => timer.callback());
+		}
+
+		this.updateSensorNavigation(); // Sonar mapping and route repair
+		this.updateGroundVelocity(); // Measured motion for the closed-loop holds
+		this.updateMovement();
+		this.updateStationKeeping(); // Holding error and pending rescues
+		this.updateDocking(); // Approach, alignment and final approach to the dock
+		this.updateBattery(); // Drain charge and monitor the return reserve
+		this.updateCoverageSearch(); // Advance autonomous coverage search
+		this.updateExploration(); // Advance frontier exploration
+		this.updateMission(); // Advance scripted waypoint mission
+		this.updateExecutive(); // Tick the autonomy behavior tree
+		this.animateFloatingDebris();
+		this.updateMarineLife(); // Swim and expire marine life interference
+		this.updateDynamicObstacles(); // Track moving obstacles and resolve contacts
+		this.updateSonarScan(); // Update sonar scanning
+		this.updateRandomEvents(); // Update random events system
+		this.updateFoundSurvivors(); // Update survivor rescue system
+
+		// Ask the script for the commands the next step applies
+		if (this.userScript.active && !this.userScript.awaiting) {
+			this.requestScriptTick();
+		}
+	}
+
+	// Collision detection methods
+	checkCollision(newPosition) {
+		if (!this.auv) return false;
+
+		// Check collision with static obstacles first, then moving ones
+		const obj =
+			this.findCollisionObject(newPosition, this.collisionObjects) ||
+			this.findCollisionObject(
+				newPosition,
+				this.dynamicObstacles.filter(
+					(obstacle) => !obstacle.userData.touching
+				)
+			);
+		if (obj) {
+			// Calculate collision direction and update damage status
+			this.handleCollisionEvent(obj, this.auv.position, newPosition);
+
+			return true; // Collision detected
+		}
+
+		// Reset collision status if no collision
+		this.collisionData.active = false;
+		this.resetDamageStatus();
+		return false;
+	}
+
+	/**
+	 * Find an object the vehicle would overlap at a position
+	 * @param {THREE.Vector3} position - Vehicle position to test
+	 * @param {THREE.Object3D[]} objects - Obstacles to test against
+	 * @returns {THREE.Object3D|null} First overlapping object
+	 */
+	findCollisionObject(position, objects) {
+		// Create a temporary AUV at the new position to test collision
+		const originalPosition = this.auv.position.clone();
+		this.auv.position.copy(position);
+
+		// Get the actual AUV bounding box at the new position
+		this.auvBoundingBox.setFromObject(this.auv);
+
+		// Restore original position
+		this.auv.position.copy(originalPosition);
+
+		for (let obj of objects) {
+			const objBoundingBox = new THREE.Box3().setFromObject(obj);
+			if (this.auvBoundingBox.intersectsBox(objBoundingBox)) {
+				return obj;
+			}
+		}
+
+		return null;
+	}
+
+	handleCollisionEvent(collisionObject, originalPos, attemptedPos) {
+		const currentTime = this.now();
+
+		// Prevent spam collisions (only trigger every 500ms)
+		if (currentTime - this.collisionData.lastCollisionTime < 500) {
+			this.collisionData.active = true;
+			return;
+		}
+
+		// Calculate collision direction relative to AUV
+		const collisionDirection = this.calculateCollisionDirection(
+			originalPos,
+			attemptedPos,
+			collisionObject
+		);
+
+		// Update damage status based on direction
+		this.updateDamageStatus(collisionDirection);
+		this.collisionData.count++;
+		if (this.collisionObjects.includes(collisionObject)) {
+			this.collisionData.staticCount++;
+		}
+
+		// Set collision data for GUI
+		this.collisionData.active = true;
+		this.collisionData.newCollision = {
+			type: collisionObject.userData?.type || "object",
+			direction: collisionDirection,
+			timestamp: currentTime,
+		};
+		this.collisionData.lastCollisionTime = currentTime;
+
+		// Clear new collision after GUI has time to process it
+		this.after(100, () => {
+			this.collisionData.newCollision = null;
+		});
+	}
+
+	calculateCollisionDirection(originalPos, attemptedPos, collisionObject) {
+		// Get the direction vector from AUV to collision object
+		const directionToObject = collisionObject.position
+			.clone()
+			.sub(originalPos)
+			.normalize();
+
+		// Get AUV's local coordinate system (accounting for rotation)
+		const auvForward = new THREE.Vector3(0, 1, 0); // Y is forward after rotation
+		const auvRight = new THREE.Vector3(1, 0, 0); // X is right
+
+		// Apply AUV rotation to get world directions
+		auvForward.applyQuaternion(this.auv.quaternion);
+		auvRight.applyQuaternion(this.auv.quaternion);
+
+		// Calculate dot products to determine direction
+		const forwardDot = directionToObject.dot(auvForward);
+		const rightDot = directionToObject.dot(auvRight);
+
+		// Determine primary collision direction
+		if (Math.abs(forwardDot) > Math.abs(rightDot)) {
+			return forwardDot > 0 ? "front" : "back";
+		} else {
+			return rightDot > 0 ? "right" : "left";
+		}
+	}
+
+	updateDamageStatus(direction) {
+		// Reset all damage first
+		this.resetDamageStatus();
+
+		// Set damage for the collision direction
+		this.collisionData.damageStatus[direction] = true;
+
+		// Clear damage after 2 seconds
+		this.after(2000, () => {
+			this.collisionData.damageStatus[direction] = false;
+		});
+	}
+
+	resetDamageStatus() {
+		this.collisionData.damageStatus = {
+			front: false,
+			left: false,
+			right: false,
+			back: false,
+		};
+	}
+
+	/**
+	 * Find a move along the surface the vehicle struck
+	 * Gives up one world axis of the move at a time, so the vehicle keeps
+	 * its motion along the face it hit.
+	 * @param {THREE.Vector3} originalDirection - Blocked move
+	 * @returns {{move: THREE.Vector3, normal: THREE.Vector3}|null} Free move and the unit axis it gave up, or null if every option is blocked
+	 */
+	calculateSlideDirection(originalDirection) {
+		// Try sliding along different axes
+		for (const axis of ["x", "z", "y"]) {
+			if (originalDirection[axis] === 0) continue;
+
+			const move = originalDirection.clone();
+			move[axis] = 0;
+			if (
+				move.lengthSq() > 1e-12 &&
+				!this.checkCollision(this.auv.position.clone().add(move))
+			) {
+				const normal = new THREE.Vector3();
+				normal[axis] = Math.sign(originalDirection[axis]);
+				return { move, normal };
+			}
+		}
+
+		return null; // No valid slide direction found
+	}
+
+	checkSearchTargets() {
+		if (!this.auv || !this.searchTargets) return;
+
+		const auvPosition = this.auv.position;
+
+		this.searchTargets.forEach((target) => {
+			if (!target.userData.found) {
+				const distance = auvPosition.distanceTo(target.position);
+
+				// If AUV is close enough to a survivor
+				if (distance < this.detectionRadius) {
+					target.userData.found = true;
+					this.lastSurvivorDatum = target.position.clone();
+
+					// Change the material to indicate found
+					target.material.color.setHex(0x00ff00); // Green color
+					target.material.emissive.setHex(0x004400);
+					target.material.emissiveIntensity = 0.3;
+
+					// Make beacon blink faster
+					if (target.userData.beacon) {
+						target.userData.beacon.material.color.setHex(0x00ff00);
+					}
+
+					// Play a sound effect or trigger GUI notification here
+					this.onSurvivorFound(target.userData.id);
+				}
+			}
+
+			// Animate beacon blinking
+			if (target.userData.beacon) {
+				target.userData.blinkTimer += 0.1;
+				const opacity =
+					0.5 + Math.sin(target.userData.blinkTimer * 3) * 0.5;
+				target.userData.beacon.material.opacity = opacity;
+			}
+		});
+	}
+
+	onSurvivorFound(survivorId) {
+		// This method can be expanded to trigger GUI updates, sounds, etc.
+		// For now, just log the event
+		const foundCount = this.searchTargets.filter(
+			(t) => t.userData.found
+		).length;
+	}
+
+	animateFloatingDebris() {
+		const dt = this.frameDuration / 1000;
+		const drift = this.getCurrentDrift().multiplyScalar(dt);
+		const boundary = this.constraints.boundary;
+
+		// Animate floating debris
+		this.scene.children.forEach((child) => {
+			if (child.userData && child.userData.type === "floating_debris") {
+				// Make debris float up and down
+				child.position.y += child.userData.floatSpeed * dt;
+
+				// Carried along by the current
+				child.position.x = THREE.MathUtils.clamp(
+					child.position.x + drift.x,
+					-boundary,
+					boundary
+				);
+				child.position.z = THREE.MathUtils.clamp(
+					child.position.z + drift.z,
+					-boundary,
+					boundary
+				);
+
+				// Reverse direction if too high or low
+				if (child.position.y > 2 || child.position.y < -7) {
+					child.userData.floatSpeed *= -1;
+				}
+
+				// Slowly rotate
+				child.rotation.y += 0.3 * dt;
+			}
+		});
+	}
+
+	// Moving obstacles
+	/**
+	 * Register a moving object as an obstacle
+	 * Moving obstacles block the vehicle but stay off the planning grid;
+	 * the local avoidance layer steers around them instead.
+	 * @param {THREE.Mesh} object - Obstacle mesh
+	 */
+	addDynamicObstacle(object) {
+		object.geometry.computeBoundingSphere();
+		object.userData.radius =
+			object.geometry.boundingSphere.radius *
+			Math.max(object.scale.x, object.scale.y, object.scale.z);
+		object.userData.velocity = new THREE.Vector3();
+		object.userData.lastPosition = object.position.clone();
+		this.dynamicObstacles.push(object);
+	}
+
+	removeDynamicObstacle(object) {
+		const index = this.dynamicObstacles.indexOf(object);
+		if (index !== -1) this.dynamicObstacles.splice(index, 1);
+	}
+
+	/**
+	 * Estimate moving obstacle velocities and resolve contacts
+	 * Velocities are smoothed step-to-step displacements, so any motion
+	 * (bobbing, drift, swimming) can be predicted the same way. An obstacle
+	 * that moves into the vehicle shoves it along unless that would push it
+	 * into a static obstacle; one left overlapping the vehicle is marked as
+	 * touching so the vehicle can still move out of it.
+	 */
+	updateDynamicObstacles() {
+		const smoothing = this.localAvoidance.velocitySmoothing;
+		const dt = this.frameDuration / 1000;
+
+		this.dynamicObstacles.forEach((obstacle) => {
+			const data = obstacle.userData;
+			const motion = obstacle.position.clone().sub(data.lastPosition);
+			data.lastPosition.copy(obstacle.position);
+			data.velocity.lerp(motion.clone().divideScalar(dt), smoothing);
+
+			data.touching = false;
+			if (
+				!this.auv ||
+				obstacle.position.distanceTo(this.auv.position) >
+					data.radius + this.localAvoidance.vehicleRadius * 2 ||
+				!this.findCollisionObject(this.auv.position, [obstacle])
+			) {
+				return;
+			}
+
+			const pushed = this.auv.position.clone().add(motion);
+			if (
+				motion.lengthSq() > 0 &&
+				!this.findCollisionObject(pushed, this.collisionObjects)
+			) {
+				this.handleCollisionEvent(obstacle, this.auv.position, pushed);
+				this.auv.position.copy(pushed);
+			}
+			data.touching = !!this.findCollisionObject(this.auv.position, [
+				obstacle,
+			]);
+		});
+	}
+
+	// Public methods for GUI integration
+	getPosition() {
+		return this.auv ? this.auv.position : new THREE.Vector3();
+	}
+
+	getRotation() {
+		return this.auv ? this.auv.rotation : new THREE.Euler();
+	}
+
+	getSpeed() {
+		return this.currentSpeed; // Speed over ground in knots
+	}
+
+	getDepth() {
+		return this.auv ? Math.abs(this.auv.position.y) : 0;
+	}
+
+	getHeading() {
+		return this.currentHeading; // Return compass heading in degrees
+	}
+
+	getSearchProgress() {
+		if (!this.searchTargets) return { found: 0, total: 0 };
+		const found = this.searchTargets.filter((t) => t.userData.found).length;
+		return { found, total: this.searchTargets.length };
+	}
+
+	getNearestTarget() {
+		if (!this.auv || !this.searchTargets) return null;
+
+		let nearest = null;
+		let minDistance = Infinity;
+
+		this.searchTargets.forEach((target) => {
+			if (!target.userData.found) {
+				const distance = this.auv.position.distanceTo(target.position);
+				if (distance < minDistance) {
+					minDistance = distance;
+					nearest = {
+						id: target.userData.id,
+						distance: distance.toFixed(1),
+						position: target.position,
+					};
+				}
+			}
+		});
+
+		return nearest;
+	}
+
+	getCollisionData() {
+		return this.collisionData;
+	}
+
+	getOdometry() {
+		return { ...this.odometry };
+	}
+
+	// Path planning and autopilot
+	/**
+	 * Get the voxelized obstacle map, building it on first use
+	 * Obstacles are static, so the grid is only rebuilt when invalidated
+	 * @returns {OccupancyGrid} Occupancy grid of the operational area
+	 */
+	getOccupancyGrid() {
+		if (!this.occupancyGrid) {
+			this.occupancyGrid = OccupancyGrid.fromObjects(
+				this.collisionObjects,
+				this.constraints,
+				this.getGridOptions()
+			);
+		}
+		return this.occupancyGrid;
+	}
+
+	invalidateOccupancyGrid() {
+		this.occupancyGrid = null;
+	}
+
+	/**
+	 * Obstacle inflation that keeps the vehicle's collision box off
+	 * planned paths
+	 * checkCollision tests a world-aligned box around the vehicle, which
+	 * reaches furthest when the vehicle is turned off the axes: out to the
+	 * half-diagonal of its footprint at zero heading.
+	 * @returns {number} Inflation (world units)
+	 */
+	getPlannerClearance() {
+		const heading = this.auv.rotation.z;
+		this.auv.rotation.z = 0;
+		const size = new THREE.Box3()
+			.setFromObject(this.auv)
+			.getSize(new THREE.Vector3());
+		this.auv.rotation.z = heading;
+
+		return (
+			Math.hypot(size.x, size.z) / 2 +
+			this.plannerSettings.clearanceMargin
+		);
+	}
+
+	getGridOptions() {
+		return {
+			resolution: this.plannerSettings.resolution,
+			clearance: this.getPlannerClearance(),
+		};
+	}
+
+	/**
+	 * Get the obstacle map the vehicle has discovered with its sonar
+	 * Starts empty; unknown space is assumed to be free
+	 * @returns {OccupancyGrid} Sonar-built occupancy grid
+	 */
+	getSensorMap() {
+		if (!this.sensorMap) {
+			this.sensorMap = OccupancyGrid.fromObjects(
+				[],
+				this.constraints,
+				this.getGridOptions()
+			);
+		}
+		return this.sensorMap;
+	}
+
+	resetSensorMap() {
+		this.sensorMap = null;
+		this.sensorMapChanges = [];
+		this.incrementalPlanner = null;
+	}
+
+	/**
+	 * Get the map used for planning in the current navigation mode
+	 * @returns {OccupancyGrid} Sonar-built map when sensor-limited, otherwise the full obstacle map
+	 */
+	getNavigationGrid() {
+		return this.plannerSettings.sensorLimited
+			? this.getSensorMap()
+			: this.getOccupancyGrid();
+	}
+
+	/**
+	 * Switch between planning on the full obstacle map and on sonar returns only
+	 * @param {boolean} enabled - True to plan only over sonar-discovered obstacles
+	 */
+	setSensorLimitedNavigation(enabled) {
+		this.plannerSettings.sensorLimited = enabled;
+		this.resetSensorMap();
+
+		if (this.autopilot.active && this.autopilot.status === "navigating") {
+			this.replanAutopilot();
+		}
+	}
+
+	addSensorObstacle(point) {
+		const box = new THREE.Box3(point.clone(), point.clone());
+		box.expandByScalar(this.getPlannerClearance());
+		this.getSensorMap().markBox(box, this.sensorMapChanges);
+	}
+
+	/**
+	 * Whether the forward sonar is pinging: in sensor-limited navigation,
+	 * while exploring or for a controller script, unless a brownout shed it
+	 * @returns {boolean} True if sweeps are running
+	 */
+	isSonarSweeping() {
+		return (
+			Boolean(this.auv) &&
+			(this.plannerSettings.sensorLimited ||
+				this.exploration.active ||
+				this.userScript.active) &&
+			!this.isShed("sonar")
+		);
+	}
+
+	/**
+	 * Sweep the sonar and repair the route around newly discovered obstacles
+	 * Only runs while the forward sonar is pinging (see isSonarSweeping)
+	 */
+	updateSensorNavigation() {
+		if (!this.isSonarSweeping()) return;
+
+		const currentTime = this.now();
+		if (
+			currentTime - this.sonarSweep.lastSweepTime >=
+			this.sonarSweep.interval
+		) {
+			this.sonarSweep.lastSweepTime = currentTime;
+			this.sweepSonar(currentTime);
+		}
+
+		const changes = this.sensorMapChanges;
+		if (changes.length === 0) return;
+		this.sensorMapChanges = [];
+
+		const autopilot = this.autopilot;
+		const planner = this.incrementalPlanner;
+		if (
+			!planner ||
+			!autopilot.active ||
+			autopilot.status !== "navigating"
+		) {
+			return;
+		}
+
+		planner.updateStart(this.auv.position);
+		planner.updateCells(changes);
+
+		// Keep the current route unless a discovery blocks it
+		const grid = this.getSensorMap();
+		const remaining = [
+			this.auv.position,
+			...autopilot.path.slice(autopilot.waypointIndex),
+		];
+		const blocked = remaining.some(
+			(point, i) => i > 0 && !grid.hasLineOfSight(remaining[i - 1], point)
+		);
+		if (!blocked) return;
+
+		const path = this.finishPath(
+			grid,
+			planner.plan().path,
+			this.auv.position,
+			autopilot.target
+		);
+		if (!path) {
+			autopilot.active = false;
+			autopilot.status = "blocked";
+			return;
+		}
+
+		this.followPath(path);
+	}
+
+	getNavigationStatus() {
+		let mappedCells = 0;
+		if (this.sensorMap) {
+			this.sensorMap.cells.forEach((cell) => (mappedCells += cell));
+		}
+
+		// Current speed (world units per second) and the bearing it flows toward
+		const drift = this.getCurrentDrift();
+		let current = null;
+		if (drift.lengthSq() > 0) {
+			const bearing = THREE.MathUtils.radToDeg(
+				Math.atan2(drift.x, drift.z)
+			);
+			current = {
+				speed: Math.hypot(drift.x, drift.z),
+				heading: (bearing + 360) % 360,
+			};
+		}
+
+		return {
+			sensorLimited: this.plannerSettings.sensorLimited,
+			mappedCells,
+			current,
+			avoiding: this.localAvoidance.active && this.autopilot.active,
+		};
+	}
+
+	/**
+	 * Select the planner plugin used on the full obstacle map
+	 * @param {string} id - Registered planner id (e.g. 'astar', 'theta_star', 'rrt_star')
+	 * @returns {boolean} True if the planner exists
+	 */
+	setPlanner(id) {
+		if (!getPlanner(id)) return false;
+		this.plannerSettings.algorithm = id;
+		return true;
+	}
+
+	getPlannerOptions() {
+		return getPlanners();
+	}
+
+	/**
+	 * Switch the vehicle's mass, drag and thrust to another profile
+	 * Top speed and turn rate follow the profile, so travel costs and
+	 * return estimates change with it.
+	 * @param {string} id - Profile id (see VEHICLE_PROFILES)
+	 * @returns {boolean} True if the profile exists
+	 */
+	setVehicleProfile(id) {
+		const profile = VEHICLE_PROFILES[id];
+		if (!profile) return false;
+
+		// A propulsion fault outlasts the switch: the thruster in the same
+		// slot of the new layout fails in place of the old one
+		const fault = this.randomEvents.effects.equipment_malfunction;
+		const slot = fault.thruster
+			? this.dynamics.allocator.thrusters.findIndex(
+					(thruster) => thruster.name === fault.thruster
+				)
+			: -1;
+
+		this.vehicleProfile = id;
+		this.dynamics.setProfile(profile);
+		if (slot >= 0) {
+			const thrusters = this.dynamics.allocator.thrusters;
+			fault.thruster = thrusters[slot % thrusters.length].name;
+			this.dynamics.allocator.setHealth(fault.thruster, 0);
+		}
+		this.speed = this.dynamics.getTopSpeed("surge");
+		this.rotationSpeed = this.dynamics.getTopSpeed("yaw");
+		this.updateCurrentFlow();
+		return true;
+	}
+
+	/**
+	 * Thruster health and load for the HUD
+	 * @returns {Object[]} { name, health, load } per thruster, load as a fraction of its rated force
+	 */
+	getThrusterStatus() {
+		return this.dynamics.allocator.thrusters.map((thruster) => ({
+			name: thruster.name,
+			health: thruster.health,
+			load: Math.abs(thruster.force) / thruster.maxForce,
+		}));
+	}
+
+	/**
+	 * Attitude and ballast state for the HUD
+	 * @returns {Object} { pitch, roll } in degrees (nose up and starboard side down positive), ballast fill of each tank as a fraction of its capacity and net buoyancy (N, positive rises)
+	 */
+	getAttitude() {
+		const { attitude, ballast, profile } = this.dynamics;
+		const capacity = profile.ballast.capacity;
+		return {
+			pitch: THREE.MathUtils.radToDeg(attitude.pitch),
+			roll: THREE.MathUtils.radToDeg(attitude.roll),
+			ballast: {
+				fore: ballast.fore / capacity,
+				aft: ballast.aft / capacity,
+			},
+			buoyancy: this.dynamics.getNetBuoyancy(),
+		};
+	}
+
+	getVehicleOptions() {
+		return Object.entries(VEHICLE_PROFILES).map(([id, profile]) => ({
+			id,
+			name: profile.name,
+		}));
+	}
+
+	getLastPlanStats() {
+		return this.lastPlanStats;
+	}
+
+	/**
+	 * Water current carrying the vehicle
+	 * @returns {THREE.Vector3} Current velocity in world units per second (zero when no current is running)
+	 */
+	getCurrentDrift() {
+		const event = this.randomEvents.active;
+		if (event && event.type === "highCurrent") {
+			return this.randomEvents.effects.highCurrent.force.clone();
+		}
+		return new THREE.Vector3();
+	}
+
+	/**
+	 * Rebuild the current cost model after the current changed
+	 * An active route is replanned so it rides or avoids the new current.
+	 */
+	updateCurrentFlow() {
+		this.currentFlow = createCurrentCost(
+			this.getCurrentDrift(),
+			this.speed
+		);
+
+		const autopilot = this.autopilot;
+		if (
+			!this.auv ||
+			!autopilot.active ||
+			autopilot.status !== "navigating"
+		) {
+			return;
+		}
+
+		const path = this.planPath(this.auv.position, autopilot.target);
+		if (path) this.followPath(path);
+	}
+
+	/**
+	 * Plan a collision-free path between two points
+	 * Uses the selected planner plugin on the full obstacle map, or D* Lite
+	 * on the sonar-built map when navigation is sensor-limited
+	 * @param {THREE.Vector3} from - Start position
+	 * @param {THREE.Vector3} to - Destination
+	 * @returns {THREE.Vector3[]|null} Waypoints from start to destination, or null if unreachable
+	 */
+	planPath(from, to) {
+		const grid = this.getNavigationGrid();
+		let result;
+
+		if (this.plannerSettings.sensorLimited) {
+			// Keep the search so sonar discoveries can repair it incrementally
+			const startTime = performance.now();
+			this.incrementalPlanner = new DStarLite(grid, from, to, {
+				flow: this.currentFlow,
+			});
+			const search = this.incrementalPlanner.plan();
+			result = {
+				path: search.path,
+				stats: {
+					planner: "dstar_lite",
+					expanded: search.expanded,
+					computeTime: performance.now() - startTime,
+				},
+				debug: this.recordPlanDebug
+					? {
+							nodes: cellCenters(
+								grid,
+								this.incrementalPlanner.getSettledCells()
+							),
+						}
+					: null,
+			};
+		} else {
+			result = runPlanner(getPlanner(this.plannerSettings.algorithm), {
+				grid,
+				start: from,
+				goal: to,
+				constraints: this.constraints,
+				flow: this.currentFlow,
+				options: {
+					random: this.random.planning,
+					debug: this.recordPlanDebug,
+				},
+			});
+		}
+
+		this.lastPlanStats = result.stats;
+		this.lastPlanDebug = result.debug;
+		return this.finishPath(grid, result.path, from, to);
+	}
+
+	/**
+	 * Turn a raw cell path into autopilot waypoints
+	 * @param {OccupancyGrid} grid - Map the path was planned on
+	 * @param {THREE.Vector3[]|null} path - Cell center waypoints
+	 * @param {THREE.Vector3} from - Exact start position
+	 * @param {THREE.Vector3} to - Exact destination
+	 * @returns {THREE.Vector3[]|null} Smoothed waypoints, or null if there is no path
+	 */
+	finishPath(grid, path, from, to) {
+		if (!path) return null;
+
+		// Replace the snapped end cells with the exact positions when they are free
+		const waypoints = path.slice();
+		const exactStart = from.clone().clamp(grid.min, grid.max);
+		const exactGoal = to.clone().clamp(grid.min, grid.max);
+		if (this.isSameCell(grid, exactStart, waypoints[0])) {
+			waypoints[0] = exactStart;
+		}
+		if (this.isSameCell(grid, exactGoal, waypoints[waypoints.length - 1])) {
+			waypoints[waypoints.length - 1] = exactGoal;
+		}
+
+		return smoothPath(grid, waypoints);
+	}
+
+	isSameCell(grid, a, b) {
+		const cellA = grid.worldToCell(a);
+		const cellB = grid.worldToCell(b);
+		return (
+			cellA.x === cellB.x && cellA.y === cellB.y && cellA.z === cellB.z
+		);
+	}
+
+	/**
+	 * Engage the autopilot to drive the AUV to a destination
+	 * @param {THREE.Vector3} target - Destination in world space
+	 * @param {Object} options - Transit throttle (0-1)
+	 * @returns {boolean} True if a path was found and the autopilot engaged
+	 */
+	goTo(target, options = {}) {
+		if (!this.auv) return false;
+
+		const destination = new THREE.Vector3(target.x, target.y, target.z);
+		this.stopStationKeeping();
+		this.releaseHolds();
+		this.autopilot.target = destination;
+		this.autopilot.replans = 0;
+		this.autopilot.throttle = options.throttle ?? 1;
+
+		const path = this.planPath(this.auv.position, destination);
+		if (!path) {
+			this.autopilot.active = false;
+			this.autopilot.status = "blocked";
+			return false;
+		}
+
+		this.followPath(path);
+		return true;
+	}
+
+	followPath(path) {
+		this.autopilot.active = true;
+		this.autopilot.status = "navigating";
+		this.autopilot.path = path;
+		this.autopilot.waypointIndex = 0;
+		this.autopilot.bestDistance = Infinity;
+		this.autopilot.lastProgressTime = this.now();
+	}
+
+	cancelAutopilot() {
+		this.autopilot.active = false;
+		this.autopilot.status = "idle";
+		this.autopilot.path = [];
+		this.autopilot.waypointIndex = 0;
+		this.autopilot.turnRemaining = 0;
+		this.incrementalPlanner = null;
+	}
+
+	/**
+	 * Rotate the vehicle in place under autopilot control
+	 * @param {number} angle - Total angle to turn (radians, positive = left)
+	 */
+	turnInPlace(angle = Math.PI * 2) {
+		this.cancelAutopilot();
+		this.autopilot.active = true;
+		this.autopilot.status = "turning";
+		this.autopilot.turnRemaining = angle;
+	}
+
+	/**
+	 * Compute steering commands toward the current waypoint
+	 * Movement still goes through checkCollision() in updateAUVMovement()
+	 * @returns {{yaw: number, forward: number, strafe: number, vertical: number}} Normalized commands
+	 */
+	getAutopilotControl() {
+		const autopilot = this.autopilot;
+		const position = this.auv.position;
+		const idle = { yaw: 0, forward: 0, strafe: 0, vertical: 0 };
+		const dt = this.frameDuration / 1000;
+
+		// In-place turn (e.g. a sensor scan at a mission waypoint), counting
+		// the turn actually made and easing off toward the end
+		if (autopilot.turnRemaining > 0) {
+			autopilot.turnRemaining -=
+				Math.max(0, this.dynamics.velocity.yaw) * dt;
+			if (autopilot.turnRemaining <= autopilot.turnTolerance) {
+				autopilot.turnRemaining = 0;
+				autopilot.active = false;
+				autopilot.status = "arrived";
+				return idle;
+			}
+			return {
+				...idle,
+				yaw: THREE.MathUtils.clamp(
+					(autopilot.turnRemaining * autopilot.yawGain) /
+						this.rotationSpeed,
+					0,
+					1
+				),
+			};
+		}
+
+		// Advance past every waypoint already within the arrival radius
+		let waypoint = autopilot.path[autopilot.waypointIndex];
+		while (
+			waypoint &&
+			position.distanceTo(waypoint) <= autopilot.arrivalRadius
+		) {
+			autopilot.waypointIndex++;
+			autopilot.bestDistance = Infinity;
+			autopilot.lastProgressTime = this.now();
+			waypoint = autopilot.path[autopilot.waypointIndex];
+		}
+
+		if (!waypoint) {
+			autopilot.active = false;
+			autopilot.status = "arrived";
+			return idle;
+		}
+
+		// Replan when collisions or disturbances stall progress
+		const distance = position.distanceTo(waypoint);
+		const currentTime = this.now();
+		if (distance < autopilot.bestDistance - 0.05) {
+			autopilot.bestDistance = distance;
+			autopilot.lastProgressTime = currentTime;
+		} else if (
+			currentTime - autopilot.lastProgressTime >
+			autopilot.stallTimeout
+		) {
+			this.replanAutopilot();
+			return idle;
+		}
+
+		const toWaypoint = waypoint.clone().sub(position);
+		const horizontalDistance = Math.hypot(toWaypoint.x, toWaypoint.z);
+		const toAim = this.getTrackAim(
+			autopilot.path[autopilot.waypointIndex - 1],
+			waypoint
+		).sub(position);
+		const aimDistance = Math.hypot(toAim.x, toAim.z);
+
+		// Heading error toward the aim point (yaw 0 faces +Z)
+		let yawError = 0;
+		if (horizontalDistance > autopilot.arrivalRadius * 0.5) {
+			yawError = this.normalizeAngle(
+				Math.atan2(toAim.x, toAim.z) - this.auv.rotation.z
+			);
+		}
+
+		// Velocity over ground: toward the aim point once roughly facing it,
+		// braking for the turn onto the next leg and to a stop at the end,
+		// and held back on legs steeper than the glide until the ballast
+		// keeps up with the rest of the climb or dive
+		const slope = Math.abs(toAim.y) / Math.max(aimDistance, 1e-6);
+		const glideSlope =
+			Math.sin(this.dynamics.profile.maxPitch) * autopilot.climbFraction;
+		const hoverClimb =
+			this.dynamics.getHoverClimbRate() * autopilot.climbFraction;
+		const cruiseSpeed = Math.min(
+			this.speed,
+			this.getCornerSpeed(autopilot.waypointIndex) +
+				horizontalDistance * autopilot.approachGain,
+			slope > glideSlope ? hoverClimb / (slope - glideSlope) : Infinity
+		);
+		const groundVelocity = new THREE.Vector3();
+		if (Math.abs(yawError) < Math.PI / 4 && aimDistance > 0) {
+			groundVelocity
+				.set(toAim.x, 0, toAim.z)
+				.multiplyScalar(cruiseSpeed / aimDistance);
+		}
+		groundVelocity.y = THREE.MathUtils.clamp(
+			toAim.y * autopilot.depthGain,
+			-this.speed,
+			this.speed
+		);
+		groundVelocity.multiplyScalar(autopilot.throttle);
+
+		// Crab against the current so the vehicle holds its track instead of
+		// drifting sideways (while turning this holds position). Speed over
+		// ground follows the planner's cost model: faster riding the current,
+		// slower against it.
+		const drift = this.getCurrentDrift();
+		const demand = groundVelocity.length();
+		if (demand > 0 && drift.lengthSq() > 0) {
+			groundVelocity.multiplyScalar(
+				groundSpeed(
+					groundVelocity.clone().divideScalar(demand),
+					drift,
+					this.speed
+				) / this.speed
+			);
+		}
+		this.avoidMovingObstacles(groundVelocity);
+		const waterVelocity = groundVelocity.sub(drift);
+		const { forward: forwardAxis, right: rightAxis } = this.getLevelAxes();
+
+		return {
+			yaw: THREE.MathUtils.clamp(
+				(yawError * autopilot.yawGain) / this.rotationSpeed,
+				-1,
+				1
+			),
+			forward: THREE.MathUtils.clamp(
+				waterVelocity.dot(forwardAxis) / this.speed,
+				-1,
+				1
+			),
+			strafe: THREE.MathUtils.clamp(
+				waterVelocity.dot(rightAxis) / this.speed,
+				-1,
+				1
+			),
+			vertical: THREE.MathUtils.clamp(
+				waterVelocity.y / this.speed,
+				-1,
+				1
+			),
+		};
+	}
+
+	/**
+	 * Speed the vehicle can carry through a waypoint and still make the
+	 * turn onto the next leg without skidding wide
+	 * @param {number} index - Waypoint index in the autopilot path
+	 * @returns {number} Speed through the waypoint (0 at the end of the path)
+	 */
+	getCornerSpeed(index) {
+		const path = this.autopilot.path;
+		const waypoint = path[index];
+		const next = path[index + 1];
+		if (!next) return 0;
+
+		const from = path[index - 1] ?? this.auv.position;
+		const legIn = new THREE.Vector2(
+			waypoint.x - from.x,
+			waypoint.z - from.z
+		);
+		const legOut = new THREE.Vector2(
+			next.x - waypoint.x,
+			next.z - waypoint.z
+		);
+		if (legIn.lengthSq() === 0 || legOut.lengthSq() === 0)
+			return this.speed;
+
+		const turn = Math.acos(
+			THREE.MathUtils.clamp(
+				legIn.normalize().dot(legOut.normalize()),
+				-1,
+				1
+			)
+		);
+		return (
+			this.speed * Math.max(this.autopilot.cornerSpeed, Math.cos(turn))
+		);
+	}
+
+	/**
+	 * Local avoidance of moving obstacles (sampled velocity obstacles)
+	 * Predicts each nearby obstacle along its estimated velocity and scores
+	 * candidate velocities by their deviation from the tracker's velocity,
+	 * their loss of speed, and a penalty that grows as the predicted time to
+	 * collision shrinks.
+	 * The global path is untouched; the tracker steers back onto it once
+	 * the obstacle has passed.
+	 * @param {THREE.Vector3} velocity - Preferred velocity over ground (world units per second); replaced by the chosen velocity
+	 */
+	avoidMovingObstacles(velocity) {
+		const avoidance = this.localAvoidance;
+		avoidance.active = false;
+		if (!avoidance.enabled) return;
+
+		const position = this.auv.position;
+		const nearby = this.dynamicObstacles.filter(
+			(obstacle) =>
+				obstacle.position.distanceTo(position) <=
+				avoidance.range + obstacle.userData.radius
+		);
+		if (nearby.length === 0) return;
+
+		const candidates = this.getAvoidanceCandidates(velocity);
+		const grid = this.getNavigationGrid();
+		const probe = new THREE.Vector3();
+		let best = null;
+		let bestCost = Infinity;
+
+		candidates.forEach((candidate, i) => {
+			// Deviations must not run into static obstacles either
+			if (i > 0) {
+				probe
+					.copy(candidate)
+					.multiplyScalar(avoidance.horizon * 0.5)
+					.add(position);
+				if (!grid.hasLineOfSight(position, probe)) return;
+			}
+
+			let soonest = Infinity;
+			nearby.forEach((obstacle) => {
+				soonest = Math.min(
+					soonest,
+					this.getTimeToCollision(candidate, obstacle)
+				);
+			});
+
+			const deviation = candidate.distanceTo(velocity) / this.speed;
+			const slowdown =
+				avoidance.speedWeight * (1 - candidate.length() / this.speed);
+			const conflict =
+				soonest <= avoidance.horizon
+					? avoidance.conflictWeight / Math.max(soonest, 0.05)
+					: 0;
+			const cost = deviation + slowdown + conflict;
+			if (cost < bestCost) {
+				bestCost = cost;
+				best = candidate;
+			}
+		});
+
+		if (best && best !== candidates[0]) {
+			velocity.copy(best);
+			avoidance.active = true;
+		}
+	}
+
+	/**
+	 * Candidate velocities for local avoidance
+	 * The preferred velocity comes first, then full and half speed headings
+	 * fanned out around it with climbing and diving variants, then stopping.
+	 * @param {THREE.Vector3} preferred - Preferred velocity (world units per second)
+	 * @returns {THREE.Vector3[]} Candidate velocities (world units per second)
+	 */
+	getAvoidanceCandidates(preferred) {
+		const candidates = [preferred.clone()];
+
+		// Fan out around the preferred heading, or the vehicle heading when holding
+		const heading =
+			Math.hypot(preferred.x, preferred.z) > 1e-6
+				? Math.atan2(preferred.x, preferred.z)
+				: this.auv.rotation.z;
+		const offsets = [0, 30, -30, 60, -60, 90, -90, 135, -135, 180];
+		const climbs = [0, 0.7, -0.7];
+
+		[1, 0.5].forEach((fraction) => {
+			offsets.forEach((offset) => {
+				const angle = heading + THREE.MathUtils.degToRad(offset);
+				climbs.forEach((climb) => {
+					const horizontal =
+						this.speed * fraction * Math.sqrt(1 - climb * climb);
+					candidates.push(
+						new THREE.Vector3(
+							Math.sin(angle) * horizontal,
+							this.speed * fraction * climb,
+							Math.cos(angle) * horizontal
+						)
+					);
+				});
+			});
+		});
+		candidates.push(new THREE.Vector3());
+
+		return candidates;
+	}
+
+	/**
+	 * Time until the vehicle and an obstacle come within collision range
+	 * Both keep their current velocities; the obstacle's is the estimate
+	 * from updateDynamicObstacles().
+	 * @param {THREE.Vector3} velocity - Vehicle velocity (world units per second)
+	 * @param {THREE.Object3D} obstacle - Moving obstacle
+	 * @returns {number} Seconds to collision (0 if already too close and closing, Infinity if none)
+	 */
+	getTimeToCollision(velocity, obstacle) {
+		const avoidance = this.localAvoidance;
+		const range =
+			avoidance.vehicleRadius +
+			obstacle.userData.radius +
+			avoidance.margin;
+
+		// Relative position and velocity (world units per second)
+		const offset = obstacle.position.clone().sub(this.auv.position);
+		const closing = velocity.clone().sub(obstacle.userData.velocity);
+
+		const approach = offset.dot(closing);
+		const gap = offset.lengthSq() - range * range;
+		if (gap <= 0) return approach > 0 ? 0 : Infinity;
+		if (approach <= 0) return Infinity;
+
+		const speedSquared = closing.lengthSq();
+		const discriminant = approach * approach - speedSquared * gap;
+		if (discriminant < 0) return Infinity;
+		return (approach - Math.sqrt(discriminant)) / speedSquared;
+	}
+
+	/**
+	 * Point on the planned track line a lookahead distance past the vehicle
+	 * Steering for it pulls drift back onto the line between waypoints,
+	 * which the planner has checked to be clear, rather than cutting
+	 * straight to the waypoint from wherever the vehicle was pushed.
+	 * @param {THREE.Vector3|undefined} legStart - Previous waypoint (undefined on the first leg)
+	 * @param {THREE.Vector3} waypoint - Waypoint being approached
+	 * @returns {THREE.Vector3} Aim point
+	 */
+	getTrackAim(legStart, waypoint) {
+		if (!legStart) return waypoint.clone();
+
+		const leg = waypoint.clone().sub(legStart);
+		const length = leg.length();
+		if (length === 0) return waypoint.clone();
+
+		const along = this.auv.position.clone().sub(legStart).dot(leg) / length;
+		const t = THREE.MathUtils.clamp(
+			(along + this.autopilot.lookahead) / length,
+			0,
+			1
+		);
+		return legStart.clone().addScaledVector(leg, t);
+	}
+
+	replanAutopilot() {
+		const autopilot = this.autopilot;
+		autopilot.replans++;
+
+		const path =
+			autopilot.replans <= autopilot.maxReplans
+				? this.planPath(this.auv.position, autopilot.target)
+				: null;
+
+		if (!path) {
+			autopilot.active = false;
+			autopilot.status = "blocked";
+			return false;
+		}
+
+		this.followPath(path);
+		return true;
+	}
+
+	normalizeAngle(angle) {
+		return Math.atan2(Math.sin(angle), Math.cos(angle));
+	}
+
+	getAutopilotStatus() {
+		return {
+			active: this.autopilot.active,
+			status: this.autopilot.status,
+			target: this.autopilot.target,
+			waypointIndex: this.autopilot.waypointIndex,
+			waypointCount: this.autopilot.path.length,
+		};
+	}
+
+	// Closed-loop holds
+	/**
+	 * Create the state of one closed-loop hold
+	 * @param {{kp: number, ki: number, kd: number}} gains - Initial PID gains
+	 * @returns {Object} Disengaged hold
+	 */
+	createHold(gains) {
+		return {
+			enabled: false,
+			target: 0,
+			source: null, // 'operator' or 'mission'
+			measured: 0, // Latest measurement in display units
+			error: 0, // Latest error in display units
+			history: [], // Recent errors for the HUD plot
+			previous: null, // Last measurement, for the derivative
+			pid: new PIDController(gains),
+		};
+	}
+
+	/**
+	 * Estimate velocity over ground from the last frame's displacement
+	 * Includes drift from currents and turbulence, which the holds reject
+	 */
+	updateGroundVelocity() {
+		if (!this.auv) return;
+
+		const measurement = this.groundVelocity;
+		if (measurement.lastPosition) {
+			const sample = this.auv.position
+				.clone()
+				.sub(measurement.lastPosition)
+				.divideScalar(this.frameDuration / 1000);
+			measurement.velocity.lerp(sample, measurement.smoothing);
+		} else {
+			measurement.lastPosition = new THREE.Vector3();
+		}
+		measurement.lastPosition.copy(this.auv.position);
+	}
+
+	/**
+	 * Engage or retarget a heading, depth or speed hold
+	 * Operator holds take over from any autonomous task; mission holds run
+	 * inside the mission and are released when it moves on.
+	 * @param {string} axis - 'heading', 'depth' or 'speed'
+	 * @param {number|null} target - Heading in degrees, depth in meters (positive down) or speed in m/s; null holds the current value
+	 * @param {string} source - 'operator' or 'mission'
+	 * @returns {boolean} True if the hold is engaged
+	 */
+	setHold(axis, target = null, source = "operator") {
+		const hold = this.holds[axis];
+		if (!hold || !this.auv) return false;
+
+		const value = Number(target ?? this.measureHoldAxis(axis));
+		if (!Number.isFinite(value)) return false;
+
+		if (source === "operator") this.stopAutonomy();
+
+		if (!hold.enabled) {
+			hold.pid.reset();
+			hold.history = [];
+			hold.previous = null;
+		}
+		hold.enabled = true;
+		hold.source = source;
+
+		switch (axis) {
+			case "heading":
+				hold.target = ((value % 360) + 360) % 360;
+				break;
+			case "depth":
+				hold.target = THREE.MathUtils.clamp(
+					value,
+					0,
+					-this.constraints.floorY
+				);
+				break;
+			case "speed":
+				hold.target = THREE.MathUtils.clamp(value, 0, this.speed);
+				break;
+		}
+		return true;
+	}
+
+	/**
+	 * Current value of the quantity a hold controls
+	 * @param {string} axis - 'heading', 'depth' or 'speed'
+	 * @returns {number} Heading in degrees, depth in meters or speed over ground in m/s
+	 */
+	measureHoldAxis(axis) {
+		const yaw = this.auv.rotation.z;
+		const velocity = this.groundVelocity.velocity;
+
+		switch (axis) {
+			case "heading":
+				return (THREE.MathUtils.radToDeg(yaw) + 360) % 360;
+			case "depth":
+				return -this.auv.position.y;
+			case "speed":
+				return velocity.x * Math.sin(yaw) + velocity.z * Math.cos(yaw);
+		}
+	}
+
+	releaseHold(axis) {
+		const hold = this.holds[axis];
+		if (!hold) return;
+
+		hold.enabled = false;
+		hold.source = null;
+		hold.pid.reset();
+	}
+
+	/**
+	 * Release every engaged hold
+	 * @param {string|null} source - Only release holds set by this source
+	 */
+	releaseHolds(source = null) {
+		Object.keys(this.holds).forEach((axis) => {
+			if (!source || this.holds[axis].source === source) {
+				this.releaseHold(axis);
+			}
+		});
+	}
+
+	isHoldEngaged() {
+		return Object.values(this.holds).some((hold) => hold.enabled);
+	}
+
+	/**
+	 * Tune the PID gains of a hold
+	 * @param {string} axis - 'heading', 'depth' or 'speed'
+	 * @param {{kp: number, ki: number, kd: number}} gains - Gains to change
+	 * @returns {boolean} True if the hold exists
+	 */
+	setHoldGains(axis, gains) {
+		const hold = this.holds[axis];
+		if (!hold) return false;
+
+		hold.pid.setGains(gains);
+		return true;
+	}
+
+	/**
+	 * Run the engaged holds and merge them with operator input
+	 * Operator input on an axis releases the hold on that axis, the same
+	 * way it disengages the autopilot; the other axes keep holding.
+	 * @param {Object} manual - Operator commands for this frame
+	 * @returns {{yaw: number, forward: number, strafe: number, vertical: number}} Normalized commands
+	 */
+	getHoldControl(manual) {
+		const { heading, depth, speed } = this.holds;
+		const control = {
+			...manual,
+			// Held axes become velocity demands
+			thrustAxes: (manual.thrustAxes ?? []).filter(
+				(axis) =>
+					!(
+						(axis === "yaw" && heading.enabled) ||
+						(axis === "vertical" && depth.enabled) ||
+						(axis === "forward" && speed.enabled)
+					)
+			),
+		};
+		const dt = this.frameDuration / 1000;
+		const yaw = this.auv.rotation.z;
+
+		if (heading.enabled && manual.yaw !== 0) this.releaseHold("heading");
+		if (heading.enabled) {
+			const error = this.normalizeAngle(
+				THREE.MathUtils.degToRad(heading.target) - yaw
+			);
+			const rate =
+				heading.previous === null
+					? 0
+					: this.normalizeAngle(yaw - heading.previous) / dt;
+			heading.previous = yaw;
+
+			control.yaw = heading.pid.update(error, dt, { rate });
+			this.recordHoldError(
+				heading,
+				this.measureHoldAxis("heading"),
+				THREE.MathUtils.radToDeg(error)
+			);
+		}
+
+		if (depth.enabled && manual.vertical !== 0) this.releaseHold("depth");
+		if (depth.enabled) {
+			const measured = this.measureHoldAxis("depth");
+			const error = depth.target - measured;
+
+			// Positive output drives deeper, which is down in world space
+			control.vertical = -depth.pid.update(error, dt, {
+				rate: -this.groundVelocity.velocity.y,
+			});
+			this.recordHoldError(depth, measured, error);
+		}
+
+		if (speed.enabled && manual.forward !== 0) this.releaseHold("speed");
+		if (speed.enabled) {
+			const maxSpeed = this.speed;
+			const measured = this.measureHoldAxis("speed");
+			const error = speed.target - measured;
+
+			// Throttle for the target in still water, corrected by the loop
+			control.forward = speed.pid.update(error, dt, {
+				feedforward: speed.target / maxSpeed,
+			});
+			this.recordHoldError(speed, measured, error);
+		}
+
+		return control;
+	}
+
+	recordHoldError(hold, measured, error) {
+		hold.measured = measured;
+		hold.error = error;
+		hold.history.push(error);
+		if (hold.history.length > this.holdHistoryLength) {
+			hold.history.shift();
+		}
+	}
+
+	/**
+	 * Hold targets, errors and gains for the HUD
+	 * @returns {Object} Status per hold axis, with recent errors in display units
+	 */
+	getHoldStatus() {
+		const status = {};
+		Object.entries(this.holds).forEach(([axis, hold]) => {
+			status[axis] = {
+				enabled: hold.enabled,
+				source: hold.source,
+				target: hold.target,
+				measured: hold.measured,
+				error: hold.error,
+				history: hold.history.slice(),
+				gains: hold.pid.getGains(),
+			};
+		});
+		return status;
+	}
+
+	// Station keeping
+	/**
+	 * Lock the current position and heading and hold them against currents
+	 * and turbulence. Heading and depth run on the closed-loop holds; the
+	 * horizontal position has its own PID pair with current feedforward.
+	 * @returns {boolean} True if station keeping started
+	 */
+	startStationKeeping() {
+		if (!this.auv || this.battery.level <= 0) return false;
+
+		const station = this.stationKeeping;
+		this.cancelAutopilot();
+		this.releaseHold("speed");
+
+		station.active = true;
+		station.status = "settling";
+		station.position.copy(this.auv.position);
+		station.heading = this.measureHoldAxis("heading");
+		station.depth = this.measureHoldAxis("depth");
+		station.error = 0;
+		station.depthError = 0;
+		station.headingError = 0;
+		station.withinSince = null;
+		station.rescue = null;
+		station.pid.x.reset();
+		station.pid.z.reset();
+
+		this.setHold("heading", station.heading, "station");
+		this.setHold("depth", station.depth, "station");
+		return true;
+	}
+
+	/**
+	 * Leave station keeping
+	 * @param {string} status - Final status ('idle', 'cancelled' or 'failed')
+	 */
+	stopStationKeeping(status = "idle") {
+		const station = this.stationKeeping;
+		if (!station.active) return;
+
+		station.active = false;
+		station.status = status;
+		station.rescue = null;
+		this.releaseHolds("station");
+	}
+
+	/**
+	 * Commands that drive the vehicle back onto its locked station
+	 * @returns {{yaw: number, forward: number, strafe: number, vertical: number}} Normalized commands
+	 */
+	getStationKeepingControl() {
+		const station = this.stationKeeping;
+		const dt = this.frameDuration / 1000;
+		const position = this.auv.position;
+		const velocity = this.groundVelocity.velocity;
+		const drift = this.getCurrentDrift();
+
+		const control = this.getHoldControl({
+			yaw: 0,
+			forward: 0,
+			strafe: 0,
+			vertical: 0,
+		});
+
+		// World-frame thrust toward the station, cancelling the known current
+		const thrust = new THREE.Vector3(
+			station.pid.x.update(station.position.x - position.x, dt, {
+				rate: velocity.x,
+				feedforward: -drift.x / this.speed,
+			}),
+			0,
+			station.pid.z.update(station.position.z - position.z, dt, {
+				rate: velocity.z,
+				feedforward: -drift.z / this.speed,
+			})
+		);
+		const { forward: forwardAxis, right: rightAxis } = this.getLevelAxes();
+
+		control.forward = THREE.MathUtils.clamp(thrust.dot(forwardAxis), -1, 1);
+		control.strafe = THREE.MathUtils.clamp(thrust.dot(rightAxis), -1, 1);
+		return control;
+	}
+
+	/**
+	 * Track the holding error, and send a pending rescue once the vehicle
+	 * has stayed within tolerance for the settle time
+	 */
+	updateStationKeeping() {
+		const station = this.stationKeeping;
+		if (!station.active || !this.auv) return;
+
+		const now = this.now();
+		const position = this.auv.position;
+		station.error = Math.hypot(
+			position.x - station.position.x,
+			position.z - station.position.z
+		);
+		station.depthError = this.measureHoldAxis("depth") - station.depth;
+		station.headingError = THREE.MathUtils.radToDeg(
+			this.normalizeAngle(
+				THREE.MathUtils.degToRad(
+					this.measureHoldAxis("heading") - station.heading
+				)
+			)
+		);
+
+		const within =
+			station.error <= station.positionTolerance &&
+			Math.abs(station.depthError) <= station.depthTolerance &&
+			Math.abs(station.headingError) <= station.headingTolerance;
+		if (!within) {
+			station.withinSince = null;
+		} else if (station.withinSince === null) {
+			station.withinSince = now;
+		}
+		station.status = this.isStationStable() ? "stable" : "settling";
+
+		const rescue = station.rescue;
+		if (!rescue) return;
+
+		if (station.status === "stable") {
+			station.rescue = null;
+			this.rescueSurvivor(rescue.target);
+			this.stopStationKeeping();
+		} else if (now - rescue.requestedAt >= station.rescueTimeout) {
+			this.rescueMessages.push({
+				text: "Station unstable - rescue not sent",
+				timestamp: now,
+				duration: 3000,
+			});
+			this.stopStationKeeping("failed");
+		}
+	}
+
+	/**
+	 * Whether the vehicle has held its station within tolerance for the settle time
+	 * @returns {boolean} True if a survivor location can be confirmed
+	 */
+	isStationStable() {
+		const station = this.stationKeeping;
+		return (
+			station.active &&
+			station.withinSince !== null &&
+			this.now() - station.withinSince >= station.settleTime
+		);
+	}
+
+	/**
+	 * Hold station and rescue a survivor as soon as the vehicle is stable
+	 * @param {THREE.Object3D|null} target - Survivor to rescue (the first located survivor if omitted)
+	 * @returns {boolean} True if the rescue was sent or is waiting for the station to settle
+	 */
+	requestRescue(target = null) {
+		const located = this.foundSurvivors.some(
+			(survivor) =>
+				!survivor.rescued && (!target || survivor.object === target)
+		);
+		if (!located) return false;
+
+		if (this.isStationStable()) return this.rescueSurvivor(target);
+		if (!this.stationKeeping.active && !this.startStationKeeping()) {
+			return false;
+		}
+
+		this.stationKeeping.rescue = { target, requestedAt: this.now() };
+		this.rescueMessages.push({
+			text: "Holding station to confirm survivor position",
+			timestamp: this.now(),
+			duration: 3000,
+		});
+		return true;
+	}
+
+	getStationKeepingStatus() {
+		const station = this.stationKeeping;
+		return {
+			active: station.active,
+			status: station.status,
+			error: station.error,
+			depthError: station.depthError,
+			headingError: station.headingError,
+			tolerance: station.positionTolerance,
+			rescuePending: station.rescue !== null,
+		};
+	}
+
+	// Docking and recovery
+	/**
+	 * Build the launch and recovery platform: a surface pontoon over an
+	 * open docking cradle. The cradle is entered along the dock axis and is
+	 * not a collision object; the final approach's lateral limits keep the
+	 * vehicle between the rails.
+	 */
+	createRecoveryPlatform() {
+		const dock = this.dock;
+		const platform = new THREE.Group();
+		const frameMaterial = new THREE.MeshLambertMaterial({
+			color: 0x00aaff,
+			transparent: true,
+			opacity: 0.85,
+		});
+
+		// Local +Z points along the dock axis, the latch point is the origin
+		const pontoon = new THREE.Mesh(
+			new THREE.BoxGeometry(5, 0.4, 8),
+			new THREE.MeshLambertMaterial({ color: 0x445566 })
+		);
+		pontoon.position.set(0, 0.3 - dock.position.y, -2);
+		platform.add(pontoon);
+
+		[-1.3, 1.3].forEach((x) => {
+			const rail = new THREE.Mesh(
+				new THREE.BoxGeometry(0.15, 0.15, 6),
+				frameMaterial
+			);
+			rail.position.set(x, -0.6, -2.5);
+			platform.add(rail);
+
+			const strut = new THREE.Mesh(
+				new THREE.CylinderGeometry(0.06, 0.06, 0.4 - dock.position.y),
+				frameMaterial
+			);
+			strut.position.set(x, (-0.4 - dock.position.y) / 2, -2.5);
+			platform.add(strut);
+
+			// Guide light on each side of the cradle mouth
+			const light = new THREE.Mesh(
+				new THREE.SphereGeometry(0.15, 8, 8),
+				new THREE.MeshBasicMaterial({ color: 0x00ff88 })
+			);
+			light.position.set(x, -0.6, -5.5);
+			platform.add(light);
+		});
+
+		const backstop = new THREE.Mesh(
+			new THREE.BoxGeometry(2.6, 1.2, 0.15),
+			frameMaterial
+		);
+		backstop.position.set(0, 0, 1.6);
+		platform.add(backstop);
+
+		platform.position.copy(dock.position);
+		platform.rotation.y = THREE.MathUtils.degToRad(dock.heading);
+		platform.userData = { type: "recovery_platform" };
+		this.scene.add(platform);
+		dock.object = platform;
+	}
+
+	/**
+	 * Forward and starboard directions of the current heading, kept level
+	 * so pitch and roll do not leak into horizontal commands
+	 * @returns {{forward: THREE.Vector3, right: THREE.Vector3}} Unit vectors in world space
+	 */
+	getLevelAxes() {
+		const yaw = this.auv.rotation.z;
+		return {
+			forward: new THREE.Vector3(Math.sin(yaw), 0, Math.cos(yaw)),
+			right: new THREE.Vector3(-Math.cos(yaw), 0, Math.sin(yaw)),
+		};
+	}
+
+	/**
+	 * Unit vector the vehicle travels along into the cradle
+	 * @returns {THREE.Vector3} Dock axis
+	 */
+	getDockAxis() {
+		const heading = THREE.MathUtils.degToRad(this.dock.heading);
+		return new THREE.Vector3(Math.sin(heading), 0, Math.cos(heading));
+	}
+
+	/**
+	 * Point on the dock axis where the final approach starts
+	 * @returns {THREE.Vector3} Approach point
+	 */
+	getDockApproachPoint() {
+		return this.dock.position
+			.clone()
+			.addScaledVector(
+				this.getDockAxis(),
+				-this.docking.approachDistance
+			);
+	}
+
+	/**
+	 * Abandon the current task and dock at the recovery platform
+	 * @returns {boolean} True if the approach started
+	 */
+	startDocking() {
+		this.stopAutonomy();
+		return this.beginDocking();
+	}
+
+	/**
+	 * Start docking without touching other tasks (used by mission recovery)
+	 * @returns {boolean} True if the approach started
+	 */
+	beginDocking() {
+		const docking = this.docking;
+		if (!this.auv || !this.dock.object || this.battery.level <= 0) {
+			return false;
+		}
+
+		docking.active = true;
+		docking.attempts = 0;
+		docking.abortReason = null;
+		return this.approachDock();
+	}
+
+	/**
+	 * Fly to the approach point for a new attempt
+	 * @returns {boolean} True if a route to the approach point was found
+	 */
+	approachDock() {
+		const docking = this.docking;
+		docking.attempts++;
+		docking.status = "transit";
+
+		if (!this.goTo(this.getDockApproachPoint())) {
+			this.abortDocking("NO ROUTE");
+			return false;
+		}
+		return true;
+	}
+
+	/**
+	 * Leave docking, releasing the cradle if docked
+	 * @param {string} status - Final status ('idle' or 'cancelled')
+	 */
+	stopDocking(status = "idle") {
+		const docking = this.docking;
+		if (!docking.active) return;
+
+		if (docking.status === "align") this.stopStationKeeping();
+		if (docking.status === "transit") this.cancelAutopilot();
+		docking.active = false;
+		docking.status = status;
+		this.releaseHolds("dock");
+	}
+
+	/**
+	 * Give up docking and tell the operator why
+	 * @param {string} reason - Abort reason shown on the HUD
+	 */
+	abortDocking(reason) {
+		this.stopDocking("aborted");
+		this.docking.abortReason = reason;
+		this.rescueMessages.push({
+			text: `Docking aborted: ${reason.toLowerCase()}`,
+			timestamp: this.now(),
+			duration: 4000,
+		});
+	}
+
+	/**
+	 * Back out to the approach point after a failed final approach
+	 * @param {string} reason - Limit that was exceeded
+	 */
+	retryDocking(reason) {
+		const docking = this.docking;
+		this.releaseHolds("dock");
+		docking.abortReason = reason;
+
+		if (docking.attempts >= docking.maxAttempts) {
+			this.abortDocking(reason);
+		} else {
+			this.approachDock();
+		}
+	}
+
+	/**
+	 * Position of the vehicle relative to the cradle
+	 * along: distance left to the latch point; lateral: offset to the right of the axis
+	 */
+	measureDockingError() {
+		const docking = this.docking;
+		const axis = this.getDockAxis();
+		const right = new THREE.Vector3(-axis.z, 0, axis.x);
+		const offset = this.auv.position.clone().sub(this.dock.position);
+
+		docking.along = -offset.dot(axis);
+		docking.lateral = offset.dot(right);
+		docking.depthError = -this.auv.position.y + this.dock.position.y;
+		docking.headingError = THREE.MathUtils.radToDeg(
+			this.normalizeAngle(
+				this.auv.rotation.z -
+					THREE.MathUtils.degToRad(this.dock.heading)
+			)
+		);
+	}
+
+	/**
+	 * Advance the docking sequence: transit to the approach point, line up
+	 * on the dock axis while holding station, then a slow final approach
+	 * that backs out and retries when it leaves the lateral, heading or
+	 * depth limits
+	 */
+	updateDocking() {
+		const docking = this.docking;
+		if (!docking.active || !this.auv) return;
+
+		this.measureDockingError();
+
+		switch (docking.status) {
+			case "transit":
+				if (this.autopilot.active) return;
+
+				if (this.autopilot.status === "arrived") {
+					// Hold station on the approach point and turn onto the dock axis
+					const station = this.stationKeeping;
+					this.startStationKeeping();
+					station.position.copy(this.getDockApproachPoint());
+					station.heading = this.dock.heading;
+					station.depth = -this.dock.position.y;
+					this.setHold("heading", station.heading, "station");
+					this.setHold("depth", station.depth, "station");
+					docking.status = "align";
+				} else if (this.autopilot.status === "blocked") {
+					this.abortDocking("NO ROUTE");
+				} else {
+					// Operator took manual control
+					this.stopDocking("cancelled");
+				}
+				break;
+
+			case "align":
+				if (!this.stationKeeping.active) {
+					this.stopDocking("cancelled");
+				} else if (
+					this.isStationStable() &&
+					Math.abs(docking.lateral) <= docking.alignOffset &&
+					Math.abs(docking.headingError) <= docking.alignTolerance
+				) {
+					this.stopStationKeeping();
+					this.setHold("heading", this.dock.heading, "dock");
+					this.setHold("depth", -this.dock.position.y, "dock");
+					this.setHold("speed", docking.finalSpeed, "dock");
+					docking.pid.reset();
+					docking.status = "final";
+				}
+				break;
+
+			case "final":
+				if (docking.along <= docking.latchDistance) {
+					this.releaseHolds("dock");
+					docking.status = "docked";
+					this.rescueMessages.push({
+						text: "Docked at recovery platform",
+						timestamp: this.now(),
+						duration: 3000,
+					});
+				} else if (Math.abs(docking.lateral) > docking.lateralLimit) {
+					this.retryDocking("LATERAL ERROR");
+				} else if (
+					Math.abs(docking.headingError) > docking.headingLimit
+				) {
+					this.retryDocking("HEADING ERROR");
+				} else if (Math.abs(docking.depthError) > docking.depthLimit) {
+					this.retryDocking("DEPTH ERROR");
+				}
+				break;
+
+			case "docked":
+				// Another task launched the vehicle out of the cradle
+				if (this.autopilot.active || this.stationKeeping.active) {
+					this.stopDocking();
+					break;
+				}
+
+				// Latched: the cradle holds the vehicle against currents
+				this.dynamics.reset();
+				this.auv.position.copy(this.dock.position);
+				this.auv.rotation.z = THREE.MathUtils.degToRad(
+					this.dock.heading
+				);
+				break;
+		}
+	}
+
+	/**
+	 * Final approach commands: heading, depth and speed holds along the
+	 * axis, with a cross-track loop steering sideways onto it
+	 * @returns {{yaw: number, forward: number, strafe: number, vertical: number}} Normalized commands
+	 */
+	getDockingControl() {
+		const docking = this.docking;
+		const dt = this.frameDuration / 1000;
+		const axis = this.getDockAxis();
+		const right = new THREE.Vector3(-axis.z, 0, axis.x);
+
+		const control = this.getHoldControl({
+			yaw: 0,
+			forward: 0,
+			strafe: 0,
+			vertical: 0,
+		});
+
+		// World-frame sideways thrust back onto the axis
+		const correction = docking.pid.update(-docking.lateral, dt, {
+			rate: this.groundVelocity.velocity.dot(right),
+			feedforward: -this.getCurrentDrift().dot(right) / this.speed,
+		});
+		const thrust = right.multiplyScalar(correction);
+		const { forward: forwardAxis, right: rightAxis } = this.getLevelAxes();
+
+		control.forward = THREE.MathUtils.clamp(
+			control.forward + thrust.dot(forwardAxis),
+			-1,
+			1
+		);
+		control.strafe = THREE.MathUtils.clamp(thrust.dot(rightAxis), -1, 1);
+		return control;
+	}
+
+	getDockingStatus() {
+		const docking = this.docking;
+		return {
+			active: docking.active,
+			status: docking.status,
+			attempts: docking.attempts,
+			maxAttempts: docking.maxAttempts,
+			along: docking.along,
+			lateral: docking.lateral,
+			lateralLimit: docking.lateralLimit,
+			abortReason: docking.abortReason,
+		};
+	}
+
+	// Autonomy executive
+	/**
+	 * Hand the vehicle to the behavior-tree executive, which searches,
+	 * investigates contacts, rescues survivors and returns home on its own
+	 * @param {Object} options - Search settings (see createAutonomyTree)
+	 * @returns {boolean} True if the executive started
+	 */
+	startExecutive(options = {}) {
+		if (!this.auv || this.battery.level <= 0) return false;
+
+		const executive = this.executive;
+		this.stopAutonomy();
+		this.releaseHolds();
+		if (this.coverageSearch.status === "paused") {
+			this.coverageSearch.status = "aborted";
+		}
+
+		executive.tree = createAutonomyTree(this, options);
+		executive.active = true;
+		executive.status = "running";
+		executive.lastTick = -Infinity;
+		return true;
+	}
+
+	/**
+	 * Halt the behavior tree and whatever task it was running
+	 * @param {string} status - Final status ('complete', 'stopped' or 'cancelled')
+	 */
+	stopExecutive(status = "stopped") {
+		const executive = this.executive;
+		if (!executive.active) return;
+
+		executive.active = false;
+		executive.status = status;
+		executive.ticking = true;
+		executive.tree.halt();
+		executive.ticking = false;
+		if (this.coverageSearch.status === "paused") {
+			this.coverageSearch.status = "aborted";
+		}
+	}
+
+	/**
+	 * Tick the behavior tree at its own rate
+	 * Operator input, or the operator starting a mission or exploration,
+	 * takes the vehicle back from the executive.
+	 */
+	updateExecutive() {
+		const executive = this.executive;
+		if (!executive.active || !this.auv) return;
+
+		if (
+			this.hasManualInput() ||
+			this.missionRun.active ||
+			this.exploration.active
+		) {
+			this.stopExecutive("cancelled");
+			return;
+		}
+
+		const now = this.now();
+		if (now - executive.lastTick < executive.tickInterval) return;
+		executive.lastTick = now;
+
+		executive.ticking = true;
+		const status = executive.tree.tick();
+		executive.ticking = false;
+
+		// Nothing left to do once the tree has brought the vehicle home
+		if (status === SUCCESS && this.battery.status === "home") {
+			this.stopExecutive("complete");
+		}
+	}
+
+	/**
+	 * Survivor beacons the sonar can hear but the vehicle has not yet
+	 * identified. Sonar interference from events shortens the range, and a
+	 * sonar malfunction or a brownout silences it.
+	 * @returns {THREE.Object3D[]} Unidentified survivors in contact
+	 */
+	getSonarContacts() {
+		if (!this.auv || this.isShed("sonar")) return [];
+
+		let range = this.sonarSystem.contactRange;
+		const event = this.randomEvents.active;
+		if (event) {
+			const effect = this.randomEvents.effects[event.type];
+			if (
+				event.type === "equipment_malfunction" &&
+				effect.systemAffected === "sonar"
+			) {
+				return [];
+			}
+			const interference =
+				effect.sonarInterference ?? effect.sonarNoise ?? 0;
+			range *= 1 - interference * event.intensity;
+		}
+
+		const grid = this.getNavigationGrid();
+		const position = this.auv.position;
+		return this.searchTargets.filter((target) => {
+			if (target.userData.found) return false;
+
+			const point = this.getRescuePoint(target);
+			return (
+				Math.hypot(point.x - position.x, point.z - position.z) <=
+					range && grid.hasLineOfSight(position, point)
+			);
+		});
+	}
+
+	/**
+	 * Executive state for the HUD
+	 * @returns {Object} Status, active node path and every node's last result
+	 */
+	getExecutiveStatus() {
+		const executive = this.executive;
+		const tree = executive.tree;
+		return {
+			active: executive.active,
+			status: executive.status,
+			emergency: tree ? tree.context.memory.emergency : null,
+			path: tree && executive.active ? tree.getActivePath() : [],
+			nodes: tree ? tree.getNodes() : [],
+		};
+	}
+
+	// User scripting
+	/**
+	 * Compile a controller script and let it drive the vehicle
+	 * The script runs in lock-step with the simulation: each step sends the
+	 * host a sensor snapshot, and the next step applies the commands that
+	 * answer it. Its commands replace the operator's keys until it is
+	 * stopped, raises an error, or the operator or an autonomous task takes over.
+	 * @param {string} source - Script defining onTick(sensors)
+	 * @returns {boolean} True unless the script already failed to compile
+	 */
+	startScript(source) {
+		const script = this.userScript;
+		this.stopScript();
+		if (!this.auv) return false;
+
+		this.stopAutonomy();
+		this.releaseHolds();
+		script.active = true;
+		script.status = "loading";
+		script.awaiting = true;
+		script.reply = null;
+		script.commands = { thrust: 0, yawRate: 0, verticalRate: 0 };
+		script.error = null;
+		script.startTime = this.now();
+		script.lastTickDuration = 0;
+		script.host.load(source);
+		return script.active;
+	}
+
+	/**
+	 * Stop the running script
+	 * @param {string} status - Final status ('stopped' or 'error')
+	 */
+	stopScript(status = "stopped") {
+		const script = this.userScript;
+		if (!script.active) return;
+
+		script.host.stop();
+		script.active = false;
+		script.status = status;
+		script.awaiting = false;
+		script.reply = null;
+		script.commands = { thrust: 0, yawRate: 0, verticalRate: 0 };
+	}
+
+	/**
+	 * Whether the next step must wait for the script's commands
+	 * @returns {boolean} True while the host has not answered
+	 */
+	isWaitingForScript() {
+		return this.userScript.active && this.userScript.awaiting;
+	}
+
+	// Script host callbacks
+	onScriptLoaded() {
+		const script = this.userScript;
+		if (!script.active) return;
+
+		script.status = "running";
+		this.requestScriptTick();
+	}
+
+	/**
+	 * Commands answering the latest sensor snapshot
+	 * @param {{thrust: number, yawRate: number, verticalRate: number}} commands - Validated script commands
+	 * @param {number} duration - Real time the host took to answer (milliseconds)
+	 */
+	onScriptCommands(commands, duration = 0) {
+		const script = this.userScript;
+		if (!script.active || !script.awaiting) return;
+
+		script.awaiting = false;
+		script.reply = commands;
+		script.lastTickDuration = duration;
+	}
+
+	/**
+	 * Stop the script after a compile error, runtime error or missed deadline
+	 * @param {{message: string, line: number|null}} error - Error for the editor
+	 */
+	onScriptError(error) {
+		const script = this.userScript;
+		if (!script.active) return;
+
+		script.error = error ?? { message: "Script stopped", line: null };
+		this.stopScript("error");
+	}
+
+	requestScriptTick() {
+		const script = this.userScript;
+		script.awaiting = true;
+		script.host.tick(this.getScriptSensors());
+	}
+
+	/**
+	 * Convert the script's latest commands to thruster controls
+	 * @returns {{yaw: number, forward: number, strafe: number, vertical: number}} Normalized commands
+	 */
+	getScriptControl() {
+		const script = this.userScript;
+		const commands = script.reply;
+		if (!commands) return { yaw: 0, forward: 0, strafe: 0, vertical: 0 };
+
+		const maxYawRate = THREE.MathUtils.radToDeg(this.rotationSpeed);
+		const maxVerticalRate = this.speed;
+		script.commands = {
+			thrust: THREE.MathUtils.clamp(commands.thrust, -1, 1),
+			yawRate: THREE.MathUtils.clamp(
+				commands.yawRate,
+				-maxYawRate,
+				maxYawRate
+			),
+			verticalRate: THREE.MathUtils.clamp(
+				commands.verticalRate,
+				-maxVerticalRate,
+				maxVerticalRate
+			),
+		};
+
+		return {
+			yaw: script.commands.yawRate / maxYawRate,
+			forward: script.commands.thrust,
+			strafe: 0,
+			vertical: script.commands.verticalRate / maxVerticalRate,
+			thrustAxes: ["forward"],
+		};
+	}
+
+	/**
+	 * Sensor snapshot handed to the script's onTick
+	 * Angles follow the heading hold: degrees increasing as the vehicle
+	 * turns left. Sonar bearings are relative to the bow, positive to port.
+	 * The compass carries any magnetic interference error.
+	 * @returns {Object} Frozen sensor readings
+	 */
+	getScriptSensors() {
+		const script = this.userScript;
+		const position = this.auv.position;
+		const yaw = this.auv.rotation.z;
+		const forward = new THREE.Vector3(Math.sin(yaw), 0, Math.cos(yaw));
+		const left = new THREE.Vector3(Math.cos(yaw), 0, -Math.sin(yaw));
+		const velocity = this.groundVelocity.velocity;
+		const now = this.now();
+
+		// Returns from the latest forward sonar sweep, relative to the current pose
+		const sonar = [];
+		this.sonarSystem.sonarData.forEach((data) => {
+			if (now - data.timestamp > this.sonarSweep.interval) return;
+
+			const offset = data.hitPoint.clone().sub(position);
+			sonar.push(
+				Object.freeze({
+					bearing: THREE.MathUtils.radToDeg(
+						Math.atan2(offset.dot(left), offset.dot(forward))
+					),
+					range: offset.length(),
+					type: data.type,
+					intensity: data.intensity,
+				})
+			);
+		});
+
+		const heading =
+			(((THREE.MathUtils.radToDeg(yaw) + this.compassErrorOffset) % 360) +
+				360) %
+			360;
+
+		return Object.freeze({
+			time: (now - script.startTime) / 1000,
+			dt: this.frameDuration / 1000,
+			depth: -position.y,
+			heading,
+			speed: velocity.dot(forward),
+			position: Object.freeze({ x: position.x, z: position.z }),
+			sonar: Object.freeze(sonar),
+			proximity: Object.freeze({
+				front: this.measureProximity(forward),
+				back: this.measureProximity(forward.clone().negate()),
+				left: this.measureProximity(left),
+				right: this.measureProximity(left.clone().negate()),
+				up: this.measureProximity(new THREE.Vector3(0, 1, 0)),
+				down: Math.min(
+					this.measureProximity(new THREE.Vector3(0, -1, 0)),
+					position.y - this.constraints.floorY
+				),
+			}),
+			battery: Object.freeze({
+				level: this.battery.level,
+				reserve: this.battery.reserve,
+				status: this.battery.status,
+			}),
+		});
+	}
+
+	/**
+	 * Distance to the nearest obstacle or moving object along a direction
+	 * @param {THREE.Vector3} direction - Unit direction in world space
+	 * @returns {number} Distance, or the sensor range if nothing is in reach
+	 */
+	measureProximity(direction) {
+		const range = this.userScript.proximityRange;
+		this.raycaster.set(this.auv.position, direction);
+		this.raycaster.far = range;
+		const hit = this.raycaster.intersectObjects(
+			[...this.collisionObjects, ...this.dynamicObstacles],
+			true
+		)[0];
+		this.raycaster.far = Infinity;
+		return hit ? hit.distance : range;
+	}
+
+	getScriptStatus() {
+		const script = this.userScript;
+		return {
+			active: script.active,
+			status: script.status,
+			commands: { ...script.commands },
+			error: script.error,
+			tickDuration: script.lastTickDuration,
+		};
+	}
+
+	// Autonomous coverage search
+	/**
+	 * Horizontal width of seabed swept by the survivor sensor
+	 * Shrinks as the vehicle rises away from the ground
+	 * @param {number} searchY - Vehicle height to evaluate the swath at
+	 * @returns {number} Swath width in world units (0 if out of range)
+	 */
+	getSensorSwath(searchY = this.auv ? this.auv.position.y : 0) {
+		const verticalOffset = Math.abs(searchY - this.targetGroundY);
+		if (verticalOffset >= this.detectionRadius) return 0;
+		return (
+			2 *
+			Math.sqrt(
+				this.detectionRadius * this.detectionRadius -
+					verticalOffset * verticalOffset
+			)
+		);
+	}
+
+	/**
+	 * Start an autonomous lawnmower search of an area
+	 * Track lines are spaced by the sensor swath at the search depth and
+	 * each leg is flown through the path planner to detour around obstacles.
+	 * @param {Object|Array} area - Rectangle bounds or polygon vertices (x/z)
+	 * @param {Object} options - Search depth, track spacing or swath overlap, and track angle
+	 * @returns {boolean} True if the search was started
+	 */
+	startCoverageSearch(area, options = {}) {
+		if (!this.auv) return false;
+
+		const depth = options.depth ?? this.constraints.floorY;
+		const spacing = this.getTrackSpacing(depth, options);
+		if (spacing <= 0) return false;
+
+		const polygon = clampPolygon(
+			toPolygon(area),
+			this.constraints.boundary
+		);
+		const waypoints = this.toSearchWaypoints(
+			generateLawnmowerPattern(polygon, spacing, {
+				angle: options.angle,
+			}),
+			depth
+		);
+		if (waypoints.length === 0) return false;
+
+		// Begin from whichever end of the pattern is closer
+		if (
+			this.auv.position.distanceTo(waypoints[waypoints.length - 1]) <
+			this.auv.position.distanceTo(waypoints[0])
+		) {
+			waypoints.reverse();
+		}
+
+		this.beginSearchRoute("lawnmower", waypoints, polygon, spacing);
+		return true;
+	}
+
+	/**
+	 * Start an IAMSAR search pattern around a datum
+	 * @param {string} pattern - 'expanding_square', 'sector' or 'creeping_line'
+	 * @param {THREE.Vector3} datum - Datum point, e.g. the last known survivor position
+	 * @param {Object} options - Search depth, track spacing, first leg bearing, radius, length and width
+	 * @returns {boolean} True if the search was started
+	 */
+	startPatternSearch(pattern, datum, options = {}) {
+		if (!this.auv) return false;
+
+		const depth = options.depth ?? this.constraints.floorY;
+		const spacing = this.getTrackSpacing(depth, options);
+		if (spacing <= 0) return false;
+
+		let points;
+		switch (pattern) {
+			case "expanding_square":
+				points = generateExpandingSquare(datum, spacing, options);
+				break;
+			case "sector":
+				// Sector legs are the search radius; spacing sets the default size
+				points = generateSectorSearch(
+					datum,
+					options.radius ?? spacing * 4,
+					options
+				);
+				break;
+			case "creeping_line":
+				points = generateCreepingLine(datum, spacing, options);
+				break;
+			default:
+				return false;
+		}
+
+		const waypoints = this.toSearchWaypoints(points, depth);
+		if (waypoints.length === 0) return false;
+
+		// Coverage is measured over the rectangle enclosing the pattern
+		const margin = spacing / 2;
+		const polygon = clampPolygon(
+			toPolygon({
+				minX: Math.min(...waypoints.map((point) => point.x)) - margin,
+				maxX: Math.max(...waypoints.map((point) => point.x)) + margin,
+				minZ: Math.min(...waypoints.map((point) => point.z)) - margin,
+				maxZ: Math.max(...waypoints.map((point) => point.z)) + margin,
+			}),
+			this.constraints.boundary
+		);
+
+		this.beginSearchRoute(pattern, waypoints, polygon, spacing);
+		return true;
+	}
+
+	/**
+	 * Distance between adjacent search tracks
+	 * Uses an explicit spacing when given, otherwise the sensor swath minus overlap
+	 */
+	getTrackSpacing(depth, options = {}) {
+		if (options.spacing > 0) return options.spacing;
+
+		const overlap = options.overlap ?? 0.1;
+		return this.getSensorSwath(depth) * (1 - overlap);
+	}
+
+	/**
+	 * Convert 2D pattern points into reachable search waypoints
+	 * Points are clamped to the operational constraints and moved out of
+	 * obstacles (such as submerged buildings) onto the nearest free cell.
+	 * @param {{x: number, z: number}[]} points - Pattern points
+	 * @param {number} depth - Search height
+	 * @returns {THREE.Vector3[]} Waypoints in world space
+	 */
+	toSearchWaypoints(points, depth) {
+		const grid = this.getNavigationGrid();
+		const boundary = this.constraints.boundary;
+		const y = THREE.MathUtils.clamp(
+			depth,
+			Math.max(this.constraints.minY, this.constraints.floorY),
+			this.constraints.maxY
+		);
+
+		return points
+			.map((point) => {
+				const waypoint = new THREE.Vector3(
+					THREE.MathUtils.clamp(point.x, -boundary, boundary),
+					y,
+					THREE.MathUtils.clamp(point.z, -boundary, boundary)
+				);
+
+				const cell = grid.worldToCell(waypoint);
+				if (!grid.isBlocked(cell.x, cell.y, cell.z)) return waypoint;
+
+				const free = grid.nearestFreeCell(cell);
+				return free ? grid.cellToWorld(free.x, free.y, free.z) : null;
+			})
+			.filter((waypoint) => waypoint !== null);
+	}
+
+	beginSearchRoute(pattern, waypoints, polygon, spacing) {
+		this.stopMission();
+		this.stopExploration();
+
+		const search = this.coverageSearch;
+		search.active = true;
+		search.status = "searching";
+		search.pattern = pattern;
+		search.waypoints = waypoints;
+		search.waypointIndex = 0;
+		search.map = new CoverageMap(polygon, Math.max(1, spacing / 4));
+		search.spacing = spacing;
+		search.startTime = this.now();
+		search.distanceTravelled = 0;
+		search.lastPosition.copy(this.auv.position);
+
+		this.goTo(waypoints[0]);
+	}
+
+	/**
+	 * Datum for IAMSAR patterns
+	 * @returns {THREE.Vector3} Last known survivor position, or the vehicle position if none
+	 */
+	getSearchDatum() {
+		if (this.lastSurvivorDatum) return this.lastSurvivorDatum.clone();
+		return this.auv ? this.auv.position.clone() : new THREE.Vector3();
+	}
+
+	stopCoverageSearch(status = "aborted") {
+		const search = this.coverageSearch;
+		if (!search.active) return;
+
+		search.active = false;
+		search.status = status;
+		this.cancelAutopilot();
+	}
+
+	/**
+	 * Suspend the search, keeping its track and swept area for a resume
+	 * Only cancels the autopilot if it is still flying a search leg.
+	 */
+	pauseCoverageSearch() {
+		const search = this.coverageSearch;
+		if (!search.active) return;
+
+		const target = search.waypoints[search.waypointIndex];
+		search.active = false;
+		search.status = "paused";
+		if (
+			this.autopilot.active &&
+			this.autopilot.target &&
+			this.autopilot.target.equals(target)
+		) {
+			this.cancelAutopilot();
+		}
+	}
+
+	/**
+	 * Continue a paused search from the track point it was flying to
+	 * @returns {boolean} True if the search was resumed
+	 */
+	resumeCoverageSearch() {
+		const search = this.coverageSearch;
+		if (search.status !== "paused" || !this.auv) return false;
+
+		search.active = true;
+		search.status = "searching";
+		search.lastPosition.copy(this.auv.position);
+		this.goTo(search.waypoints[search.waypointIndex]);
+		return true;
+	}
+
+	updateCoverageSearch() {
+		const search = this.coverageSearch;
+		if (!search.active || !this.auv) return;
+
+		// Record the area swept by the sensor footprint
+		const position = this.auv.position;
+		const swath = this.getSensorSwath(position.y);
+		if (swath > 0) {
+			search.map.markCircle(position.x, position.z, swath / 2);
+		}
+		search.distanceTravelled += position.distanceTo(search.lastPosition);
+		search.lastPosition.copy(position);
+
+		// Finish once every survivor is found or the area is covered
+		const progress = this.getSearchProgress();
+		if (
+			(progress.total > 0 && progress.found === progress.total) ||
+			search.map.getCoveredFraction() >= search.completionThreshold
+		) {
+			this.stopCoverageSearch("complete");
+			return;
+		}
+
+		if (this.autopilot.active) return;
+
+		switch (this.autopilot.status) {
+			case "arrived":
+			case "blocked":
+				// Move on to the next track point (skipping unreachable ones)
+				search.waypointIndex++;
+				if (search.waypointIndex >= search.waypoints.length) {
+					this.stopCoverageSearch("complete");
+				} else {
+					this.goTo(search.waypoints[search.waypointIndex]);
+				}
+				break;
+			default:
+				// Operator took manual control
+				this.stopCoverageSearch("aborted");
+				break;
+		}
+	}
+
+	getCoverageStatus() {
+		const search = this.coverageSearch;
+		const percent = search.map ? search.map.getCoveredFraction() * 100 : 0;
+
+		// Estimate remaining time from the unflown track length
+		let timeRemaining = 0;
+		if (search.active && this.auv) {
+			let remaining = 0;
+			let previous = this.auv.position;
+			for (
+				let i = search.waypointIndex;
+				i < search.waypoints.length;
+				i++
+			) {
+				remaining += previous.distanceTo(search.waypoints[i]);
+				previous = search.waypoints[i];
+			}
+
+			// Use the observed average speed, falling back to cruise speed
+			const elapsed = (this.now() - search.startTime) / 1000;
+			const averageSpeed =
+				elapsed > 5 && search.distanceTravelled > 0
+					? search.distanceTravelled / elapsed
+					: this.speed;
+			timeRemaining =
+				averageSpeed > 0 ? (remaining / averageSpeed) * 1000 : 0;
+		}
+
+		return {
+			active: search.active,
+			status: search.status,
+			pattern: search.pattern,
+			percent,
+			timeRemaining,
+			waypointIndex: search.waypointIndex,
+			waypointCount: search.waypoints.length,
+			spacing: search.spacing,
+		};
+	}
+
+	// Frontier-based exploration
+	/**
+	 * Explore the operational area by repeatedly driving to the nearest frontier
+	 * The map starts unknown and is charted by the forward sonar sweep
+	 * @param {Object} options - Exploration depth
+	 * @returns {boolean} True if exploration was started
+	 */
+	startExploration(options = {}) {
+		if (!this.auv) return false;
+
+		this.stopCoverageSearch();
+		this.stopMission();
+
+		const exploration = this.exploration;
+		exploration.active = true;
+		exploration.status = "exploring";
+		exploration.map = new ExplorationMap(
+			this.constraints.boundary,
+			this.plannerSettings.resolution
+		);
+		exploration.depth = THREE.MathUtils.clamp(
+			options.depth ?? -4,
+			Math.max(this.constraints.minY, this.constraints.floorY),
+			this.constraints.maxY
+		);
+		exploration.target = null;
+		exploration.unreachable = new Set();
+		exploration.startTime = this.now();
+		exploration.survivorsAtStart = this.foundSurvivors.length;
+		exploration.survivorTimes = [];
+
+		// Chart the water in front of the vehicle before choosing a frontier
+		this.sweepSonar(exploration.startTime);
+		this.exploreNextFrontier();
+		return true;
+	}
+
+	exploreNextFrontier() {
+		const exploration = this.exploration;
+		const map = exploration.map;
+		exploration.lastRetargetTime = this.now();
+
+		const cell = map.findNearestFrontier(
+			this.auv.position,
+			exploration.unreachable
+		);
+		if (!cell) {
+			// Frontiers left only among the unreachable targets mean part of
+			// the area stays uncharted
+			const blocked =
+				exploration.unreachable.size > 0 &&
+				map.findNearestFrontier(this.auv.position) !== null;
+			this.stopExploration(blocked ? "blocked" : "complete");
+			return;
+		}
+
+		// Unreachable targets leave the autopilot blocked; updateExploration skips them
+		exploration.target = cell;
+		const center = map.cellCenter(cell.x, cell.z);
+		this.goTo(new THREE.Vector3(center.x, exploration.depth, center.z));
+	}
+
+	stopExploration(status = "aborted") {
+		const exploration = this.exploration;
+		if (!exploration.active) return;
+
+		exploration.active = false;
+		exploration.status = status;
+		exploration.endTime = this.now();
+		this.cancelAutopilot();
+	}
+
+	updateExploration() {
+		const exploration = this.exploration;
+		if (!exploration.active || !this.auv) return;
+
+		// Record when survivors are found for strategy comparisons
+		const found = this.foundSurvivors.length - exploration.survivorsAtStart;
+		while (exploration.survivorTimes.length < found) {
+			exploration.survivorTimes.push(this.now() - exploration.startTime);
+		}
+
+		const map = exploration.map;
+		const target = exploration.target;
+
+		if (this.autopilot.active) {
+			// Move on once the sonar has already charted the current frontier
+			if (
+				this.now() - exploration.lastRetargetTime >
+					exploration.retargetInterval &&
+				!map.isFrontier(target.x, target.z)
+			) {
+				this.exploreNextFrontier();
+			}
+			return;
+		}
+
+		switch (this.autopilot.status) {
+			case "arrived":
+				// A frontier still unresolved on arrival cannot be charted from here
+				if (map.isFrontier(target.x, target.z)) {
+					exploration.unreachable.add(map.index(target.x, target.z));
+				}
+				this.exploreNextFrontier();
+				break;
+			case "blocked":
+				exploration.unreachable.add(map.index(target.x, target.z));
+				this.exploreNextFrontier();
+				break;
+			default:
+				// Operator took manual control
+				this.stopExploration("aborted");
+				break;
+		}
+	}
+
+	getExplorationStatus() {
+		const exploration = this.exploration;
+		const endTime = exploration.active ? this.now() : exploration.endTime;
+
+		return {
+			active: exploration.active,
+			status: exploration.status,
+			percent: exploration.map
+				? exploration.map.getExploredFraction() * 100
+				: 0,
+			elapsed: exploration.map ? endTime - exploration.startTime : 0,
+			survivorsFound: exploration.survivorTimes.length,
+			survivorTimes: exploration.survivorTimes.slice(),
+		};
+	}
+
+	// Scripted waypoint missions
+	/**
+	 * Start flying a mission through the path planner
+	 * @param {Mission} mission - Mission to execute (defaults to the planner mission)
+	 * @returns {boolean} True if the mission was started
+	 */
+	startMission(mission = this.mission) {
+		if (!this.auv || mission.waypoints.length === 0) return false;
+
+		this.stopCoverageSearch();
+		this.stopExploration();
+		this.rescueRoute.executing = false;
+
+		const run = this.missionRun;
+		run.active = true;
+		run.status = "running";
+		run.waypoints = mission.waypoints.map((waypoint) => ({ ...waypoint }));
+		run.recover = mission.recover;
+		run.index = -1;
+
+		this.emitMissionProgress("mission_started");
+		this.advanceMission();
+		return true;
+	}
+
+	stopMission(status = "aborted") {
+		const run = this.missionRun;
+		if (!run.active) return;
+
+		if (run.phase === "recovery" && status !== "complete") {
+			this.stopDocking("cancelled");
+		}
+		run.active = false;
+		run.status = status;
+		run.phase = null;
+		this.releaseHolds("mission");
+		if (status !== "complete") this.cancelAutopilot();
+
+		this.emitMissionProgress(`mission_${status}`);
+	}
+
+	advanceMission() {
+		const run = this.missionRun;
+		run.index++;
+
+		if (run.index >= run.waypoints.length) {
+			if (run.recover) {
+				// Finish at the launch and recovery platform
+				this.setMissionPhase("recovery");
+				this.emitMissionProgress("recovery_started");
+				this.beginDocking();
+			} else {
+				this.stopMission("complete");
+			}
+			return;
+		}
+
+		const waypoint = run.waypoints[run.index];
+		this.setMissionPhase("transit");
+		this.goTo(this.waypointToWorld(waypoint), {
+			throttle: waypoint.speed,
+		});
+	}
+
+	setMissionPhase(phase) {
+		this.missionRun.phase = phase;
+		this.missionRun.phaseStartTime = this.now();
+	}
+
+	updateMission() {
+		const run = this.missionRun;
+		if (!run.active || !this.auv) return;
+
+		const waypoint = run.waypoints[run.index];
+
+		switch (run.phase) {
+			case "transit":
+				if (this.autopilot.active) return;
+
+				if (this.autopilot.status === "arrived") {
+					this.emitMissionProgress("waypoint_reached");
+					this.setMissionPhase("loiter");
+					// Hold the waypoint depth and arrival heading while loitering
+					this.setHold("depth", waypoint.depth, "mission");
+					this.setHold("heading", null, "mission");
+				} else if (this.autopilot.status === "blocked") {
+					this.emitMissionProgress("waypoint_unreachable");
+					this.advanceMission();
+				} else {
+					// Operator took manual control
+					this.stopMission("aborted");
+				}
+				break;
+
+			case "loiter":
+				if (this.hasManualInput()) {
+					this.stopMission("aborted");
+				} else if (
+					this.now() - run.phaseStartTime >=
+					waypoint.loiterTime * 1000
+				) {
+					this.releaseHolds("mission");
+					this.setMissionPhase("action");
+					this.performWaypointAction(waypoint);
+				}
+				break;
+
+			case "action":
+				// Scans wait for the in-place turn to finish, rescues for the
+				// station to settle
+				if (this.autopilot.active || this.stationKeeping.rescue) return;
+
+				if (
+					(waypoint.action === "scan" &&
+						this.autopilot.status !== "arrived") ||
+					(waypoint.action === "rescue" &&
+						this.stationKeeping.status === "cancelled")
+				) {
+					this.stopMission("aborted");
+					return;
+				}
+
+				this.emitMissionProgress("waypoint_complete");
+				this.advanceMission();
+				break;
+
+			case "recovery":
+				if (this.docking.status === "docked") {
+					this.emitMissionProgress("recovered");
+					this.stopMission("complete");
+				} else if (this.docking.status === "aborted") {
+					this.emitMissionProgress("recovery_aborted");
+					this.stopMission("aborted");
+				} else if (!this.docking.active) {
+					// Operator took manual control, or docking could not start
+					this.stopMission("aborted");
+				}
+				break;
+		}
+	}
+
+	/**
+	 * Execute the arrival action of a mission waypoint
+	 * @param {Object} waypoint - Mission waypoint
+	 */
+	performWaypointAction(waypoint) {
+		switch (waypoint.action) {
+			case "scan":
+				// Full turn to sweep the sensors around the waypoint
+				this.turnInPlace(Math.PI * 2);
+				break;
+
+			case "mark_target":
+				this.markTargetPosition(this.auv.position);
+				break;
+
+			case "rescue": {
+				// Rescue the closest found survivor within detection range,
+				// allowing for where the autopilot stopped short of the waypoint
+				const rescueRange =
+					this.detectionRadius + this.autopilot.arrivalRadius;
+				const inRange = this.foundSurvivors
+					.filter((survivor) => !survivor.rescued)
+					.map((survivor) => ({
+						survivor,
+						distance: this.auv.position.distanceTo(
+							survivor.object.position
+						),
+					}))
+					.filter((entry) => entry.distance < rescueRange)
+					.sort((a, b) => a.distance - b.distance);
+
+				if (inRange.length > 0) {
+					this.requestRescue(inRange[0].survivor.object);
+				} else {
+					this.rescueMessages.push({
+						text: "No survivor in rescue range",
+						timestamp: this.now(),
+						duration: 3000,
+					});
+				}
+				break;
+			}
+		}
+	}
+
+	/**
+	 * Drop a seabed marker at a position of interest
+	 * @param {THREE.Vector3} position - Position to mark
+	 */
+	markTargetPosition(position) {
+		const markerGeometry = new THREE.ConeGeometry(0.3, 0.8, 8);
+		const markerMaterial = new THREE.MeshBasicMaterial({
+			color: 0xffaa00,
+			transparent: true,
+			opacity: 0.9,
+		});
+		const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+		marker.position.set(position.x, this.targetGroundY, position.z);
+		marker.userData = { type: "target_marker" };
+		this.scene.add(marker);
+
+		this.markedTargets.push({
+			position: position.clone(),
+			timestamp: this.now(),
+			marker,
+		});
+
+		this.rescueMessages.push({
+			text: "Target position marked",
+			timestamp: this.now(),
+			duration: 3000,
+		});
+	}
+
+	waypointToWorld(waypoint) {
+		return new THREE.Vector3(
+			waypoint.x,
+			THREE.MathUtils.clamp(
+				-waypoint.depth,
+				this.constraints.floorY,
+				this.constraints.maxY
+			),
+			waypoint.z
+		);
+	}
+
+	/**
+	 * Subscribe to mission progress events
+	 * @param {Function} listener - Called with { type, index, total, waypoint, timestamp }
+	 * @returns {Function} Unsubscribe function
+	 */
+	onMissionProgress(listener) {
+		this.missionListeners.push(listener);
+		return () => {
+			this.missionListeners = this.missionListeners.filter(
+				(existing) => existing !== listener
+			);
+		};
+	}
+
+	emitMissionProgress(type) {
+		const run = this.missionRun;
+		const event = {
+			type,
+			index: run.index,
+			total: run.waypoints.length,
+			waypoint: run.waypoints[run.index] || null,
+			timestamp: this.now(),
+		};
+		this.missionListeners.forEach((listener) => listener(event));
+	}
+
+	getMissionStatus() {
+		const run = this.missionRun;
+		return {
+			active: run.active,
+			status: run.status,
+			phase: run.phase,
+			index: run.index,
+			total: run.waypoints.length,
+		};
+	}
+
+	// Mission planner editing (keeps scene markers in sync)
+	addMissionWaypoint(point, config = {}) {
+		const waypoint = this.mission.addWaypoint({
+			...config,
+			x: point.x,
+			z: point.z,
+		});
+		this.updateMissionMarkers();
+		return waypoint;
+	}
+
+	updateMissionWaypoint(id, changes) {
+		const waypoint = this.mission.updateWaypoint(id, changes);
+		this.updateMissionMarkers();
+		return waypoint;
+	}
+
+	removeMissionWaypoint(id) {
+		this.mission.removeWaypoint(id);
+		this.updateMissionMarkers();
+	}
+
+	moveMissionWaypoint(id, offset) {
+		this.mission.moveWaypoint(id, offset);
+		this.updateMissionMarkers();
+	}
+
+	clearMission() {
+		this.mission.clear();
+		this.updateMissionMarkers();
+	}
+
+	/**
+	 * Rebuild the scene markers showing the planned mission route
+	 */
+	updateMissionMarkers() {
+		this.missionMarkers.forEach((marker) => {
+			this.scene.remove(marker);
+			marker.geometry.dispose();
+			marker.material.dispose();
+		});
+		this.missionMarkers = [];
+
+		const points = this.mission.waypoints.map((waypoint) =>
+			this.waypointToWorld(waypoint)
+		);
+
+		points.forEach((point) => {
+			// Waypoint sphere with a drop line to the seabed
+			const sphere = new THREE.Mesh(
+				new THREE.SphereGeometry(0.4, 12, 8),
+				new THREE.MeshBasicMaterial({
+					color: 0x00ff88,
+					transparent: true,
+					opacity: 0.8,
+				})
+			);
+			sphere.position.copy(point);
+			sphere.userData = { type: "mission_marker" };
+			this.missionMarkers.push(sphere);
+
+			const dropLine = new THREE.Line(
+				new THREE.BufferGeometry().setFromPoints([
+					point,
+					new THREE.Vector3(point.x, -10, point.z),
+				]),
+				new THREE.LineBasicMaterial({
+					color: 0x00ff88,
+					transparent: true,
+					opacity: 0.4,
+				})
+			);
+			this.missionMarkers.push(dropLine);
+		});
+
+		// Planned route between consecutive waypoints
+		if (points.length > 1) {
+			this.missionMarkers.push(
+				new THREE.Line(
+					new THREE.BufferGeometry().setFromPoints(points),
+					new THREE.LineBasicMaterial({ color: 0x00ff88 })
+				)
+			);
+		}
+
+		this.missionMarkers.forEach((marker) => this.scene.add(marker));
+	}
+
+	// Battery and return-to-home
+	/**
+	 * Set the recovery point the vehicle returns to
+	 * @param {THREE.Vector3} position - Home position
+	 */
+	setHomePoint(position) {
+		const battery = this.battery;
+		battery.home = new THREE.Vector3(
+			THREE.MathUtils.clamp(
+				position.x,
+				-this.constraints.boundary,
+				this.constraints.boundary
+			),
+			THREE.MathUtils.clamp(
+				position.y,
+				this.constraints.floorY,
+				this.constraints.maxY
+			),
+			THREE.MathUtils.clamp(
+				position.z,
+				-this.constraints.boundary,
+				this.constraints.boundary
+			)
+		);
+		battery.homeField = null;
+		this.updateHomeMarker();
+	}
+
+	updateHomeMarker() {
+		if (this.homeMarker) {
+			this.scene.remove(this.homeMarker);
+			this.homeMarker.geometry.dispose();
+			this.homeMarker.material.dispose();
+		}
+
+		// Ring around the recovery point
+		this.homeMarker = new THREE.Mesh(
+			new THREE.TorusGeometry(1.2, 0.08, 8, 32),
+			new THREE.MeshBasicMaterial({
+				color: 0x00aaff,
+				transparent: true,
+				opacity: 0.8,
+			})
+		);
+		this.homeMarker.rotation.x = Math.PI / 2;
+		this.homeMarker.position.copy(this.battery.home);
+		this.homeMarker.userData = { type: "home_marker" };
+		this.scene.add(this.homeMarker);
+	}
+
+	/**
+	 * Obstacle-aware distance from the vehicle to home
+	 * Distances to home are computed once per navigation grid and current and
+	 * looked up per frame; the sonar-built map changes, so its distances are
+	 * refreshed. With a current running they are still-water distances.
+	 * @returns {number} Distance in world units (Infinity if home is unreachable)
+	 */
+	getDistanceHome() {
+		const battery = this.battery;
+		const grid = this.getNavigationGrid();
+		const cache = battery.homeField;
+
+		if (
+			!cache ||
+			cache.grid !== grid ||
+			cache.flow !== this.currentFlow ||
+			(this.plannerSettings.sensorLimited &&
+				this.now() - cache.time > battery.fieldRefreshInterval)
+		) {
+			battery.homeField = {
+				grid,
+				flow: this.currentFlow,
+				field: findDistanceField(grid, battery.home, {
+					flow: this.currentFlow,
+					inbound: true,
+				}),
+				time: this.now(),
+			};
+		}
+
+		const field = battery.homeField.field;
+		const cell = grid.nearestFreeCell(grid.worldToCell(this.auv.position));
+		if (!field || !cell) return Infinity;
+		return field[grid.index(cell.x, cell.y, cell.z)];
+	}
+
+	/**
+	 * Charge a steady draw uses up over a time
+	 * @param {number} power - Draw (W)
+	 * @param {number} time - Duration (seconds)
+	 * @returns {number} Charge (% of the battery capacity)
+	 */
+	getChargeUsed(power, time) {
+		const capacity = this.dynamics.profile.batteryCapacity * 3600; // J
+		return ((power * time) / capacity) * 100;
+	}
+
+	/**
+	 * Charge needed to turn around and fly home at top speed
+	 * The autopilot flies home flat out, so the thrusters are assumed to draw
+	 * what top speed needs while the other consumers keep their present draw.
+	 * @returns {number} Estimated charge (%), Infinity if home is unreachable
+	 */
+	estimateReturnCharge() {
+		const turnTime = Math.PI / this.rotationSpeed;
+		const time = this.getDistanceHome() / this.speed + turnTime;
+		const draw = this.power.draw;
+		const power =
+			this.dynamics.topSpeedPower +
+			this.power.total -
+			(draw.propulsion ?? 0) -
+			(draw.ballast ?? 0);
+
+		return this.getChargeUsed(power, time) * this.battery.returnMargin;
+	}
+
+	/**
+	 * Whether a brownout has switched a subsystem off
+	 * @param {string} subsystem - 'headlights', 'imagingSonar' or 'sonar'
+	 * @returns {boolean} True if shed
+	 */
+	isShed(subsystem) {
+		return this.power.shed.includes(subsystem);
+	}
+
+	/**
+	 * Whether a headlight is lit: switched on and not shed
+	 * @param {string} side - 'left' or 'right'
+	 * @returns {boolean} True if lit
+	 */
+	isHeadlightOn(side) {
+		return this.headlights[side] && !this.isShed("headlights");
+	}
+
+	/**
+	 * Switch both headlights together
+	 * @returns {boolean} True if the headlights are now switched on
+	 */
+	toggleHeadlights() {
+		const on = !(this.headlights.left || this.headlights.right);
+		this.headlights.left = on;
+		this.headlights.right = on;
+		return on;
+	}
+
+	/**
+	 * Add up what each consumer draws this step
+	 */
+	updatePowerDraw() {
+		const power = this.power;
+		const flat = this.battery.level <= 0;
+		const lit = ["left", "right"].filter((side) =>
+			this.isHeadlightOn(side)
+		);
+		const sweepRate = 1000 / this.sonarSweep.interval; // Sweeps per second
+
+		power.draw = {
+			hotel: flat ? 0 : power.hotelLoad,
+			propulsion: this.dynamics.getThrusterPower(),
+			ballast: this.dynamics.getPumpPower(),
+			headlights: flat ? 0 : lit.length * power.headlightPower,
+			sonar:
+				flat || !this.isSonarSweeping()
+					? 0
+					: power.sonarPingEnergy * sweepRate,
+			imagingSonar:
+				!flat &&
+				this.cameraMode === "sonar" &&
+				this.sonarSystem.isActive
+					? power.imagingSonarPower
+					: 0,
+		};
+		power.total = Object.values(power.draw).reduce(
+			(sum, watts) => sum + watts,
+			0
+		);
+	}
+
+	/**
+	 * Shed subsystems one at a time as the charge falls through their
+	 * brownout levels, and bring them back if it recovers
+	 */
+	updateBrownout() {
+		const power = this.power;
+		const level = this.battery.level;
+		power.brownout.forEach(({ subsystem, level: threshold }) => {
+			const shed = this.isShed(subsystem);
+			if (!shed && level <= threshold) {
+				power.shed.push(subsystem);
+				this.shedSubsystem(subsystem);
+			} else if (shed && level > threshold) {
+				power.shed = power.shed.filter((name) => name !== subsystem);
+			}
+		});
+	}
+
+	/**
+	 * Switch off a subsystem the brownout has shed
+	 * @param {string} subsystem - 'headlights', 'imagingSonar' or 'sonar'
+	 */
+	shedSubsystem(subsystem) {
+		switch (subsystem) {
+			case "headlights":
+				this.notifyBattery("BROWNOUT - HEADLIGHTS OFF");
+				break;
+			case "imagingSonar":
+				if (this.cameraMode === "sonar") this.cycleCameraMode();
+				this.sonarSystem.isActive = false;
+				this.notifyBattery("BROWNOUT - IMAGING SONAR OFF");
+				break;
+			case "sonar":
+				this.notifyBattery("BROWNOUT - FORWARD SONAR OFF");
+				break;
+		}
+	}
+
+	/**
+	 * Drain the battery and return home when the charge runs low
+	 * Warns once the spare charge above the reserve nears the estimated cost
+	 * of getting home, and starts return-to-home when it no longer covers it.
+	 */
+	updateBattery() {
+		const battery = this.battery;
+		if (!this.auv) return;
+
+		// Everything drawn over the last step
+		const dt = this.frameDuration / 1000;
+		this.updatePowerDraw();
+		this.odometry.energy += (this.power.total * dt) / 3600;
+		if (battery.status === "depleted") return;
+
+		battery.level = Math.max(
+			0,
+			battery.level - this.getChargeUsed(this.power.total, dt)
+		);
+		this.updateBrownout();
+
+		if (battery.level <= 0) {
+			battery.status = "depleted";
+			this.stopAutonomy();
+			this.notifyBattery("BATTERY DEPLETED - THRUSTERS OFFLINE");
+			return;
+		}
+
+		battery.returnEstimate = this.estimateReturnCharge();
+		const spare = battery.level - battery.reserve;
+		const atHome =
+			this.auv.position.distanceTo(battery.home) <=
+			this.autopilot.arrivalRadius * 2;
+
+		if (battery.status === "returning") {
+			const returning =
+				this.autopilot.active &&
+				this.autopilot.target &&
+				this.autopilot.target.equals(battery.home);
+			if (returning) return;
+
+			if (this.autopilot.status === "arrived" && atHome) {
+				battery.status = "home";
+				this.notifyBattery("ARRIVED AT RECOVERY POINT");
+			} else {
+				// Operator or another task took over the return
+				battery.status = "warning";
+				battery.overridden = true;
+			}
+			return;
+		}
+
+		if (atHome) {
+			battery.status = "home";
+		} else if (
+			spare <= battery.returnEstimate &&
+			battery.autoReturn &&
+			!battery.overridden &&
+			!this.executive.active
+		) {
+			if (this.returnToHome()) {
+				this.notifyBattery("LOW BATTERY - RETURNING HOME");
+			}
+		} else if (spare <= battery.returnEstimate * battery.warningMargin) {
+			if (battery.status !== "warning") {
+				this.notifyBattery("LOW BATTERY - RETURN HOME SOON");
+			}
+			battery.status = "warning";
+		} else {
+			battery.status = "ok";
+			battery.overridden = false;
+		}
+	}
+
+	notifyBattery(text) {
+		this.rescueMessages.push({
+			text,
+			timestamp: this.now(),
+			duration: 4000,
+		});
+	}
+
+	/**
+	 * Stop every autonomous task and the autopilot
+	 */
+	stopAutonomy() {
+		if (!this.executive.ticking) this.stopExecutive("cancelled");
+		this.stopMission();
+		this.stopCoverageSearch();
+		this.stopExploration();
+		this.stopStationKeeping();
+		this.stopDocking();
+		this.cancelAutopilot();
+	}
+
+	/**
+	 * Abandon the current task and fly to the recovery point
+	 * @returns {boolean} True if a route home was found
+	 */
+	returnToHome() {
+		const battery = this.battery;
+		if (!this.auv || battery.level <= 0) return false;
+
+		this.stopAutonomy();
+		battery.overridden = false;
+		if (!this.goTo(battery.home)) {
+			battery.status = "warning";
+			battery.overridden = true;
+			this.notifyBattery("NO ROUTE HOME");
+			return false;
+		}
+
+		battery.status = "returning";
+		return true;
+	}
+
+	getBatteryStatus() {
+		const battery = this.battery;
+		return {
+			level: battery.level,
+			capacity: this.dynamics.profile.batteryCapacity,
+			draw: { ...this.power.draw },
+			totalDraw: this.power.total,
+			shed: [...this.power.shed],
+			reserve: battery.reserve,
+			returnEstimate: battery.returnEstimate,
+			status: battery.status,
+			autoReturn: battery.autoReturn,
+			distanceHome: this.auv ? this.getDistanceHome() : 0,
+		};
+	}
+
+	setAutoReturn(enabled) {
+		this.battery.autoReturn = enabled;
+		this.battery.overridden = false;
+	}
+
+	// Rescue route optimization
+	/**
+	 * Located survivors still waiting for rescue
+	 * Includes survivors detected this frame that are not yet in foundSurvivors
+	 * @returns {THREE.Object3D[]} Survivor objects
+	 */
+	getRescueCandidates() {
+		const candidates = this.foundSurvivors
+			.filter((survivor) => !survivor.rescued)
+			.map((survivor) => survivor.object);
+
+		this.searchTargets.forEach((target) => {
+			if (target.userData.found && !candidates.includes(target)) {
+				candidates.push(target);
+			}
+		});
+
+		return candidates;
+	}
+
+	/**
+	 * Position the vehicle rescues a survivor from, just above the seabed
+	 * @param {THREE.Object3D} survivor - Survivor object
+	 * @returns {THREE.Vector3} Rescue position
+	 */
+	getRescuePoint(survivor) {
+		return new THREE.Vector3(
+			survivor.position.x,
+			this.constraints.floorY,
+			survivor.position.z
+		);
+	}
+
+	/**
+	 * Plan the rescue order of every located survivor
+	 * Travel times follow obstacle-aware grid distances at cruise speed;
+	 * the order trades them off against survivor priority and deadlines.
+	 * @returns {Object} Planned route (see getRescueRoute)
+	 */
+	planRescueRoute() {
+		const route = this.rescueRoute;
+		route.stops = [];
+		route.unreachable = [];
+		route.cost = 0;
+		route.plannedAt = this.now();
+		if (!this.auv) return this.getRescueRoute();
+
+		const survivors = this.getRescueCandidates();
+		const grid = this.getNavigationGrid();
+		const points = [
+			this.auv.position,
+			...survivors.map((survivor) => this.getRescuePoint(survivor)),
+		];
+
+		// One search per survivor; in still water the vehicle row follows by
+		// symmetry, but a current makes legs cost more one way than the other
+		const flow = this.currentFlow;
+		const distances = points.map((point, i) =>
+			i === 0 && !flow
+				? null
+				: findDistances(grid, point, points, { flow })
+		);
+		const cruiseSpeed = this.speed;
+		const travel = points.map((_, i) =>
+			points.map((_, j) => {
+				if (i === j) return 0;
+				const distance = distances[i]
+					? distances[i][j]
+					: distances[j][0];
+				return distance / cruiseSpeed;
+			})
+		);
+
+		const stops = survivors.map((survivor) => ({
+			priority: SURVIVOR_CONDITIONS[survivor.userData.condition].priority,
+			deadline: (survivor.userData.deadline - route.plannedAt) / 1000,
+		}));
+
+		const result = optimizeRescueRoute(stops, travel, {
+			serviceTime: route.serviceTime,
+		});
+
+		route.stops = result.order.map((i, k) => ({
+			survivor: survivors[i],
+			arrival: route.plannedAt + result.arrivals[k] * 1000,
+		}));
+		route.unreachable = result.unreachable.map((i) => survivors[i]);
+		route.cost = result.cost;
+
+		return this.getRescueRoute();
+	}
+
+	/**
+	 * Plan the rescue route and hand it to the mission executor
+	 * Each survivor becomes a rescue waypoint, flown in the planned order.
+	 * @returns {boolean} True if the rescue run was started
+	 */
+	startRescueRoute() {
+		this.planRescueRoute();
+		const route = this.rescueRoute;
+		if (route.stops.length === 0) return false;
+
+		const mission = new Mission("Rescue route");
+		route.stops.forEach((stop) =>
+			mission.addWaypoint({
+				x: stop.survivor.position.x,
+				z: stop.survivor.position.z,
+				depth: -this.constraints.floorY,
+				action: "rescue",
+			})
+		);
+
+		route.executing = this.startMission(mission);
+		return route.executing;
+	}
+
+	stopRescueRoute() {
+		if (!this.rescueRoute.executing) return;
+
+		this.rescueRoute.executing = false;
+		this.stopMission();
+	}
+
+	/**
+	 * Current rescue route for display
+	 * Survivors rescued since planning are dropped from the list.
+	 * @returns {Object} Stops with condition, ETA and time left (milliseconds)
+	 */
+	getRescueRoute() {
+		const route = this.rescueRoute;
+		const now = this.now();
+		if (!this.missionRun.active) route.executing = false;
+
+		const stops = route.stops
+			.filter((stop) => this.searchTargets.includes(stop.survivor))
+			.map((stop) => {
+				const { id, condition, deadline } = stop.survivor.userData;
+				const { label, priority } = SURVIVOR_CONDITIONS[condition];
+				return {
+					id,
+					condition,
+					label,
+					priority,
+					eta: Math.max(0, stop.arrival - now),
+					timeLeft: Math.max(0, deadline - now),
+					late: stop.arrival > deadline,
+				};
+			});
+
+		return {
+			executing: route.executing,
+			plannedAt: route.plannedAt,
+			stops,
+			unreachable: route.unreachable.length,
+			cost: route.cost,
+		};
+	}
+
+	// Random Events System
+	updateRandomEvents() {
+		if (!this.randomEvents.enabled) return;
+
+		const currentTime = this.now();
+
+		// Check if an event is currently active
+		if (this.randomEvents.active) {
+			const event = this.randomEvents.active;
+			const eventConfig = this.randomEvents.effects[event.type];
+
+			// Check if event should end
+			if (currentTime - event.startTime >= eventConfig.duration) {
+				this.endRandomEvent();
+			} else {
+				this.applyEventEffects(event.type, eventConfig);
+			}
+		} else {
+			// Try to start a new event
+			if (
+				currentTime - this.randomEvents.lastEventTime >=
+				this.randomEvents.eventCooldown
+			) {
+				if (this.occurs(this.randomEvents.eventRate)) {
+					this.startRandomEvent();
+				}
+			}
+		}
+	}
+
+	startRandomEvent() {
+		const eventTypes = this.randomEvents.eventTypes;
+		const randomType =
+			eventTypes[Math.floor(this.random.events() * eventTypes.length)];
+		const eventConfig = this.randomEvents.effects[randomType];
+
+		// Reset duration for each event instance
+		eventConfig.duration = this.random.events() * 30000 + 30000; // 30-60 seconds
+
+		this.randomEvents.active = {
+			type: randomType,
+			startTime: this.now(),
+			intensity: this.random.events() * 0.5 + 0.5, // 0.5 to 1.0 intensity
+		};
+
+		// Initialize event-specific effects
+		this.initializeEventEffects(randomType);
+	}
+
+	initializeEventEffects(eventType) {
+		const eventConfig = this.randomEvents.effects[eventType];
+		const event = this.randomEvents.active;
+
+		switch (eventType) {
+			case "highCurrent":
+				// Generate random current direction and strength
+				const angle = this.random.events() * Math.PI * 2;
+				const strength = 1.2 * event.intensity; // World units per second
+				eventConfig.force.set(
+					Math.cos(angle) * strength,
+					(this.random.events() - 0.5) * strength * 0.5,
+					Math.sin(angle) * strength
+				);
+				this.updateCurrentFlow();
+				break;
+
+			case "lowVisibility":
+				// Store original fog settings
+				eventConfig.originalFog = {
+					near: this.scene.fog ? this.scene.fog.near : 1,
+					far: this.scene.fog ? this.scene.fog.far : 50,
+				};
+				break;
+
+			case "equipment_malfunction":
+				// Randomly select which system to affect
+				const systems = ["sonar", "navigation", "propulsion", "lights"];
+				eventConfig.systemAffected =
+					systems[Math.floor(this.random.events() * systems.length)];
+
+				// A propulsion fault takes out one thruster; the allocator
+				// spreads its load over the others
+				eventConfig.thruster = null;
+				if (eventConfig.systemAffected === "propulsion") {
+					const thrusters = this.dynamics.allocator.thrusters;
+					const failed =
+						thrusters[
+							Math.floor(this.random.events() * thrusters.length)
+						];
+					eventConfig.thruster = failed.name;
+					this.dynamics.allocator.setHealth(failed.name, 0);
+				}
+				break;
+		}
+	}
+
+	applyEventEffects(eventType, eventConfig) {
+		const event = this.randomEvents.active;
+
+		switch (eventType) {
+			case "highCurrent":
+				// The current carries the vehicle through getCurrentDrift()
+				// in updateAUVMovement()
+				break;
+
+			case "lowVisibility":
+				// Reduce visibility with fog
+				if (this.scene.fog) {
+					this.scene.fog.near = 0.5;
+					this.scene.fog.far =
+						15 * (1 - eventConfig.fogDensity * event.intensity);
+				}
+				break;
+
+			case "thermalLayer":
+				// Add interference to sonar readings
+				if (this.sonarSystem.isActive) {
+					// Add random noise to sonar detections
+					this.addSonarInterference(
+						eventConfig.sonarInterference * event.intensity
+					);
+				}
+				break;
+
+			case "magneticInterference":
+				// Add error to heading calculations
+				this.compassErrorOffset =
+					(this.random.events() - 0.5) *
+					eventConfig.compassError *
+					event.intensity;
+				break;
+
+			case "equipment_malfunction":
+				// Apply system-specific malfunctions
+				this.applySystemMalfunction(
+					eventConfig.systemAffected,
+					event.intensity
+				);
+				break;
+
+			case "marine_life_interference":
+				// Add biological noise to sonar
+				if (this.sonarSystem.isActive) {
+					this.addBiologicalNoise(
+						eventConfig.sonarNoise * event.intensity
+					);
+				}
+				break;
+
+			case "underwater_storm":
+				// Gusts buffet the vehicle for the next step
+				if (this.auv) {
+					const gust =
+						eventConfig.turbulence *
+						event.intensity *
+						eventConfig.gustForce;
+					this.disturbance = {
+						surge: (this.random.events() - 0.5) * gust,
+						sway: (this.random.events() - 0.5) * gust,
+						heave: (this.random.events() - 0.5) * gust * 0.5,
+						roll: (this.random.events() - 0.5) * gust * 0.1,
+						pitch: (this.random.events() - 0.5) * gust * 0.1,
+						// Gusts also knock the heading off
+						yaw: (this.random.events() - 0.5) * gust * 0.05,
+					};
+				}
+				break;
+		}
+	}
+
+	endRandomEvent() {
+		if (!this.randomEvents.active) return;
+
+		const eventType = this.randomEvents.active.type;
+		const eventConfig = this.randomEvents.effects[eventType];
+
+		// Clean up event effects
+		switch (eventType) {
+			case "lowVisibility":
+				// Restore original fog settings
+				if (this.scene.fog && eventConfig.originalFog) {
+					this.scene.fog.near = eventConfig.originalFog.near;
+					this.scene.fog.far = eventConfig.originalFog.far;
+				}
+				break;
+
+			case "magneticInterference":
+				this.compassErrorOffset = 0;
+				break;
+
+			case "equipment_malfunction":
+				if (eventConfig.thruster) {
+					this.dynamics.allocator.setHealth(eventConfig.thruster, 1);
+					eventConfig.thruster = null;
+				}
+				break;
+		}
+
+		this.randomEvents.lastEventTime = this.now();
+		this.randomEvents.active = null;
+
+		if (eventType === "highCurrent") this.updateCurrentFlow();
+	}
+
+	addSonarInterference(intensity) {
+		// Add false sonar returns (up to six a second)
+		if (this.occurs(intensity * 6)) {
+			const angle = this.random.events() * Math.PI * 2;
+			const distance = this.random.events() * 30 + 10;
+			const falseReturn = {
+				position: new THREE.Vector3(
+					Math.cos(angle) * distance,
+					this.auv.position.y + (this.random.events() - 0.5) * 5,
+					Math.sin(angle) * distance
+				),
+				type: "interference",
+				timestamp: this.now(),
+			};
+			this.sonarSystem.detectedObjects.push(falseReturn);
+		}
+	}
+
+	addBiologicalNoise(intensity) {
+		// Simulate marine life interference with passing animals
+		if (this.occurs(intensity * 1.2)) {
+			// Create temporary marine life objects
+			const count = Math.floor(this.random.events() * 3) + 1;
+			for (let i = 0; i < count; i++) {
+				const angle = this.random.events() * Math.PI * 2;
+				const distance = this.random.events() * 30 + 10;
+
+				// Create a temporary marine life object
+				const marineLifeGeometry = new THREE.SphereGeometry(0.5, 8, 6);
+				const marineLifeMaterial = new THREE.MeshBasicMaterial({
+					color: 0x004488,
+					transparent: true,
+					opacity: 0.6,
+				});
+				const marineLife = new THREE.Mesh(
+					marineLifeGeometry,
+					marineLifeMaterial
+				);
+
+				marineLife.position.set(
+					this.auv.position.x + Math.cos(angle) * distance,
+					this.auv.position.y + (this.random.events() - 0.5) * 5,
+					this.auv.position.z + Math.sin(angle) * distance
+				);
+
+				const swimHeading = this.random.events() * Math.PI * 2;
+				marineLife.userData = {
+					type: "marine_life",
+					timestamp: this.now(),
+					lifetime: 3000 + this.random.events() * 2000, // 3-5 seconds
+					isTemporary: true,
+					// World units per second
+					swimVelocity: new THREE.Vector3(
+						Math.cos(swimHeading) * 2.4,
+						0,
+						Math.sin(swimHeading) * 2.4
+					),
+				};
+
+				this.scene.add(marineLife);
+				this.addDynamicObstacle(marineLife);
+			}
+		}
+	}
+
+	/**
+	 * Swim temporary marine life along and remove it when its time is up
+	 */
+	updateMarineLife() {
+		const currentTime = this.now();
+		const dt = this.frameDuration / 1000;
+
+		this.dynamicObstacles
+			.filter((object) => object.userData.type === "marine_life")
+			.forEach((marineLife) => {
+				const { timestamp, lifetime, swimVelocity } =
+					marineLife.userData;
+				const elapsed = currentTime - timestamp;
+
+				if (elapsed >= lifetime) {
+					// Remove the marine life object
+					this.removeDynamicObstacle(marineLife);
+					this.scene.remove(marineLife);
+					marineLife.geometry.dispose();
+					marineLife.material.dispose();
+					return;
+				}
+
+				// Swim along with a slight wobble
+				marineLife.position.addScaledVector(swimVelocity, dt);
+				marineLife.position.x += (this.random.events() - 0.5) * 6 * dt;
+				marineLife.position.z += (this.random.events() - 0.5) * 6 * dt;
+				marineLife.rotation.y += 1.2 * dt;
+
+				// Fade out in the last second
+				if (elapsed > lifetime - 1000) {
+					const fadeProgress = (elapsed - (lifetime - 1000)) / 1000;
+					marineLife.material.opacity = 0.6 * (1 - fadeProgress);
+				}
+			});
+	}
+
+	applySystemMalfunction(system, intensity) {
+		switch (system) {
+			case "sonar":
+				// Reduce sonar effectiveness
+				if (this.occurs(intensity * 1.2)) {
+					this.sonarSystem.isActive = false;
+					this.after(1000, () => {
+						this.sonarSystem.isActive = true;
+					});
+				}
+				break;
+
+			case "navigation":
+				// Add navigation errors
+				this.compassErrorOffset =
+					(this.random.events() - 0.5) * 20 * intensity;
+				break;
+
+			case "propulsion":
+				// The failed thruster stays out until the malfunction ends
+				// (see initializeEventEffects)
+				break;
+
+			case "lights":
+				// Flicker lighting
+				if (this.occurs(intensity * 6)) {
+					this.scene.traverse((object) => {
+						if (object.isLight) {
+							object.intensity *= 0.5;
+							this.after(200, () => {
+								object.intensity *= 2;
+							});
+						}
+					});
+				}
+				break;
+		}
+	}
+
+	// Public methods for accessing random events
+	getCurrentEvent() {
+		return this.randomEvents.active;
+	}
+
+	getEventDescription() {
+		if (!this.randomEvents.active) return null;
+		const eventConfig =
+			this.randomEvents.effects[this.randomEvents.active.type];
+		return {
+			name: eventConfig.name,
+			description: eventConfig.description,
+			timeRemaining: Math.max(
+				0,
+				eventConfig.duration -
+					(this.now() - this.randomEvents.active.startTime)
+			),
+		};
+	}
+
+	/**
+	 * Send a located survivor's position to the station
+	 * Only succeeds while station keeping is stable, so the position is confirmed
+	 * @param {THREE.Object3D|null} target - Survivor to rescue (the first located survivor if omitted)
+	 * @returns {boolean} True if the survivor was rescued
+	 */
+	rescueSurvivor(target = null) {
+		if (!this.isStationStable()) {
+			this.rescueMessages.push({
+				text: "Hold station to confirm survivor position",
+				timestamp: this.now(),
+				duration: 3000,
+			});
+			return false;
+		}
+
+		// Find the requested survivor, or the first found survivor that hasn't been rescued yet
+		const foundSurvivor = this.foundSurvivors.find(
+			(survivor) =>
+				survivor &&
+				!survivor.rescued &&
+				(!target || survivor.object === target)
+		);
+
+		if (foundSurvivor) {
+			// Mark as rescued
+			foundSurvivor.rescued = true;
+
+			// Add rescue message
+			this.rescueMessages.push({
+				text: "Survivor location sent to station",
+				timestamp: this.now(),
+				duration: 3000, // Show message for 3 seconds
+			});
+
+			// Remove from scene
+			if (foundSurvivor.object && foundSurvivor.object.parent) {
+				foundSurvivor.object.parent.remove(foundSurvivor.object);
+			}
+
+			// Remove the beacon if it exists
+			if (
+				foundSurvivor.object.userData.beacon &&
+				foundSurvivor.object.userData.beacon.parent
+			) {
+				foundSurvivor.object.userData.beacon.parent.remove(
+					foundSurvivor.object.userData.beacon
+				);
+			}
+
+			// Remove from search targets
+			this.searchTargets = this.searchTargets.filter(
+				(target) => target !== foundSurvivor.object
+			);
+
+			// Remove from found survivors list
+			this.foundSurvivors = this.foundSurvivors.filter(
+				(survivor) => survivor !== foundSurvivor
+			);
+
+			// Spawn a new survivor
+			this.spawnNewSurvivor();
+			return true;
+		}
+		return false;
+	}
+
+	spawnNewSurvivor() {
+		// Create a new survivor at a random location
+		const angle = this.random.targets() * Math.PI * 2;
+		const distance = this.random.targets() * 80 + 20; // 20-100 units from center
+		const x = Math.cos(angle) * distance;
+		const z = Math.sin(angle) * distance;
+		const y = this.targetGroundY; // On the ground, same as original survivors
+
+		// Create survivor body (same as original)
+		const bodyGeometry = new THREE.CapsuleGeometry(0.3, 1.5);
+		const bodyMaterial = new THREE.MeshLambertMaterial({
+			color: 0xff4400, // Bright red-orange for survivors
+			emissive: 0x440000, // Red glow to make them visible
+			emissiveIntensity: 0.1,
+		});
+		const survivor = new THREE.Mesh(bodyGeometry, bodyMaterial);
+
+		survivor.position.set(x, y, z);
+		survivor.userData = {
+			type: "survivor",
+			id: this.nextSurvivorId++,
+			found: false,
+			blinkTimer: 0,
+		};
+		this.assignSurvivorCondition(survivor);
+
+		// Add beacon light (same as original)
+		const beaconGeometry = new THREE.SphereGeometry(0.1);
+		const beaconMaterial = new THREE.MeshBasicMaterial({
+			color: 0xff0000,
+			transparent: true,
+			opacity: 0.8,
+		});
+		const beacon = new THREE.Mesh(beaconGeometry, beaconMaterial);
+		beacon.position.set(x, y + 1, z);
+
+		// Add to scene and link beacon to survivor
+		this.scene.add(survivor);
+		this.scene.add(beacon);
+		survivor.userData.beacon = beacon;
+
+		// Add to search targets
+		this.searchTargets.push(survivor);
+	}
+
+	updateFoundSurvivors() {
+		// Check for newly found survivors
+		this.searchTargets.forEach((target) => {
+			if (
+				target.userData.type === "survivor" &&
+				target.userData.found &&
+				!this.foundSurvivors.find((fs) => fs.object === target)
+			) {
+				this.foundSurvivors.push({
+					object: target,
+					foundTime: this.now(),
+					rescued: false,
+				});
+			}
+		});
+
+		// Clean up old rescue messages
+		this.rescueMessages = this.rescueMessages.filter(
+			(msg) => this.now() - msg.timestamp < msg.duration
+		);
+	}
+}
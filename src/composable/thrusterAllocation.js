@@ -0,0 +1,177 @@
+/**
+ * HYDROBOT Thruster Allocation
+ *
+ * Maps the force and moment wanted on each axis to the individual
+ * thrusters. Every thruster has a mounting position and thrust direction
+ * in the body frame, a force limit and a health (1 healthy, 0 failed). The
+ * allocator finds the thruster forces whose combined wrench comes closest
+ * to the request with the least effort. A thruster that would exceed its
+ * limit is pinned there and the rest of the request is shared among the
+ * others, so a failed or saturated thruster hands its load to the ones that
+ * can still help until they run out of authority too; whatever they cannot
+ * cancel shows up as unwanted yaw, sway or tilt.
+ *
+ * Body frame (meters): surge forward, sway to starboard, heave up. Moments
+ * follow the dynamics axes: roll starboard side down, pitch nose up, yaw
+ * turning left.
+ */
+
+/**
+ * Wrench one newton of a thruster's force puts on the vehicle
+ * @param {Object} thruster - Thruster with position and direction { surge, sway, heave }
+ * @returns {Object} Force or moment per axis
+ */
+export function getThrusterEffect(thruster) {
+	const { position, direction } = thruster;
+	return {
+		surge: direction.surge,
+		sway: direction.sway,
+		heave: direction.heave,
+		roll: position.heave * direction.sway - position.sway * direction.heave,
+		pitch:
+			position.surge * direction.heave - position.heave * direction.surge,
+		yaw: position.sway * direction.surge - position.surge * direction.sway,
+	};
+}
+
+/**
+ * Solve A x = b by Gaussian elimination with partial pivoting
+ * @param {number[][]} A - Square matrix (overwritten)
+ * @param {number[]} b - Right-hand side (overwritten)
+ * @returns {number[]} Solution
+ */
+function solveLinearSystem(A, b) {
+	const n = b.length;
+	for (let col = 0; col < n; col++) {
+		let pivot = col;
+		for (let row = col + 1; row < n; row++) {
+			if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+		}
+		[A[col], A[pivot]] = [A[pivot], A[col]];
+		[b[col], b[pivot]] = [b[pivot], b[col]];
+
+		for (let row = col + 1; row < n; row++) {
+			const factor = A[row][col] / A[col][col];
+			for (let k = col; k < n; k++) A[row][k] -= factor * A[col][k];
+			b[row] -= factor * b[col];
+		}
+	}
+
+	const x = new Array(n).fill(0);
+	for (let row = n - 1; row >= 0; row--) {
+		let sum = b[row];
+		for (let k = row + 1; k < n; k++) sum -= A[row][k] * x[k];
+		x[row] = sum / A[row][row];
+	}
+	return x;
+}
+
+export class ThrusterAllocator {
+	/**
+	 * Create an allocator for a thruster layout
+	 * @param {Object[]} layout - Thrusters { name, position, direction, maxForce }
+	 * @param {Object} scale - Wrench per axis that counts as a full-size error (N or N m); sets the axes allocated
+	 */
+	constructor(layout, scale) {
+		this.thrusters = layout.map((thruster) => ({
+			...thruster,
+			effect: getThrusterEffect(thruster),
+			health: 1, // Fraction of the rated force still available
+			force: 0, // Force applied on the last step (N)
+		}));
+		this.axes = Object.keys(scale);
+		this.weights = {}; // Inverse squared error scale per axis
+		this.axes.forEach(
+			(axis) => (this.weights[axis] = 1 / scale[axis] ** 2)
+		);
+		this.effortWeight = 1e-4; // Cost of thruster effort relative to wrench error
+	}
+
+	getLimit(thruster) {
+		return thruster.maxForce * thruster.health;
+	}
+
+	/**
+	 * Set how much of a thruster's rated force is available
+	 * @param {string} name - Thruster name
+	 * @param {number} health - 1 healthy, 0 failed
+	 * @returns {boolean} True if the thruster exists
+	 */
+	setHealth(name, health) {
+		const thruster = this.thrusters.find((t) => t.name === name);
+		if (!thruster) return false;
+		thruster.health = Math.max(0, Math.min(1, health));
+		return true;
+	}
+
+	/**
+	 * Share a requested wrench among the thrusters
+	 * Solves the weighted least-squares problem for the thrusters that are
+	 * still free, pins any that exceed their limit and solves again for the
+	 * rest of the request.
+	 * @param {Object} wrench - Requested force or moment per axis (N or N m)
+	 * @returns {Object} Wrench the thrusters actually produce, per axis
+	 */
+	allocate(wrench) {
+		const thrusters = this.thrusters;
+		let free = thrusters.filter((thruster) => this.getLimit(thruster) > 0);
+		thrusters.forEach((thruster) => (thruster.force = 0));
+
+		while (free.length > 0) {
+			// Part of the request the pinned thrusters leave over
+			const remaining = {};
+			this.axes.forEach((axis) => {
+				remaining[axis] = wrench[axis] ?? 0;
+				thrusters.forEach((thruster) => {
+					if (!free.includes(thruster)) {
+						remaining[axis] -=
+							thruster.effect[axis] * thruster.force;
+					}
+				});
+			});
+
+			// Normal equations (Bᵀ W B + effort) f = Bᵀ W remaining
+			const A = free.map((a) =>
+				free.map((b) =>
+					this.axes.reduce(
+						(sum, axis) =>
+							sum +
+							this.weights[axis] *
+								a.effect[axis] *
+								b.effect[axis],
+						a === b ? this.effortWeight / this.getLimit(a) ** 2 : 0
+					)
+				)
+			);
+			const rhs = free.map((thruster) =>
+				this.axes.reduce(
+					(sum, axis) =>
+						sum +
+						this.weights[axis] *
+							thruster.effect[axis] *
+							remaining[axis],
+					0
+				)
+			);
+			const forces = solveLinearSystem(A, rhs);
+
+			const saturated = [];
+			free.forEach((thruster, i) => {
+				const limit = this.getLimit(thruster);
+				thruster.force = Math.max(-limit, Math.min(limit, forces[i]));
+				if (Math.abs(forces[i]) > limit) saturated.push(thruster);
+			});
+			if (saturated.length === 0) break;
+			free = free.filter((thruster) => !saturated.includes(thruster));
+		}
+
+		const applied = {};
+		this.axes.forEach((axis) => {
+			applied[axis] = thrusters.reduce(
+				(sum, thruster) => sum + thruster.effect[axis] * thruster.force,
+				0
+			);
+		});
+		return applied;
+	}
+}
@@ -0,0 +1,598 @@
+/**
+ * HYDROBOT Vehicle Dynamics
+ *
+ * Rigid-body model of the vehicle in six degrees of freedom. Each axis
+ * follows
+ *
+ *     (mass + added mass) * acceleration = thrust - linear drag * v - quadratic drag * v * |v| + coupling
+ *
+ * with velocities in the body frame relative to the water. The surge and
+ * sway axes are coupled through the turn rate, so a turning vehicle carries
+ * its momentum and skids outward until the hull brings it round. Moving
+ * forward adds hull lift against sideslip and fin damping of turns, so the
+ * vehicle spins quickly in a hover but carves wider turns at speed. Thrust
+ * comes from the profile's individual thrusters (see thrusterAllocation.js),
+ * which all push horizontally and are asked to hold roll and pitch level.
+ *
+ * Depth is a matter of buoyancy and trim. Weight acts at the center of
+ * gravity and buoyancy at the center of buoyancy just above it, so the
+ * vehicle rights itself after a tilt. Fore and aft variable ballast tanks
+ * take on or pump out water: their total fill sets the net buoyancy that
+ * raises or sinks the vehicle in a hover, and the difference between them
+ * pitches the nose so that forward speed carries it up or down.
+ *
+ * Power follows from the same state: by momentum theory a propeller
+ * needs electrical power growing with its thrust to the power 1.5, so
+ * holding top speed costs far more than cruising at half of it, and the
+ * ballast pumps draw while they move water.
+ *
+ * Axes (world units are meters):
+ * - surge: forward (m/s); sway: to starboard (m/s); heave: up (m/s)
+ * - roll: starboard side down (rad/s); pitch: nose up (rad/s); yaw: turning left (rad/s)
+ */
+
+import { ThrusterAllocator } from "./thrusterAllocation.js";
+
+export const LINEAR_AXES = ["surge", "sway", "heave"];
+export const ANGULAR_AXES = ["roll", "pitch", "yaw"];
+export const AXES = [...LINEAR_AXES, ...ANGULAR_AXES];
+
+const DIAG = Math.SQRT1_2; // Direction component of a thruster mounted at 45°
+const GRAVITY = 9.81; // m/s²
+const GLIDE_SPEED = 0.3; // Forward speed below which trimming the nose no longer helps a climb (m/s)
+
+/**
+ * Thruster mounted on the hull
+ * @param {string} name - Thruster name shown on the HUD
+ * @param {number[]} position - [surge, sway, heave] offset from the center of gravity (m)
+ * @param {number[]} direction - [surge, sway, heave] unit direction of positive thrust
+ * @param {number} maxForce - Rated force in either direction (N)
+ */
+function thruster(name, position, direction, maxForce) {
+	const toAxes = ([surge, sway, heave]) => ({ surge, sway, heave });
+	return {
+		name,
+		position: toAxes(position),
+		direction: toAxes(direction),
+		maxForce,
+	};
+}
+
+/**
+ * Vehicle profiles
+ * Drag and rated thrust set the top speeds: thrust balances drag at full
+ * command, so the HYDROBOT runs at 6 m/s and turns at about 1.2 rad/s, the
+ * lighter SCOUT is faster and more agile, and the WORKHORSE is slow to
+ * accelerate and turn. The HYDROBOT and WORKHORSE carry four vectored
+ * horizontal thrusters, so they can make up for a failed one; the SCOUT
+ * has twin stern thrusters and two lateral tunnel thrusters, and handles
+ * lopsidedly when one fails. All three trim slightly buoyant, so a vehicle
+ * that loses control of its ballast drifts up to the surface.
+ */
+export const VEHICLE_PROFILES = {
+	hydrobot: {
+		name: "HYDROBOT",
+		mass: 50, // Dry mass (kg)
+		inertia: { roll: 1.5, pitch: 5, yaw: 5 }, // Moments of inertia (kg m²)
+		addedMass: {
+			// Entrained water (kg, or kg m² for rotations)
+			surge: 5,
+			sway: 45,
+			heave: 50,
+			roll: 0.5,
+			pitch: 3,
+			yaw: 3,
+		},
+		linearDrag: {
+			// Skin friction (N per m/s, or N m per rad/s)
+			surge: 4,
+			sway: 40,
+			heave: 30,
+			roll: 3,
+			pitch: 6,
+			yaw: 4,
+		},
+		quadraticDrag: {
+			// Form drag (N per (m/s)², or N m per (rad/s)²)
+			surge: 2.5,
+			sway: 40,
+			heave: 30,
+			roll: 2,
+			pitch: 4,
+			yaw: 4,
+		},
+		maxThrust: {
+			// Rated thrust a full command asks for (N, or N m for rotations)
+			surge: 114,
+			sway: 240,
+			heave: 0, // No vertical thrusters: depth comes from the ballast
+			roll: 0,
+			pitch: 0,
+			yaw: 10.5,
+		},
+		speedDamping: { sway: 60, heave: 30, pitch: 4, yaw: 2 }, // Extra damping per m/s of surge: hull lift and fins (N s/m per m/s)
+		centerOfBuoyancy: 0.05, // Height of the center of buoyancy above the center of gravity (m)
+		reserveBuoyancy: 0.5, // Net buoyancy with both tanks half full (kg of water; positive floats)
+		ballast: {
+			capacity: 3, // Water each tank holds (kg)
+			position: 0.4, // Distance of the fore and aft tanks from the center of gravity (m)
+			pumpRate: 0.6, // Fastest fill or drain per tank (kg/s)
+			pumpPower: 40, // Draw of each pump while it runs (W)
+		},
+		maxPitch: 0.4, // Steepest nose angle the trim is asked for (radians)
+		thrusterPower: 1, // Electrical draw per N^1.5 of thrust on each thruster (W); larger propellers need less
+		batteryCapacity: 350, // Usable battery energy (Wh); a full search pattern takes under half
+		thrusters: [
+			thruster("fore port", [0.35, -0.2, 0], [DIAG, DIAG, 0], 85),
+			thruster("fore starboard", [0.35, 0.2, 0], [DIAG, -DIAG, 0], 85),
+			thruster("aft port", [-0.35, -0.2, 0], [DIAG, -DIAG, 0], 85),
+			thruster("aft starboard", [-0.35, 0.2, 0], [DIAG, DIAG, 0], 85),
+		],
+	},
+	scout: {
+		name: "SCOUT",
+		mass: 25,
+		inertia: { roll: 0.5, pitch: 2, yaw: 2 },
+		addedMass: {
+			surge: 2,
+			sway: 20,
+			heave: 22,
+			roll: 0.2,
+			pitch: 1.2,
+			yaw: 1.2,
+		},
+		linearDrag: {
+			surge: 2,
+			sway: 25,
+			heave: 20,
+			roll: 1.5,
+			pitch: 3,
+			yaw: 2,
+		},
+		quadraticDrag: {
+			surge: 1.5,
+			sway: 25,
+			heave: 20,
+			roll: 1,
+			pitch: 2,
+			yaw: 1.5,
+		},
+		maxThrust: {
+			surge: 90,
+			sway: 110,
+			heave: 0,
+			roll: 0,
+			pitch: 0,
+			yaw: 8,
+		},
+		speedDamping: { sway: 30, heave: 15, pitch: 1.6, yaw: 0.8 },
+		centerOfBuoyancy: 0.04,
+		reserveBuoyancy: 0.3,
+		ballast: {
+			capacity: 1.5,
+			position: 0.3,
+			pumpRate: 0.4,
+			pumpPower: 25,
+		},
+		maxPitch: 0.4,
+		thrusterPower: 1.2,
+		batteryCapacity: 220,
+		thrusters: [
+			thruster("stern port", [-0.4, -0.15, 0], [1, 0, 0], 50),
+			thruster("stern starboard", [-0.4, 0.15, 0], [1, 0, 0], 50),
+			thruster("fore lateral", [0.3, 0, 0], [0, 1, 0], 60),
+			thruster("aft lateral", [-0.3, 0, 0], [0, 1, 0], 60),
+		],
+	},
+	workhorse: {
+		name: "WORKHORSE",
+		mass: 120,
+		inertia: { roll: 6, pitch: 20, yaw: 20 },
+		addedMass: {
+			surge: 15,
+			sway: 110,
+			heave: 120,
+			roll: 2,
+			pitch: 12,
+			yaw: 12,
+		},
+		linearDrag: {
+			surge: 10,
+			sway: 90,
+			heave: 80,
+			roll: 10,
+			pitch: 20,
+			yaw: 15,
+		},
+		quadraticDrag: {
+			surge: 6,
+			sway: 90,
+			heave: 80,
+			roll: 6,
+			pitch: 12,
+			yaw: 12,
+		},
+		maxThrust: {
+			surge: 200,
+			sway: 500,
+			heave: 0,
+			roll: 0,
+			pitch: 0,
+			yaw: 16,
+		},
+		speedDamping: { sway: 140, heave: 70, pitch: 10, yaw: 5 },
+		centerOfBuoyancy: 0.075,
+		reserveBuoyancy: 1,
+		ballast: {
+			capacity: 8,
+			position: 0.6,
+			pumpRate: 1.2,
+			pumpPower: 80,
+		},
+		maxPitch: 0.4,
+		thrusterPower: 0.7,
+		batteryCapacity: 700,
+		thrusters: [
+			thruster("fore port", [0.6, -0.4, 0], [DIAG, DIAG, 0], 180),
+			thruster("fore starboard", [0.6, 0.4, 0], [DIAG, -DIAG, 0], 180),
+			thruster("aft port", [-0.6, -0.4, 0], [DIAG, -DIAG, 0], 180),
+			thruster("aft starboard", [-0.6, 0.4, 0], [DIAG, DIAG, 0], 180),
+		],
+	},
+};
+
+export class VehicleDynamics {
+	/**
+	 * Create the model at rest
+	 * @param {Object} profile - Vehicle profile (see VEHICLE_PROFILES)
+	 */
+	constructor(profile) {
+		this.setProfile(profile);
+		this.reset();
+	}
+
+	/**
+	 * Switch to another vehicle; its thrusters start healthy
+	 * @param {Object} profile - Vehicle profile (see VEHICLE_PROFILES)
+	 */
+	setProfile(profile) {
+		this.profile = profile;
+
+		// Errors are weighed against the rated thrust, and roll and pitch
+		// against the moment that would tilt the vehicle a radian; axes
+		// without thrusters are left to the ballast
+		const scale = {
+			roll: this.getRightingMoment(),
+			pitch: this.getRightingMoment(),
+		};
+		AXES.forEach((axis) => {
+			if (profile.maxThrust[axis] > 0)
+				scale[axis] = profile.maxThrust[axis];
+		});
+		this.allocator = new ThrusterAllocator(profile.thrusters, scale);
+
+		// Draw of healthy thrusters holding top speed, the speed the
+		// autopilot flies at, for range estimates
+		const flatOut = new ThrusterAllocator(profile.thrusters, scale);
+		flatOut.allocate({ surge: profile.maxThrust.surge });
+		this.topSpeedPower = this.getThrusterPower(flatOut.thrusters);
+	}
+
+	reset() {
+		this.velocity = {}; // Body-frame velocity through the water, per axis
+		AXES.forEach((axis) => (this.velocity[axis] = 0));
+		this.attitude = { roll: 0, pitch: 0 }; // Tilt from level (radians)
+		this.thrust = {}; // Last applied thrust from all thrusters, per axis (N or N m)
+		AXES.forEach((axis) => (this.thrust[axis] = 0));
+
+		// Tanks start half full, where the vehicle is trimmed level
+		const half = this.profile.ballast.capacity / 2;
+		this.ballast = { fore: half, aft: half }; // Water in each tank (kg)
+		this.ballastTarget = { fore: half, aft: half }; // Fill the pumps are working toward (kg)
+		this.pumpDuty = { fore: 0, aft: 0 }; // Share of the last step each pump ran (0-1)
+	}
+
+	/**
+	 * Moment that rights the vehicle when it is tilted a right angle
+	 * @returns {number} Weight times the CG-CB separation (N m)
+	 */
+	getRightingMoment() {
+		const profile = this.profile;
+		return profile.mass * GRAVITY * profile.centerOfBuoyancy;
+	}
+
+	/**
+	 * Buoyancy left over after the vehicle's weight and ballast water
+	 * @returns {number} Net upward force (N)
+	 */
+	getNetBuoyancy() {
+		const { reserveBuoyancy, ballast } = this.profile;
+		return (
+			GRAVITY *
+			(reserveBuoyancy +
+				ballast.capacity -
+				this.ballast.fore -
+				this.ballast.aft)
+		);
+	}
+
+	/**
+	 * Electrical power thrusters draw for their current forces
+	 * @param {Object[]} thrusters - Thrusters with force and maxForce (defaults to the allocator's)
+	 * @returns {number} Total draw (W)
+	 */
+	getThrusterPower(thrusters = this.allocator.thrusters) {
+		return thrusters.reduce(
+			(sum, thruster) =>
+				sum +
+				this.profile.thrusterPower * Math.abs(thruster.force) ** 1.5,
+			0
+		);
+	}
+
+	/**
+	 * Electrical power the ballast pumps drew on the last step
+	 * @returns {number} Total draw (W)
+	 */
+	getPumpPower() {
+		return (
+			this.profile.ballast.pumpPower *
+			(this.pumpDuty.fore + this.pumpDuty.aft)
+		);
+	}
+
+	/**
+	 * Speed along an axis where drag balances a force
+	 * @param {string} axis - Axis name
+	 * @param {number} force - Steady force (N, or N m for rotations)
+	 * @returns {number} Speed (m/s or rad/s)
+	 */
+	getBalancedSpeed(axis, force) {
+		const linear = this.profile.linearDrag[axis];
+		const quadratic = this.profile.quadraticDrag[axis];
+		if (quadratic === 0) return linear > 0 ? force / linear : Infinity;
+
+		return (
+			(-linear + Math.sqrt(linear * linear + 4 * quadratic * force)) /
+			(2 * quadratic)
+		);
+	}
+
+	/**
+	 * Mass including entrained water along an axis
+	 * @param {string} axis - Axis name
+	 * @returns {number} Effective mass (kg) or inertia (kg m²)
+	 */
+	getEffectiveMass(axis) {
+		const profile = this.profile;
+		const rigid = LINEAR_AXES.includes(axis)
+			? profile.mass
+			: profile.inertia[axis];
+		return rigid + profile.addedMass[axis];
+	}
+
+	/**
+	 * Hydrodynamic drag opposing motion along an axis at the current surge speed
+	 * @param {string} axis - Axis name
+	 * @param {number} velocity - Velocity through the water along the axis
+	 * @returns {number} Drag force or moment (opposes positive velocity)
+	 */
+	getDrag(axis, velocity) {
+		const profile = this.profile;
+		const linear =
+			profile.linearDrag[axis] +
+			(profile.speedDamping[axis] ?? 0) * Math.abs(this.velocity.surge);
+		return (
+			linear * velocity +
+			profile.quadraticDrag[axis] * velocity * Math.abs(velocity)
+		);
+	}
+
+	/**
+	 * Steady speed at full thrust from a hover, where drag balances the
+	 * thruster limit
+	 * @param {string} axis - Axis name
+	 * @returns {number} Top speed (m/s or rad/s)
+	 */
+	getTopSpeed(axis) {
+		return this.getBalancedSpeed(axis, this.profile.maxThrust[axis]);
+	}
+
+	/**
+	 * Steady climb or dive rate in a hover with the tanks blown or flooded
+	 * @returns {number} The slower of the two (m/s)
+	 */
+	getHoverClimbRate() {
+		const { reserveBuoyancy, ballast } = this.profile;
+		const sink = GRAVITY * (ballast.capacity - Math.abs(reserveBuoyancy));
+		return this.getBalancedSpeed("heave", sink);
+	}
+
+	/**
+	 * Rate the vehicle is rising through the water
+	 * @returns {number} World-up component of the body velocity (m/s)
+	 */
+	getClimbRate() {
+		const { surge, sway, heave } = this.velocity;
+		const { roll, pitch } = this.attitude;
+		return (
+			surge * Math.sin(pitch) +
+			Math.cos(pitch) * (heave * Math.cos(roll) - sway * Math.sin(roll))
+		);
+	}
+
+	/**
+	 * Thrust command that brings an axis to a target velocity
+	 * Holds the target against drag and closes the remaining gap over the
+	 * response time.
+	 * @param {string} axis - Axis name
+	 * @param {number} target - Target velocity through the water
+	 * @param {number} responseTime - Time to close the velocity gap (seconds)
+	 * @returns {number} Thrust command (-1 to 1)
+	 */
+	getThrustForVelocity(axis, target, responseTime) {
+		const maxThrust = this.profile.maxThrust[axis];
+		if (maxThrust <= 0) return 0;
+
+		const force =
+			this.getDrag(axis, target) +
+			(this.getEffectiveMass(axis) * (target - this.velocity[axis])) /
+				responseTime;
+		return Math.max(-1, Math.min(1, force / maxThrust));
+	}
+
+	/**
+	 * Tank fills that bring the vehicle to a climb rate
+	 * Under way the tanks trim the nose along the climb so the hull flies up
+	 * or down; the total fill sets the buoyancy that carries the rest of the
+	 * climb and closes the gap to the target over the response time.
+	 * @param {number} target - Climb rate through the water (m/s, negative dives)
+	 * @param {number} responseTime - Time to close the climb rate gap (seconds)
+	 * @returns {{fore: number, aft: number}} Tank fills (kg)
+	 */
+	getBallastForClimb(target, responseTime) {
+		const { ballast, reserveBuoyancy, maxPitch } = this.profile;
+		const surge = this.velocity.surge;
+
+		let pitch = 0;
+		if (Math.abs(surge) > GLIDE_SPEED) {
+			const ratio = Math.max(-1, Math.min(1, target / surge));
+			pitch = Math.max(-maxPitch, Math.min(maxPitch, Math.asin(ratio)));
+		}
+
+		// Water moved forward to hold the nose at the glide angle
+		const capacity = ballast.capacity;
+		const shift = Math.max(
+			-capacity,
+			Math.min(
+				capacity,
+				(-this.getRightingMoment() * Math.sin(pitch)) /
+					(GRAVITY * ballast.position * Math.cos(pitch))
+			)
+		);
+
+		// Total water for the buoyancy, within what leaves room for the trim
+		const lift =
+			this.getDrag("heave", target - surge * Math.sin(pitch)) +
+			(this.getEffectiveMass("heave") * (target - this.getClimbRate())) /
+				responseTime;
+		const total = Math.max(
+			Math.abs(shift),
+			Math.min(
+				2 * capacity - Math.abs(shift),
+				reserveBuoyancy + capacity - lift / GRAVITY
+			)
+		);
+
+		return { fore: (total + shift) / 2, aft: (total - shift) / 2 };
+	}
+
+	/**
+	 * Set the fill the ballast pumps work toward
+	 * @param {{fore: number, aft: number}} target - Water per tank (kg)
+	 */
+	setBallastTarget(target) {
+		this.ballastTarget = { ...target };
+	}
+
+	/**
+	 * Advance the body velocities and tilt by one time step
+	 * The command is scaled by the rated thrust and shared among the
+	 * thrusters, so the vehicle feels what the thrusters can actually give.
+	 * @param {Object} command - Thrust command per axis (-1 to 1); missing axes are held at zero
+	 * @param {number} dt - Time step (seconds)
+	 * @param {Object} disturbance - External force or moment per axis (N or N m), e.g. storm gusts
+	 */
+	step(command, dt, disturbance = {}) {
+		const profile = this.profile;
+		const velocity = this.velocity;
+		const yawRate = velocity.yaw;
+		const { roll, pitch } = this.attitude;
+
+		// Pumps move water toward the requested fill
+		const pumped = profile.ballast.pumpRate * dt;
+		["fore", "aft"].forEach((tank) => {
+			const gap = this.ballastTarget[tank] - this.ballast[tank];
+			const moved = Math.max(-pumped, Math.min(pumped, gap));
+			this.ballast[tank] += moved;
+			this.pumpDuty[tank] = pumped > 0 ? Math.abs(moved) / pumped : 0;
+		});
+
+		// Turning rotates the body under its momentum (Coriolis terms),
+		// buoyancy pushes along whichever body axes point up, the low center
+		// of gravity rights any tilt and uneven tanks trim the nose
+		const buoyancy = this.getNetBuoyancy();
+		const righting = this.getRightingMoment();
+		const trim =
+			-GRAVITY *
+			profile.ballast.position *
+			(this.ballast.fore - this.ballast.aft) *
+			Math.cos(pitch);
+		const coupling = {
+			surge:
+				-yawRate * this.getEffectiveMass("sway") * velocity.sway +
+				buoyancy * Math.sin(pitch),
+			sway:
+				yawRate * this.getEffectiveMass("surge") * velocity.surge -
+				buoyancy * Math.sin(roll) * Math.cos(pitch),
+			heave: buoyancy * Math.cos(roll) * Math.cos(pitch),
+			roll: -righting * Math.sin(roll),
+			pitch: -righting * Math.sin(pitch) + trim,
+		};
+
+		const demand = {};
+		AXES.forEach((axis) => {
+			demand[axis] =
+				Math.max(-1, Math.min(1, command[axis] ?? 0)) *
+				profile.maxThrust[axis];
+		});
+		const applied = this.allocator.allocate(demand);
+		AXES.forEach((axis) => (this.thrust[axis] = applied[axis] ?? 0));
+
+		const next = {};
+		AXES.forEach((axis) => {
+			const force =
+				this.thrust[axis] +
+				(disturbance[axis] ?? 0) +
+				(coupling[axis] ?? 0) -
+				this.getDrag(axis, velocity[axis]);
+			next[axis] =
+				velocity[axis] + (force / this.getEffectiveMass(axis)) * dt;
+		});
+		Object.assign(velocity, next);
+
+		this.attitude.roll += velocity.roll * dt;
+		this.attitude.pitch += velocity.pitch * dt;
+	}
+
+	/**
+	 * Remove the part of the linear velocity that points along a world
+	 * direction, e.g. into an obstacle the vehicle has struck
+	 * @param {THREE.Vector3} direction - Unit direction in world space
+	 * @param {Object} axes - Body axes in world space { forward, right, up } (unit vectors)
+	 */
+	stopAlong(direction, axes) {
+		const velocity = this.velocity;
+		const world = ["x", "y", "z"].map(
+			(c) =>
+				axes.forward[c] * velocity.surge +
+				axes.right[c] * velocity.sway +
+				axes.up[c] * velocity.heave
+		);
+
+		const into =
+			world[0] * direction.x +
+			world[1] * direction.y +
+			world[2] * direction.z;
+		if (into <= 0) return;
+
+		world[0] -= direction.x * into;
+		world[1] -= direction.y * into;
+		world[2] -= direction.z * into;
+		const along = (axis) =>
+			world[0] * axis.x + world[1] * axis.y + world[2] * axis.z;
+		velocity.surge = along(axes.forward);
+		velocity.sway = along(axes.right);
+		velocity.heave = along(axes.up);
+	}
+}